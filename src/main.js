@@ -1,8 +1,28 @@
-const { app, BrowserWindow, ipcMain, dialog, Menu } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Menu, shell } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const os = require('os');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+const { toPosix } = require('./main/glob');
+const { buildSearchRegex, applyReplacements } = require('./main/search');
+const { IgnoreEngine } = require('./main/ignore');
+const { FileIndex } = require('./main/file-index');
+const { parseKeybindings, resolveKeybindings, toAccelerator } = require('./main/keybindings');
+const { loadSettings, writeSetting, getUserSettingsPath, getProjectSettingsPath } = require('./main/settings');
+const { isEncoding, detectEncoding, decode, encode } = require('./main/encoding');
+const {
+  BINARY_SAMPLE_BYTES, LARGE_FILE_BYTES, MAX_TEXT_BYTES, HEX_VIEW_BYTES, MAX_PREVIEW_BYTES,
+  readHead, looksBinary, hexDump
+} = require('./main/binary');
+const { writeBackup, deleteBackup, readBackups } = require('./main/backups');
+const { MAX_SNAPSHOT_BYTES, hasHistory, addSnapshot, listSnapshots, readSnapshot } = require('./main/history');
+const {
+  getRepository, getStatus, getChanges, stage, unstage, discard, commit, getBranchInfo, listBranches,
+  checkoutBranch, blameFile, readIndexFile, readHeadFile
+} = require('./main/git');
+const { diffLines } = require('./main/line-diff');
 
 // File logger: ~/Library/Application Support/CodeLight/codelight.log
 // Lazy so it never touches userData before app is ready
@@ -45,10 +65,21 @@ function validatePath(senderId, filePath) {
   return null;
 }
 
+// App config files in userData that can be opened and saved in a tab even
+// while a folder restricts access
+const CONFIG_FILES = new Set(['keybindings.json', 'settings.json']);
+
+function isConfigFile(resolved) {
+  return app.isReady() &&
+    path.dirname(resolved) === app.getPath('userData') &&
+    CONFIG_FILES.has(path.basename(resolved));
+}
+
 // Looser validation: allow the path if it's within ANY open folder across windows,
 // OR if no folder restriction is set for this window (user opened file via dialog).
 function validateFileAccess(senderId, filePath) {
   const resolved = path.resolve(filePath);
+  if (isConfigFile(resolved)) return resolved;
   const allowed = allowedFolders.get(senderId);
   // No folder open — user is opening individual files via dialog, allow it
   if (!allowed) return resolved;
@@ -59,6 +90,152 @@ function validateFileAccess(senderId, filePath) {
   return null;
 }
 
+// Ignore engine per window, for its open folder (see main/ignore.js).
+// Created lazily and dropped whenever a .gitignore or either settings file
+// changes so the next lookup rereads them. `files.exclude` comes from
+// settings (see main/settings.js).
+const ignoreEngines = new Map(); // senderId -> IgnoreEngine
+
+async function getIgnoreEngine(senderId) {
+  const folder = allowedFolders.get(senderId);
+  if (!folder) return null;
+  let engine = ignoreEngines.get(senderId);
+  if (!engine || engine.root !== folder) {
+    const settings = await loadSettings(app.getPath('userData'), folder);
+    engine = new IgnoreEngine(folder, settings.effective['files.exclude']);
+    ignoreEngines.set(senderId, engine);
+  }
+  return engine;
+}
+
+// Quick Open file index per window (see main/file-index.js). Built on first
+// use, kept current by the folder watcher, and dropped alongside the ignore
+// engine since it was filtered with that engine's rules.
+const fileIndexes = new Map(); // senderId -> FileIndex
+
+async function getFileIndex(senderId) {
+  const engine = await getIgnoreEngine(senderId);
+  if (!engine) return null;
+  let index = fileIndexes.get(senderId);
+  if (!index || index.engine !== engine) {
+    index = new FileIndex(engine.root, engine);
+    fileIndexes.set(senderId, index);
+  }
+  return index;
+}
+
+// Keybindings: defaults merged with the user's keybindings.json (see
+// main/keybindings.js). Reloaded when the file changes; the menu is rebuilt
+// and every window gets the new table.
+let keybindings = { ...resolveKeybindings(), errors: [] };
+let menuCommands = []; // command ids whose key is a native menu accelerator
+
+function getKeybindingsPath() {
+  return path.join(app.getPath('userData'), 'keybindings.json');
+}
+
+async function loadKeybindings() {
+  let overrides = {};
+  let errors = [];
+  try {
+    ({ overrides, errors } = parseKeybindings(await fs.readFile(getKeybindingsPath(), 'utf-8')));
+  } catch (err) {
+    if (err.code !== 'ENOENT') errors = [err.message];
+  }
+  keybindings = { ...resolveKeybindings(overrides), errors };
+  for (const error of errors) {
+    logToFile('warn', `keybindings.json: ${error}`);
+  }
+  for (const conflict of keybindings.conflicts) {
+    logToFile('warn', `keybinding conflict: ${conflict.key} -> ${conflict.commands.join(', ')}`);
+  }
+}
+
+function getKeybindingsPayload() {
+  return {
+    bindings: keybindings.bindings,
+    conflicts: keybindings.conflicts,
+    errors: keybindings.errors,
+    menuCommands
+  };
+}
+
+// Menu accelerator for a command, or undefined when it's unbound or a chord
+function accelerator(commandId) {
+  return toAccelerator(keybindings.bindings[commandId]) || undefined;
+}
+
+function reportKeybindingProblems(win) {
+  const problems = [
+    ...keybindings.errors,
+    ...keybindings.conflicts.map(c => `${c.key} is bound to more than one command: ${c.commands.join(', ')}`)
+  ];
+  if (!win || problems.length === 0) return;
+  dialog.showMessageBox(win, {
+    type: 'warning',
+    buttons: ['OK'],
+    message: 'Problems in keybindings.json',
+    detail: problems.join('\n')
+  });
+}
+
+// Settings for one window: user settings.json merged with its open
+// folder's .codelight/settings.json (see main/settings.js)
+function getWindowSettings(senderId) {
+  return loadSettings(app.getPath('userData'), allowedFolders.get(senderId) || null);
+}
+
+async function sendSettings(win) {
+  if (!win || win.isDestroyed()) return;
+  const settings = await getWindowSettings(win.webContents.id);
+  for (const error of settings.errors) {
+    logToFile('warn', error);
+  }
+  if (!win.isDestroyed()) {
+    win.webContents.send('settings-changed', settings);
+  }
+}
+
+async function reloadKeybindingsFile() {
+  await loadKeybindings();
+  createMenu();
+  for (const win of windows) {
+    if (!win.isDestroyed()) {
+      win.webContents.send('keybindings-changed', getKeybindingsPayload());
+    }
+  }
+  reportKeybindingProblems(getFocusedWindow());
+}
+
+function reloadUserSettingsFile() {
+  // files.exclude may have changed
+  ignoreEngines.clear();
+  for (const win of windows) {
+    sendSettings(win);
+  }
+}
+
+const configReloaders = {
+  'keybindings.json': reloadKeybindingsFile,
+  'settings.json': reloadUserSettingsFile
+};
+const configReloadTimers = new Map(); // file name -> timer
+
+// Watch userData (not the files themselves, which may not exist yet or be
+// replaced by an atomic save)
+function watchConfigFiles() {
+  try {
+    fsSync.watch(app.getPath('userData'), (eventType, filename) => {
+      const reload = configReloaders[filename];
+      if (!reload) return;
+      clearTimeout(configReloadTimers.get(filename));
+      configReloadTimers.set(filename, setTimeout(reload, 200));
+    });
+  } catch (err) {
+    logToFile('warn', `Could not watch config files: ${err.message}`);
+  }
+}
+
 // Auto-updater will be loaded lazily in production only
 let autoUpdater = null;
 
@@ -116,6 +293,23 @@ function getFocusedWindow() {
   return BrowserWindow.getFocusedWindow() || windows[windows.length - 1];
 }
 
+// Send `channel` to the window's renderer and wait for its answer on
+// `replyChannel`; resolves undefined if none comes within `timeoutMs`
+function askRenderer(win, channel, replyChannel, timeoutMs) {
+  return new Promise((resolve) => {
+    const handler = (_event, result) => {
+      clearTimeout(timer);
+      resolve(result);
+    };
+    const timer = setTimeout(() => {
+      ipcMain.removeListener(replyChannel, handler);
+      resolve(undefined);
+    }, timeoutMs);
+    ipcMain.once(replyChannel, handler);
+    win.webContents.send(channel, win.id);
+  });
+}
+
 function createWindow() {
   // Offset new windows slightly so they don't stack exactly
   const offset = windows.length * 30;
@@ -133,7 +327,9 @@ function createWindow() {
       preload: path.join(__dirname, 'preload.js'),
       contextIsolation: true,
       nodeIntegration: false,
-      sandbox: true
+      sandbox: true,
+      // Chromium's PDF viewer, for PDF preview tabs
+      plugins: true
     }
   });
 
@@ -146,52 +342,39 @@ function createWindow() {
 
   win.on('close', async (e) => {
     e.preventDefault();
+    const senderId = win.webContents.id;
     try {
-      // Ask renderer if there are unsaved changes via IPC (with timeout)
-      const unsavedChannel = `unsaved-check-${win.id}`;
-      const hasUnsaved = await new Promise((resolve) => {
-        const handler = (_event, result) => {
-          clearTimeout(timer);
-          resolve(result);
-        };
-        const timer = setTimeout(() => {
-          ipcMain.removeListener(unsavedChannel, handler);
-          resolve(false);
-        }, 2000);
-        ipcMain.once(unsavedChannel, handler);
-        win.webContents.send('check-unsaved-changes', win.id);
-      });
-
-      if (hasUnsaved) {
-        const result = await dialog.showMessageBox(win, {
-          type: 'warning',
-          buttons: ['Save All', "Don't Save", 'Cancel'],
-          defaultId: 0,
-          cancelId: 2,
-          message: 'You have unsaved changes.',
-          detail: "Your changes will be lost if you don't save them."
-        });
-
-        if (result.response === 0) {
-          // Ask renderer to save all files via IPC
-          const saveChannel = `save-all-done-${win.id}`;
-          await new Promise((resolve) => {
-            const handler = () => {
-              clearTimeout(timer);
-              resolve();
-            };
-            const timer = setTimeout(() => {
-              ipcMain.removeListener(saveChannel, handler);
-              resolve();
-            }, 5000);
-            ipcMain.once(saveChannel, handler);
-            win.webContents.send('save-all-files', win.id);
+      // Hot exit: when the app quits (or its last window closes) unsaved
+      // tabs are backed up and reopened next launch instead of prompting.
+      // Unless the renderer confirms every one was backed up, ask as usual.
+      const hotExit = (isQuitting || BrowserWindow.getAllWindows().length === 1) &&
+        (await getWindowSettings(senderId)).effective['files.hotExit'];
+      const backedUp = hotExit &&
+        (await askRenderer(win, 'backup-all', `backup-done-${win.id}`, 5000)) === true;
+
+      if (!backedUp) {
+        const hasUnsaved = await askRenderer(win, 'check-unsaved-changes', `unsaved-check-${win.id}`, 2000);
+
+        if (hasUnsaved) {
+          const result = await dialog.showMessageBox(win, {
+            type: 'warning',
+            buttons: ['Save All', "Don't Save", 'Cancel'],
+            defaultId: 0,
+            cancelId: 2,
+            message: 'You have unsaved changes.',
+            detail: "Your changes will be lost if you don't save them."
           });
-        } else if (result.response === 2) {
-          // Cancel - abort the close AND any in-progress quit so the app stays alive
-          isQuitting = false;
-          return;
+
+          if (result.response === 0) {
+            await askRenderer(win, 'save-all-files', `save-all-done-${win.id}`, 5000);
+          } else if (result.response === 2) {
+            // Cancel - abort the close AND any in-progress quit so the app stays alive
+            isQuitting = false;
+            return;
+          }
         }
+        // Saved or deliberately dropped; either way nothing to reopen
+        await discardBackups(senderId);
       }
     } catch (err) {
       // If renderer is already destroyed, just close
@@ -202,6 +385,11 @@ function createWindow() {
       // Failing to persist window state shouldn't block the window from closing
     }
     allowedFolders.delete(win.webContents.id);
+    backupOwners.delete(win.webContents.id);
+    ignoreEngines.delete(win.webContents.id);
+    fileIndexes.delete(win.webContents.id);
+    cancelSearch(win.webContents.id);
+    searchGenerations.delete(win.webContents.id);
     cleanupWatcher(win.webContents.id);
     cleanupTerminal(win.webContents.id);
     win.destroy();
@@ -222,6 +410,23 @@ function createWindow() {
   return win;
 }
 
+// Menu items run renderer commands by id (see modules/commands.js), so the
+// menu, the command palette and keyboard shortcuts all share one registry
+function sendCommand(commandId) {
+  getFocusedWindow()?.webContents.send('run-command', commandId);
+}
+
+// Shared by the Open File/Folder commands
+function showOpenDialogFor(win, kind) {
+  if (kind === 'folder') {
+    return dialog.showOpenDialog(win, { properties: ['openDirectory'] });
+  }
+  return dialog.showOpenDialog(win, {
+    properties: ['openFile'],
+    filters: [{ name: 'All Files', extensions: ['*'] }]
+  });
+}
+
 // Create native menu
 function createMenu() {
   const template = [
@@ -230,6 +435,19 @@ function createMenu() {
       submenu: [
         { role: 'about' },
         { type: 'separator' },
+        {
+          id: 'workbench.openSettings',
+          label: 'Settings...',
+          accelerator: accelerator('workbench.openSettings'),
+          click: () => sendCommand('workbench.openSettings')
+        },
+        {
+          id: 'workbench.openKeybindings',
+          label: 'Keyboard Shortcuts',
+          accelerator: accelerator('workbench.openKeybindings'),
+          click: () => sendCommand('workbench.openKeybindings')
+        },
+        { type: 'separator' },
         { role: 'services' },
         { type: 'separator' },
         { role: 'hide' },
@@ -243,59 +461,50 @@ function createMenu() {
       label: 'File',
       submenu: [
         {
+          // Handled here rather than in a window: it must work with none open
+          id: 'window.new',
           label: 'New Window',
-          accelerator: 'CmdOrCtrl+Shift+N',
+          accelerator: accelerator('window.new'),
           click: () => createWindow()
         },
         {
+          id: 'file.newFile',
           label: 'New File',
-          accelerator: 'CmdOrCtrl+N',
-          click: () => getFocusedWindow()?.webContents.send('menu-new-file')
+          accelerator: accelerator('file.newFile'),
+          click: () => sendCommand('file.newFile')
         },
         { type: 'separator' },
         {
+          id: 'file.openFile',
           label: 'Open File...',
-          accelerator: 'CmdOrCtrl+O',
-          click: async () => {
-            const win = getFocusedWindow();
-            const result = await dialog.showOpenDialog(win, {
-              properties: ['openFile'],
-              filters: [{ name: 'All Files', extensions: ['*'] }]
-            });
-            if (!result.canceled && result.filePaths.length > 0) {
-              win?.webContents.send('menu-open-file', result.filePaths[0]);
-            }
-          }
+          accelerator: accelerator('file.openFile'),
+          click: () => sendCommand('file.openFile')
         },
         {
+          id: 'file.openFolder',
           label: 'Open Folder...',
-          accelerator: 'CmdOrCtrl+Shift+O',
-          click: async () => {
-            const win = getFocusedWindow();
-            const result = await dialog.showOpenDialog(win, {
-              properties: ['openDirectory']
-            });
-            if (!result.canceled && result.filePaths.length > 0) {
-              win?.webContents.send('menu-open-folder', result.filePaths[0]);
-            }
-          }
+          accelerator: accelerator('file.openFolder'),
+          click: () => sendCommand('file.openFolder')
         },
         { type: 'separator' },
         {
+          id: 'file.save',
           label: 'Save',
-          accelerator: 'CmdOrCtrl+S',
-          click: () => getFocusedWindow()?.webContents.send('menu-save')
+          accelerator: accelerator('file.save'),
+          click: () => sendCommand('file.save')
         },
         {
+          id: 'file.saveAll',
           label: 'Save All',
-          accelerator: 'CmdOrCtrl+Shift+S',
-          click: () => getFocusedWindow()?.webContents.send('menu-save-all')
+          accelerator: accelerator('file.saveAll'),
+          click: () => sendCommand('file.saveAll')
         },
         { type: 'separator' },
         {
+          id: 'file.closeTab',
           label: 'Close Tab',
-          accelerator: 'CmdOrCtrl+W',
-          click: () => getFocusedWindow()?.webContents.send('menu-close-tab')
+          accelerator: accelerator('file.closeTab'),
+          click: () => sendCommand('file.closeTab')
         }
       ]
     },
@@ -311,25 +520,29 @@ function createMenu() {
         { role: 'selectAll' },
         { type: 'separator' },
         {
+          id: 'edit.find',
           label: 'Find',
-          accelerator: 'CmdOrCtrl+F',
-          click: () => getFocusedWindow()?.webContents.send('menu-find')
+          accelerator: accelerator('edit.find'),
+          click: () => sendCommand('edit.find')
         },
         {
+          id: 'edit.replace',
           label: 'Replace',
-          accelerator: 'CmdOrCtrl+H',
-          click: () => getFocusedWindow()?.webContents.send('menu-replace')
+          accelerator: accelerator('edit.replace'),
+          click: () => sendCommand('edit.replace')
         },
         {
+          id: 'search.findInFiles',
           label: 'Find in Files...',
-          accelerator: 'CmdOrCtrl+Shift+F',
-          click: () => getFocusedWindow()?.webContents.send('menu-find-in-files')
+          accelerator: accelerator('search.findInFiles'),
+          click: () => sendCommand('search.findInFiles')
         },
         { type: 'separator' },
         {
+          id: 'editor.goToLine',
           label: 'Go to Line...',
-          accelerator: 'Ctrl+G',
-          click: () => getFocusedWindow()?.webContents.send('menu-go-to-line')
+          accelerator: accelerator('editor.goToLine'),
+          click: () => sendCommand('editor.goToLine')
         }
       ]
     },
@@ -337,43 +550,68 @@ function createMenu() {
       label: 'View',
       submenu: [
         {
+          id: 'view.toggleSidebar',
           label: 'Toggle Sidebar',
-          accelerator: 'CmdOrCtrl+B',
-          click: () => getFocusedWindow()?.webContents.send('menu-toggle-sidebar')
+          accelerator: accelerator('view.toggleSidebar'),
+          click: () => sendCommand('view.toggleSidebar')
+        },
+        {
+          id: 'view.showSourceControl',
+          label: 'Source Control',
+          accelerator: accelerator('view.showSourceControl'),
+          click: () => sendCommand('view.showSourceControl')
+        },
+        {
+          id: 'workbench.commandPalette',
+          label: 'Command Palette...',
+          accelerator: accelerator('workbench.commandPalette'),
+          click: () => sendCommand('workbench.commandPalette')
         },
         { type: 'separator' },
         {
+          id: 'view.fontIncrease',
           label: 'Increase Font Size',
-          accelerator: 'CmdOrCtrl+=',
-          click: () => getFocusedWindow()?.webContents.send('menu-font-increase')
+          accelerator: accelerator('view.fontIncrease'),
+          click: () => sendCommand('view.fontIncrease')
         },
         {
+          id: 'view.fontDecrease',
           label: 'Decrease Font Size',
-          accelerator: 'CmdOrCtrl+-',
-          click: () => getFocusedWindow()?.webContents.send('menu-font-decrease')
+          accelerator: accelerator('view.fontDecrease'),
+          click: () => sendCommand('view.fontDecrease')
         },
         {
+          id: 'view.fontReset',
           label: 'Reset Font Size',
-          accelerator: 'CmdOrCtrl+0',
-          click: () => getFocusedWindow()?.webContents.send('menu-font-reset')
+          accelerator: accelerator('view.fontReset'),
+          click: () => sendCommand('view.fontReset')
         },
         { type: 'separator' },
         {
+          id: 'view.toggleWordWrap',
           label: 'Toggle Word Wrap',
-          accelerator: 'CmdOrCtrl+Alt+W',
-          click: () => getFocusedWindow()?.webContents.send('menu-toggle-word-wrap')
+          accelerator: accelerator('view.toggleWordWrap'),
+          click: () => sendCommand('view.toggleWordWrap')
         },
         { type: 'separator' },
         {
+          id: 'view.toggleSplit',
           label: 'Toggle Split View',
-          accelerator: 'CmdOrCtrl+\\',
-          click: () => getFocusedWindow()?.webContents.send('menu-toggle-split')
+          accelerator: accelerator('view.toggleSplit'),
+          click: () => sendCommand('view.toggleSplit')
+        },
+        {
+          id: 'markdown.showPreviewToSide',
+          label: 'Open Markdown Preview to the Side',
+          accelerator: accelerator('markdown.showPreviewToSide'),
+          click: () => sendCommand('markdown.showPreviewToSide')
         },
         { type: 'separator' },
         {
+          id: 'terminal.toggle',
           label: 'Toggle Terminal',
-          accelerator: 'Ctrl+`',
-          click: () => getFocusedWindow()?.webContents.send('menu-toggle-terminal')
+          accelerator: accelerator('terminal.toggle'),
+          click: () => sendCommand('terminal.toggle')
         },
         { type: 'separator' },
         { role: 'toggleDevTools' }
@@ -383,9 +621,10 @@ function createMenu() {
       label: 'Go',
       submenu: [
         {
+          id: 'go.quickOpen',
           label: 'Quick Open...',
-          accelerator: 'CmdOrCtrl+P',
-          click: () => getFocusedWindow()?.webContents.send('menu-quick-open')
+          accelerator: accelerator('go.quickOpen'),
+          click: () => sendCommand('go.quickOpen')
         }
       ]
     },
@@ -400,6 +639,12 @@ function createMenu() {
     }
   ];
 
+  // The renderer leaves these commands to the menu so they don't run twice
+  menuCommands = template
+    .flatMap(menu => menu.submenu || [])
+    .filter(item => item.id && item.accelerator)
+    .map(item => item.id);
+
   const menu = Menu.buildFromTemplate(template);
   Menu.setApplicationMenu(menu);
 }
@@ -434,27 +679,305 @@ function updateDockMenu() {
 }
 
 // IPC Handlers
-ipcMain.handle('read-file', async (event, filePath) => {
+// Disk state of an open file — { mtime, size, hash } — so the renderer can
+// tell when a file changed under an open tab. mtime/size are the cheap
+// check; the content hash settles it when they differ (a touch or a
+// checkout of identical content isn't a change).
+function hashContent(data) {
+  return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+function diskState(stat, data) {
+  return { mtime: stat.mtimeMs, size: stat.size, hash: hashContent(data) };
+}
+
+function sameStat(stat, known) {
+  return stat.mtimeMs === known.mtime && stat.size === known.size;
+}
+
+// The encoding is detected unless one is given ("Reopen with Encoding").
+// Binary files come back as { binary: true, size } with no content; large
+// ones as { large: true, truncated, size } with at most MAX_TEXT_BYTES of
+// text. Neither gets a disk state, so they aren't watched for changes.
+ipcMain.handle('read-file', async (event, filePath, encoding) => {
+  try {
+    const resolved = validateFileAccess(event.sender.id, filePath);
+    if (!resolved) {
+      return { success: false, error: 'Access denied: path outside open folder' };
+    }
+    const stat = await fs.stat(resolved);
+    if (looksBinary(await readHead(resolved, BINARY_SAMPLE_BYTES))) {
+      return { success: true, binary: true, size: stat.size };
+    }
+    if (stat.size > LARGE_FILE_BYTES) {
+      const truncated = stat.size > MAX_TEXT_BYTES;
+      const data = await readHead(resolved, MAX_TEXT_BYTES);
+      const used = isEncoding(encoding) ? encoding : detectEncoding(data, { partial: truncated });
+      return { success: true, content: decode(data, used), encoding: used, large: true, truncated, size: stat.size };
+    }
+    const data = await fs.readFile(resolved);
+    const used = isEncoding(encoding) ? encoding : detectEncoding(data);
+    return { success: true, content: decode(data, used), encoding: used, disk: diskState(stat, data) };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// `options.expected` is the disk state the content was based on. If the
+// file has since changed on disk, nothing is written and `conflict: true`
+// comes back so the renderer can ask before clobbering it.
+// `options.encoding` defaults to UTF-8.
+ipcMain.handle('write-file', async (event, filePath, content, options = {}) => {
+  try {
+    const resolved = validateFileAccess(event.sender.id, filePath);
+    if (!resolved) {
+      return { success: false, error: 'Access denied: path outside open folder' };
+    }
+    const expected = options.expected;
+    if (expected) {
+      const stat = await fs.stat(resolved).catch(() => null);
+      if (stat && !sameStat(stat, expected) && hashContent(await fs.readFile(resolved)) !== expected.hash) {
+        return { success: false, conflict: true, error: 'The file has been changed on disk' };
+      }
+    }
+    const data = encode(content, isEncoding(options.encoding) ? options.encoding : 'utf8');
+    // The first save of a file also keeps the version it replaces
+    const original = await hasHistory(getHistoryDir(), resolved) ? null : await readOriginal(resolved);
+    await fs.writeFile(resolved, data);
+    blameCache.delete(resolved);
+    const stat = await fs.stat(resolved);
+    await recordHistory(resolved, original, content);
+    return { success: true, disk: diskState(stat, data) };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// === Local history (see main/history.js) ===
+
+function getHistoryDir() {
+  return path.join(app.getPath('userData'), 'history');
+}
+
+// Text of a file about to be overwritten, if it's small enough to keep
+async function readOriginal(file) {
+  try {
+    const stat = await fs.stat(file);
+    if (stat.size > MAX_SNAPSHOT_BYTES) return null;
+    const data = await fs.readFile(file);
+    if (looksBinary(data.subarray(0, BINARY_SAMPLE_BYTES))) return null;
+    return decode(data, detectEncoding(data));
+  } catch (err) {
+    return null; // a new file
+  }
+}
+
+// A failed snapshot never fails the save
+async function recordHistory(file, original, content) {
+  try {
+    if (original !== null) await addSnapshot(getHistoryDir(), file, original, 'original');
+    await addSnapshot(getHistoryDir(), file, content, 'saved');
+  } catch (err) {
+    logToFile('warn', `local history for ${file} failed: ${err.message}`);
+  }
+}
+
+ipcMain.handle('get-file-history', async (event, filePath) => {
   try {
     const resolved = validateFileAccess(event.sender.id, filePath);
     if (!resolved) {
       return { success: false, error: 'Access denied: path outside open folder' };
     }
-    const content = await fs.readFile(resolved, 'utf-8');
-    return { success: true, content };
+    return { success: true, entries: await listSnapshots(getHistoryDir(), resolved) };
   } catch (err) {
     return { success: false, error: err.message };
   }
 });
 
-ipcMain.handle('write-file', async (event, filePath, content) => {
+ipcMain.handle('read-file-history', async (event, filePath, id) => {
   try {
     const resolved = validateFileAccess(event.sender.id, filePath);
     if (!resolved) {
       return { success: false, error: 'Access denied: path outside open folder' };
     }
-    await fs.writeFile(resolved, content, 'utf-8');
+    return { success: true, content: await readSnapshot(getHistoryDir(), resolved, String(id)) };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// Hex dump of the start of a file, for binary files
+ipcMain.handle('read-hex', async (event, filePath) => {
+  try {
+    const resolved = validateFileAccess(event.sender.id, filePath);
+    if (!resolved) {
+      return { success: false, error: 'Access denied: path outside open folder' };
+    }
+    const stat = await fs.stat(resolved);
+    const data = await readHead(resolved, HEX_VIEW_BYTES);
+    return { success: true, content: hexDump(data), truncated: stat.size > data.length, size: stat.size };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// Raw bytes of an image or PDF for a preview tab
+ipcMain.handle('read-preview', async (event, filePath) => {
+  try {
+    const resolved = validateFileAccess(event.sender.id, filePath);
+    if (!resolved) {
+      return { success: false, error: 'Access denied: path outside open folder' };
+    }
+    const stat = await fs.stat(resolved);
+    if (stat.size > MAX_PREVIEW_BYTES) {
+      return { success: false, error: `${path.basename(resolved)} is too large to preview` };
+    }
+    return { success: true, data: await fs.readFile(resolved), size: stat.size };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// Compare open tabs against disk. Takes [{ path, disk, encoding }] and
+// returns only the files that moved: { path, deleted: true }, or
+// { path, disk, content } with `content` omitted when only the mtime changed.
+ipcMain.handle('check-files', async (event, files) => {
+  const changes = [];
+  for (const { path: filePath, disk, encoding } of Array.isArray(files) ? files : []) {
+    const resolved = validateFileAccess(event.sender.id, filePath);
+    if (!resolved || !disk) continue;
+    try {
+      const stat = await fs.stat(resolved);
+      if (sameStat(stat, disk)) continue;
+      const data = await fs.readFile(resolved);
+      const state = diskState(stat, data);
+      changes.push(state.hash === disk.hash
+        ? { path: filePath, disk: state }
+        : { path: filePath, disk: state, content: decode(data, isEncoding(encoding) ? encoding : 'utf8') });
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        changes.push({ path: filePath, deleted: true });
+      }
+    }
+  }
+  return { success: true, changes };
+});
+
+// File tree operations. They need an open folder and only touch paths
+// strictly inside it: not the folder itself, and not the settings files
+// validateFileAccess lets anyone read and write. Returns the resolved path
+// or null.
+function validateTreePath(senderId, filePath) {
+  const allowed = allowedFolders.get(senderId);
+  if (!allowed) return null;
+  const resolved = path.resolve(filePath);
+  return resolved.startsWith(allowed + path.sep) ? resolved : null;
+}
+
+async function pathExists(p) {
+  try {
+    await fs.lstat(p);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// New empty file; fails rather than truncating an existing one
+ipcMain.handle('create-file', async (event, filePath) => {
+  try {
+    const resolved = validateTreePath(event.sender.id, filePath);
+    if (!resolved) {
+      return { success: false, error: 'Access denied: path outside open folder' };
+    }
+    await fs.writeFile(resolved, '', { flag: 'wx' });
+    return { success: true, path: resolved };
+  } catch (err) {
+    if (err.code === 'EEXIST') {
+      return { success: false, error: `"${path.basename(filePath)}" already exists` };
+    }
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('create-folder', async (event, folderPath) => {
+  try {
+    const resolved = validateTreePath(event.sender.id, folderPath);
+    if (!resolved) {
+      return { success: false, error: 'Access denied: path outside open folder' };
+    }
+    if (await pathExists(resolved)) {
+      return { success: false, error: `"${path.basename(resolved)}" already exists` };
+    }
+    await fs.mkdir(resolved);
+    return { success: true, path: resolved };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// Rename or move a file or folder. Never overwrites: the destination must
+// not exist, except for a case-only rename of the same entry.
+ipcMain.handle('rename-path', async (event, oldPath, newPath) => {
+  try {
+    const from = validateTreePath(event.sender.id, oldPath);
+    const to = validateTreePath(event.sender.id, newPath);
+    if (!from || !to) {
+      return { success: false, error: 'Access denied: path outside open folder' };
+    }
+    if (from === to) {
+      return { success: true, path: to };
+    }
+    if (to.startsWith(from + path.sep)) {
+      return { success: false, error: 'Cannot move a folder into itself' };
+    }
+    const caseOnly = from.toLowerCase() === to.toLowerCase();
+    if (!caseOnly && await pathExists(to)) {
+      return { success: false, error: `"${path.basename(to)}" already exists in that folder` };
+    }
+    await fs.rename(from, to);
+    logToFile('info', `renamed ${from} -> ${to}`);
+    return { success: true, path: to };
+  } catch (err) {
+    logToFile('warn', `rename-path failed: ${oldPath} -> ${newPath}: ${err.message}`);
+    return { success: false, error: err.message };
+  }
+});
+
+// Move to the system trash rather than deleting outright
+ipcMain.handle('trash-path', async (event, filePath) => {
+  try {
+    const resolved = validateTreePath(event.sender.id, filePath);
+    if (!resolved) {
+      return { success: false, error: 'Access denied: path outside open folder' };
+    }
+    await shell.trashItem(resolved);
+    logToFile('info', `moved to trash: ${resolved}`);
     return { success: true };
+  } catch (err) {
+    logToFile('warn', `trash-path failed: ${filePath}: ${err.message}`);
+    return { success: false, error: err.message };
+  }
+});
+
+// Copy a file or folder next to itself as "name copy.ext", "name copy 2.ext", ...
+ipcMain.handle('duplicate-path', async (event, filePath) => {
+  try {
+    const resolved = validateTreePath(event.sender.id, filePath);
+    if (!resolved) {
+      return { success: false, error: 'Access denied: path outside open folder' };
+    }
+    const stats = await fs.stat(resolved);
+    const ext = stats.isDirectory() ? '' : path.extname(resolved);
+    const stem = path.basename(resolved, ext);
+    let target;
+    for (let n = 1; ; n++) {
+      const suffix = n === 1 ? ' copy' : ` copy ${n}`;
+      target = path.join(path.dirname(resolved), `${stem}${suffix}${ext}`);
+      if (!await pathExists(target)) break;
+    }
+    await fs.cp(resolved, target, { recursive: true, errorOnExist: true, force: false });
+    return { success: true, path: target };
   } catch (err) {
     return { success: false, error: err.message };
   }
@@ -484,11 +1007,21 @@ ipcMain.handle('read-directory', async (event, dirPath) => {
       return { success: false, error: 'Access denied: path outside open folder' };
     }
     const entries = await fs.readdir(resolved, { withFileTypes: true });
-    const items = entries.map(entry => ({
-      name: entry.name,
-      path: path.join(resolved, entry.name),
-      isDirectory: entry.isDirectory()
-    }));
+    const engine = await getIgnoreEngine(event.sender.id);
+    const items = [];
+    for (const entry of entries) {
+      const item = {
+        name: entry.name,
+        path: path.join(resolved, entry.name),
+        isDirectory: entry.isDirectory()
+      };
+      // files.exclude hides an entry entirely; gitignored ones are flagged
+      // so the tree can dim them and Quick Open can skip them
+      const ignore = engine ? await engine.classifyEntry(item.path, item.isDirectory) : null;
+      if (ignore === 'excluded') continue;
+      item.ignored = ignore === 'gitignored';
+      items.push(item);
+    }
     // Sort: directories first, then alphabetically
     items.sort((a, b) => {
       if (a.isDirectory && !b.isDirectory) return -1;
@@ -502,6 +1035,69 @@ ipcMain.handle('read-directory', async (event, dirPath) => {
   }
 });
 
+ipcMain.handle('show-open-dialog', async (event, kind) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  return showOpenDialogFor(win, kind === 'folder' ? 'folder' : 'file');
+});
+
+ipcMain.handle('new-window', () => {
+  createWindow();
+  return { success: true };
+});
+
+ipcMain.handle('get-keybindings', () => getKeybindingsPayload());
+
+ipcMain.handle('get-settings', (event) => getWindowSettings(event.sender.id));
+
+// Change one setting in the user or project settings file; a null value
+// removes the key so the next layer (or the default) applies again. The
+// watchers pick up the write and broadcast the new settings.
+ipcMain.handle('update-setting', async (event, key, value, target) => {
+  try {
+    const file = await getSettingsFilePath(event.sender.id, target);
+    await writeSetting(file, key, value === null ? undefined : value);
+    return { success: true };
+  } catch (err) {
+    logToFile('warn', `update-setting ${key} failed: ${err.message}`);
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('open-settings-file', async (event, target) => {
+  try {
+    const file = await getSettingsFilePath(event.sender.id, target);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, '{\n}\n', { flag: 'wx' }).catch((err) => {
+      if (err.code !== 'EEXIST') throw err;
+    });
+    return { success: true, path: file };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+async function getSettingsFilePath(senderId, target) {
+  if (target === 'project') {
+    const folder = allowedFolders.get(senderId);
+    if (!folder) throw new Error('Open a folder first');
+    return getProjectSettingsPath(folder);
+  }
+  return getUserSettingsPath(app.getPath('userData'));
+}
+
+// Create keybindings.json on first use so there is something to open
+ipcMain.handle('open-keybindings-file', async () => {
+  const file = getKeybindingsPath();
+  try {
+    await fs.writeFile(file, '{\n}\n', { flag: 'wx' });
+  } catch (err) {
+    if (err.code !== 'EEXIST') {
+      return { success: false, error: err.message };
+    }
+  }
+  return { success: true, path: file };
+});
+
 ipcMain.handle('show-save-dialog', async (event) => {
   const win = BrowserWindow.fromWebContents(event.sender);
   const result = await dialog.showSaveDialog(win, {
@@ -525,64 +1121,371 @@ ipcMain.handle('show-message-box', async (event, options) => {
   return result;
 });
 
+// Links clicked in the Markdown preview; only web and mail links leave the app
+ipcMain.handle('open-external', async (event, url) => {
+  if (typeof url !== 'string' || !/^(https?|mailto):/i.test(url)) {
+    return { success: false, error: 'Only http(s) and mailto links can be opened' };
+  }
+  try {
+    await shell.openExternal(url);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// The tree's git markers come from main/git.js getStatus, kept per window
+// until the folder watcher reports a change or git's own files move (the
+// index, HEAD and its reflog, since the watcher leaves .git out), so
+// re-rendering the tree doesn't run git each time
+const gitStatusCache = new Map(); // senderId -> { folder, gitDirs, stamp, result }
+
+// Modification times of the files a stage, commit or checkout rewrites
+async function getGitStamp(gitDirs) {
+  const files = gitDirs.flatMap(dir => ['index', 'HEAD', 'logs/HEAD'].map(name => path.join(dir, name)));
+  const times = await Promise.all(files.map(file => fs.stat(file).then(stat => stat.mtimeMs, () => 0)));
+  return times.join(',');
+}
+
+// One word per path for the tree: a conflict first, then what isn't
+// staged, then what is. A new file stays 'added' while it's edited further.
+function summarizeGitStatus({ index, worktree }) {
+  if (['conflicted', 'untracked', 'ignored'].includes(worktree)) return worktree;
+  if (index === 'added' && worktree !== 'deleted') return 'added';
+  const change = worktree || index;
+  return ['modified', 'added', 'deleted', 'renamed'].includes(change) ? change : 'changed';
+}
+
+// `status` maps absolute paths to { status, index, worktree, submodule }:
+// the summary word plus getStatus's entry. Folders holding changes get
+// { status: 'modified' }, or 'conflicted' with a conflict anywhere inside.
 ipcMain.handle('get-git-status', async (event, folderPath) => {
   try {
-    const resolvedFolder = validateFileAccess(event.sender.id, folderPath);
+    const senderId = event.sender.id;
+    const resolvedFolder = validateFileAccess(senderId, folderPath);
     if (!resolvedFolder) {
       return { success: false, error: 'Access denied: path outside open folder' };
     }
-    const { execFile } = require('child_process');
-    return new Promise((resolve) => {
-      execFile('git', ['status', '--porcelain'], { cwd: resolvedFolder }, (error, stdout, stderr) => {
-        if (error) {
-          // Not a git repo or git not installed
-          resolve({ success: false, error: error.message });
-          return;
+    const cached = gitStatusCache.get(senderId);
+    if (cached && cached.folder === resolvedFolder && cached.stamp === await getGitStamp(cached.gitDirs)) {
+      return cached.result;
+    }
+
+    const found = await getStatus(resolvedFolder);
+    if (!found) {
+      gitStatusCache.delete(senderId);
+      return { success: false, error: 'Not in a git repository' };
+    }
+    const status = {};
+    for (const [file, entry] of Object.entries(found.files)) {
+      const summary = summarizeGitStatus(entry);
+      status[file] = { status: summary, ...entry };
+      // Ignored paths leave their folders alone
+      if (summary === 'ignored') continue;
+
+      // Also mark all parent directories
+      let parentPath = path.dirname(file);
+      while (parentPath !== resolvedFolder && parentPath.startsWith(resolvedFolder + path.sep)) {
+        if (!status[parentPath]) {
+          status[parentPath] = { status: 'modified' }; // Folders with changes show as modified
         }
+        if (summary === 'conflicted') {
+          status[parentPath].status = 'conflicted'; // Conflicts stand out all the way up
+        }
+        parentPath = path.dirname(parentPath);
+      }
+    }
 
-        const status = {};
-        const lines = stdout.trim().split('\n').filter(line => line);
+    const result = { success: true, status };
+    gitStatusCache.set(senderId, {
+      folder: resolvedFolder,
+      gitDirs: found.gitDirs,
+      stamp: await getGitStamp(found.gitDirs),
+      result
+    });
+    return result;
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
 
-        for (const line of lines) {
-          const code = line.substring(0, 2);
-          // Rename entries look like "R  old -> new" — we want the new path.
-          let rawPath = line.substring(3);
-          if (code.includes('R') && rawPath.includes(' -> ')) {
-            rawPath = rawPath.split(' -> ').pop();
-          }
-          // Handle paths that may have quotes or spaces
-          let filePath = rawPath.replace(/^"/, '').replace(/"$/, '');
-          const fullPath = path.normalize(path.join(resolvedFolder, filePath));
-
-          // Parse git status codes
-          let fileStatus;
-          if (code.includes('M')) {
-            fileStatus = 'modified';
-          } else if (code.includes('A') || code === '??') {
-            fileStatus = 'added';
-          } else if (code.includes('D')) {
-            fileStatus = 'deleted';
-          } else if (code.includes('R')) {
-            fileStatus = 'renamed';
-          } else {
-            fileStatus = 'changed';
-          }
+// Gutter markers: how `content` (the editor's buffer, saved or not) differs
+// from the version of the file in the git index. `changes` holds the
+// changed blocks from main/line-diff.js, each with the index's lines in
+// `originalLines`; `tracked` is false outside a repository and for files
+// git doesn't know about.
+ipcMain.handle('get-git-line-changes', async (event, filePath, content, encoding) => {
+  try {
+    const resolved = validateFileAccess(event.sender.id, filePath);
+    if (!resolved) {
+      return { success: false, error: 'Access denied: path outside open folder' };
+    }
+    if (typeof content !== 'string' || content.length > LARGE_FILE_BYTES) {
+      return { success: true, tracked: false, changes: [] };
+    }
+    const data = await readIndexFile(resolved);
+    if (!data || looksBinary(data.subarray(0, BINARY_SAMPLE_BYTES))) {
+      return { success: true, tracked: false, changes: [] };
+    }
+    const original = decode(data, isEncoding(encoding) ? encoding : detectEncoding(data)).split(/\r?\n/);
+    const changes = diffLines(original, content.split(/\r?\n/)).map(change => ({
+      ...change,
+      originalLines: original.slice(change.originalStart, change.originalStart + change.originalCount)
+    }));
+    return { success: true, tracked: true, changes };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
 
-          status[fullPath] = fileStatus;
+// === Source control (see main/git.js) ===
+// Every action runs in the window's open folder, on files inside it
 
-          // Also mark all parent directories
-          let parentPath = path.dirname(fullPath);
-          while (parentPath !== resolvedFolder && parentPath.startsWith(resolvedFolder + path.sep)) {
-            if (!status[parentPath]) {
-              status[parentPath] = 'modified'; // Folders with changes show as modified
-            }
-            parentPath = path.dirname(parentPath);
-          }
-        }
+// Resolved paths for a git action, or null if any is outside the open folder
+function validateGitFiles(senderId, files) {
+  if (!allowedFolders.get(senderId) || !Array.isArray(files) || files.length === 0) return null;
+  const resolved = files.map(file => (typeof file === 'string' ? validatePath(senderId, file) : null));
+  return resolved.includes(null) ? null : resolved;
+}
 
-        resolve({ success: true, status });
-      });
+// Staged and unstaged changes in the open folder; `repository` is false if
+// it isn't in one
+ipcMain.handle('get-git-changes', async (event) => {
+  try {
+    const folder = allowedFolders.get(event.sender.id);
+    if (!folder) {
+      return { success: false, error: 'Open a folder first' };
+    }
+    const changes = await getChanges(folder);
+    return changes ? { success: true, repository: true, ...changes } : { success: true, repository: false };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('git-stage', async (event, files) => {
+  try {
+    const resolved = validateGitFiles(event.sender.id, files);
+    if (!resolved) {
+      return { success: false, error: 'Access denied: path outside open folder' };
+    }
+    await stage(allowedFolders.get(event.sender.id), resolved);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('git-unstage', async (event, files) => {
+  try {
+    const resolved = validateGitFiles(event.sender.id, files);
+    if (!resolved) {
+      return { success: false, error: 'Access denied: path outside open folder' };
+    }
+    await unstage(allowedFolders.get(event.sender.id), resolved);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// Tracked files go back to their staged version; untracked ones go to the
+// Trash, as a delete from the tree does
+ipcMain.handle('git-discard', async (event, files) => {
+  try {
+    const resolved = validateGitFiles(event.sender.id, files);
+    if (!resolved) {
+      return { success: false, error: 'Access denied: path outside open folder' };
+    }
+    const folder = allowedFolders.get(event.sender.id);
+    if (resolved.includes(folder)) {
+      return { success: false, error: "The open folder itself can't be discarded" };
+    }
+    const untracked = await discard(folder, resolved);
+    for (const file of untracked) {
+      await shell.trashItem(file);
+    }
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('git-commit', async (event, message, options = {}) => {
+  try {
+    const folder = allowedFolders.get(event.sender.id);
+    if (!folder) {
+      return { success: false, error: 'Open a folder first' };
+    }
+    if (typeof message !== 'string' || !message.trim()) {
+      return { success: false, error: 'The commit message is empty' };
+    }
+    await commit(folder, message, { all: !!options.all });
+    blameCache.clear();
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// The status bar's branch indicator; `repository` is false outside one
+ipcMain.handle('get-git-branch', async (event) => {
+  try {
+    const folder = allowedFolders.get(event.sender.id);
+    if (!folder) {
+      return { success: false, error: 'Open a folder first' };
+    }
+    const info = await getBranchInfo(folder);
+    return info ? { success: true, repository: true, ...info } : { success: true, repository: false };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('get-git-branches', async (event) => {
+  try {
+    const folder = allowedFolders.get(event.sender.id);
+    if (!folder) {
+      return { success: false, error: 'Open a folder first' };
+    }
+    return { success: true, branches: await listBranches(folder) };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('git-checkout', async (event, name, options = {}) => {
+  try {
+    const folder = allowedFolders.get(event.sender.id);
+    if (!folder) {
+      return { success: false, error: 'Open a folder first' };
+    }
+    if (typeof name !== 'string' || !name) {
+      return { success: false, error: 'No branch name given' };
+    }
+    await checkoutBranch(folder, name, { create: !!options.create, remote: !!options.remote });
+    blameCache.clear();
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// A file's text in the last commit, for diffs against HEAD. `content` is
+// null for a file that isn't in it (new, or no commits yet).
+ipcMain.handle('get-git-head-content', async (event, filePath) => {
+  try {
+    const resolved = validateFileAccess(event.sender.id, filePath);
+    if (!resolved) {
+      return { success: false, error: 'Access denied: path outside open folder' };
+    }
+    const data = await readHeadFile(resolved);
+    if (!data) {
+      return { success: true, content: null };
+    }
+    if (looksBinary(data.subarray(0, BINARY_SAMPLE_BYTES))) {
+      return { success: true, binary: true };
+    }
+    return { success: true, content: decode(data, detectEncoding(data)) };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// Blaming a whole file walks its history, so answers are kept until the
+// file is saved or changes on disk, or its repository's git stamp moves (a
+// commit or checkout, here or in a terminal)
+const MAX_CACHED_BLAMES = 50;
+const blameCache = new Map(); // resolved path -> { mtimeMs, size, stamp, result }, oldest first
+
+// Who last changed each line of a file as saved, from main/git.js
+// blameFile. `tracked` is false outside a repository, for files git doesn't
+// know about and for large files.
+ipcMain.handle('get-git-blame', async (event, filePath) => {
+  try {
+    const resolved = validateFileAccess(event.sender.id, filePath);
+    if (!resolved) {
+      return { success: false, error: 'Access denied: path outside open folder' };
+    }
+    const stat = await fs.stat(resolved);
+    const repository = await getRepository(path.dirname(resolved));
+    const stamp = repository ? await getGitStamp([repository.gitDir]) : '';
+    const cached = blameCache.get(resolved);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size && cached.stamp === stamp) {
+      return cached.result;
+    }
+    const blame = stat.size > LARGE_FILE_BYTES ? null : await blameFile(resolved);
+    const result = blame ? { success: true, tracked: true, ...blame } : { success: true, tracked: false };
+    blameCache.delete(resolved);
+    blameCache.set(resolved, { mtimeMs: stat.mtimeMs, size: stat.size, stamp, result });
+    if (blameCache.size > MAX_CACHED_BLAMES) {
+      blameCache.delete(blameCache.keys().next().value);
+    }
+    return result;
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// === Hot exit backups (see main/backups.js) ===
+
+// Backup keys each window has written or restored, so closing a window
+// with "Don't Save" drops only its own
+const backupOwners = new Map(); // senderId -> Set of keys
+
+function getBackupsDir() {
+  return path.join(app.getPath('userData'), 'backups');
+}
+
+function ownBackup(senderId, key) {
+  if (!backupOwners.has(senderId)) backupOwners.set(senderId, new Set());
+  backupOwners.get(senderId).add(key);
+}
+
+async function discardBackups(senderId) {
+  for (const key of backupOwners.get(senderId) || []) {
+    await deleteBackup(getBackupsDir(), key);
+  }
+  backupOwners.delete(senderId);
+}
+
+ipcMain.handle('write-backup', async (event, backup) => {
+  try {
+    if (!backup || typeof backup.key !== 'string' || typeof backup.content !== 'string') {
+      return { success: false, error: 'Invalid backup' };
+    }
+    await writeBackup(getBackupsDir(), {
+      key: backup.key,
+      path: typeof backup.path === 'string' ? backup.path : null,
+      name: typeof backup.name === 'string' ? backup.name : 'untitled',
+      content: backup.content,
+      encoding: typeof backup.encoding === 'string' ? backup.encoding : null,
+      eol: backup.eol === '\r\n' ? '\r\n' : '\n'
     });
+    ownBackup(event.sender.id, backup.key);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('delete-backup', async (event, key) => {
+  try {
+    if (typeof key !== 'string') return { success: false, error: 'Invalid backup' };
+    await deleteBackup(getBackupsDir(), key);
+    backupOwners.get(event.sender.id)?.delete(key);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// Backups left by the last run; the window restoring them takes them over
+ipcMain.handle('read-backups', async (event) => {
+  try {
+    const backups = await readBackups(getBackupsDir());
+    for (const backup of backups) ownBackup(event.sender.id, backup.key);
+    return { success: true, backups };
   } catch (err) {
     return { success: false, error: err.message };
   }
@@ -609,6 +1512,7 @@ ipcMain.handle('set-open-folder', (event, folderPath) => {
   // Track allowed folder for path validation
   const resolved = path.resolve(folderPath);
   allowedFolders.set(event.sender.id, resolved);
+  ignoreEngines.delete(event.sender.id);
 
   // Title each window after its folder (with parent dir) so the Dock's
   // window list can tell same-named checkouts apart
@@ -625,6 +1529,8 @@ ipcMain.handle('set-open-folder', (event, folderPath) => {
   }
 
   updateDockMenu();
+  // The new folder may bring its own .codelight/settings.json
+  sendSettings(win);
   return { success: true };
 });
 
@@ -639,6 +1545,7 @@ function cleanupWatcher(senderId) {
     entry.watcher.close();
     watchers.delete(senderId);
   }
+  gitStatusCache.delete(senderId);
 }
 
 ipcMain.handle('watch-folder', async (event, folderPath) => {
@@ -657,17 +1564,32 @@ ipcMain.handle('watch-folder', async (event, folderPath) => {
 
     const entry = { watcher: null, debounceTimer: null };
 
-    const watcher = watch(resolved, { recursive: true }, (eventType, filename) => {
-      // Skip hidden files and common ignored patterns
-      if (filename && (
-        filename.startsWith('.') ||
-        filename.includes('node_modules') ||
-        filename.includes('.git') ||
-        filename.includes('__pycache__')
-      )) {
-        return;
+    const watcher = watch(resolved, { recursive: true }, async (eventType, filename) => {
+      if (filename) {
+        const relPath = toPosix(filename);
+        if (path.basename(relPath) === '.gitignore' || relPath === '.codelight/settings.json') {
+          // Ignore rules changed: rebuild the engine and let the tree refresh
+          ignoreEngines.delete(senderId);
+          if (relPath === '.codelight/settings.json') {
+            sendSettings(BrowserWindow.fromWebContents(event.sender));
+          }
+        } else {
+          // Skip churn in excluded/gitignored paths (node_modules, build output, ...)
+          const engine = await getIgnoreEngine(senderId);
+          if (engine && await engine.isIgnored(path.join(resolved, filename))) {
+            return;
+          }
+          const index = fileIndexes.get(senderId);
+          if (index) {
+            index.update(filename).catch((err) => {
+              logToFile('warn', `file index update failed: ${filename}: ${err.message}`);
+            });
+          }
+        }
       }
 
+      gitStatusCache.delete(senderId);
+
       // Debounce: wait 300ms after the last change before notifying
       if (entry.debounceTimer) {
         clearTimeout(entry.debounceTimer);
@@ -698,83 +1620,210 @@ ipcMain.handle('unwatch-folder', async (event) => {
   return { success: true };
 });
 
+// Quick Open's file list. Pass the version from the last reply to get
+// `unchanged: true` instead of the whole list when nothing has moved.
+ipcMain.handle('get-file-index', async (event, knownVersion) => {
+  try {
+    const index = await getFileIndex(event.sender.id);
+    if (!index) {
+      return { success: false, error: 'Open a folder first' };
+    }
+    await index.build();
+    if (knownVersion === index.version) {
+      return { success: true, version: index.version, unchanged: true };
+    }
+    return {
+      success: true,
+      version: index.version,
+      root: index.root,
+      files: index.list(),
+      truncated: index.truncated
+    };
+  } catch (err) {
+    logToFile('error', `get-file-index failed: ${err.message}`);
+    return { success: false, error: err.message };
+  }
+});
+
 // Project-wide search
-const SEARCH_SKIP_DIRS = new Set(['node_modules', '.git', 'dist', 'build', 'out', '__pycache__', 'venv', '.venv']);
-const SEARCH_MAX_FILE_SIZE = 1024 * 1024; // skip files over 1MB
-const SEARCH_MAX_RESULTS = 2000;
+// The walk runs in a worker thread (main/search-worker.js) that streams
+// results back in batches; each window has at most one search in flight and
+// starting another — or an explicit search-cancel — terminates it.
+// Workers can't load scripts from inside app.asar, so src/main is unpacked
+// in packaged builds (see asarUnpack in electron-builder.yml).
+const SEARCH_WORKER_PATH = path.join(__dirname, 'main', 'search-worker.js')
+  .replace(`app.asar${path.sep}`, `app.asar.unpacked${path.sep}`);
+const searches = new Map(); // senderId -> { worker, finish }
+// Bumped by every cancel, so a search still setting up can tell it was
+// overtaken by a newer one or cancelled before its worker started
+const searchGenerations = new Map(); // senderId -> number
+
+function cancelSearch(senderId) {
+  searchGenerations.set(senderId, (searchGenerations.get(senderId) || 0) + 1);
+  const search = searches.get(senderId);
+  if (search) {
+    searches.delete(senderId);
+    search.worker.terminate();
+    search.finish({ success: true, cancelled: true });
+  }
+}
 
+// Resolves once the search finishes or is cancelled; matches arrive before
+// that as 'search-results' events tagged with the renderer's searchId
 ipcMain.handle('search-in-folder', async (event, query, options) => {
+  const senderId = event.sender.id;
+  cancelSearch(senderId);
+  const generation = searchGenerations.get(senderId);
   try {
-    const folder = allowedFolders.get(event.sender.id);
+    const folder = allowedFolders.get(senderId);
     if (!folder) {
       return { success: false, error: 'Open a folder to search' };
     }
     if (typeof query !== 'string' || query.length < 2) {
-      return { success: true, results: [], filesSearched: 0, truncated: false };
+      return { success: true, filesSearched: 0, truncated: false };
     }
 
-    const caseSensitive = !!(options && options.caseSensitive);
-    const needle = caseSensitive ? query : query.toLowerCase();
-    const results = [];
-    let filesSearched = 0;
-    let truncated = false;
+    const opts = options || {};
+    const searchOptions = {
+      caseSensitive: !!opts.caseSensitive,
+      wholeWord: !!opts.wholeWord,
+      useRegex: !!opts.useRegex,
+      include: typeof opts.include === 'string' ? opts.include : '',
+      exclude: typeof opts.exclude === 'string' ? opts.exclude : '',
+      replacement: typeof opts.replacement === 'string' ? opts.replacement : undefined
+    };
+    // Validate here so a bad regex is reported without spinning up a worker
+    try {
+      buildSearchRegex(query, searchOptions);
+    } catch (err) {
+      return { success: false, error: `Invalid regular expression: ${err.message}` };
+    }
+    const excludes = (await getWindowSettings(senderId)).effective['files.exclude'];
+    if (searchGenerations.get(senderId) !== generation) {
+      return { success: true, cancelled: true };
+    }
+    const searchId = opts.searchId;
 
-    async function searchFile(filePath) {
-      let buf;
-      try {
-        const stat = await fs.stat(filePath);
-        if (stat.size > SEARCH_MAX_FILE_SIZE) return;
-        buf = await fs.readFile(filePath);
-      } catch (err) {
-        return;
-      }
-      if (buf.includes(0)) return; // binary file
-      filesSearched++;
-
-      const lines = buf.toString('utf-8').split('\n');
-      for (let i = 0; i < lines.length && !truncated; i++) {
-        const haystack = caseSensitive ? lines[i] : lines[i].toLowerCase();
-        let idx = haystack.indexOf(needle);
-        while (idx !== -1) {
-          results.push({
-            file: filePath,
-            relPath: path.relative(folder, filePath),
-            line: i + 1,
-            col: idx + 1,
-            text: lines[i].slice(0, 300),
-            matchLength: query.length
-          });
-          if (results.length >= SEARCH_MAX_RESULTS) {
-            truncated = true;
-            break;
+    return await new Promise((resolve) => {
+      const worker = new Worker(SEARCH_WORKER_PATH, {
+        workerData: { folder, query, options: searchOptions, excludes }
+      });
+      let settled = false;
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        if (searches.get(senderId)?.worker === worker) {
+          searches.delete(senderId);
+        }
+        resolve(result);
+      };
+
+      worker.on('message', (msg) => {
+        if (msg.type === 'batch') {
+          if (!event.sender.isDestroyed()) {
+            event.sender.send('search-results', {
+              searchId,
+              results: msg.results,
+              filesSearched: msg.filesSearched
+            });
           }
-          idx = haystack.indexOf(needle, idx + needle.length);
+        } else if (msg.type === 'done') {
+          finish({ success: true, filesSearched: msg.filesSearched, truncated: msg.truncated });
+          worker.terminate();
+        } else if (msg.type === 'error') {
+          logToFile('error', `search failed: ${msg.error}`);
+          finish({ success: false, error: msg.error });
+          worker.terminate();
         }
-      }
+      });
+      worker.on('error', (err) => {
+        logToFile('error', `search worker error: ${err.message}`);
+        finish({ success: false, error: err.message });
+      });
+      worker.on('exit', () => finish({ success: true, cancelled: true }));
+
+      searches.set(senderId, { worker, finish });
+    });
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('search-cancel', (event) => {
+  cancelSearch(event.sender.id);
+  return { success: true };
+});
+
+// Replace in files: `files` is
+// [{ file, matches: [{ line, col, text, matchLength }], content? }], each
+// match as the search reported it (see applyReplacements).
+// Files on disk are rewritten here after the same validation as write-file.
+// When the renderer passes `content` (a tab with unsaved edits) nothing is
+// written and the edits apply to that text instead. Edits are always
+// returned so open tabs can update their editor models to match.
+ipcMain.handle('replace-in-files', async (event, query, options, files) => {
+  try {
+    if (!allowedFolders.get(event.sender.id)) {
+      return { success: false, error: 'Open a folder to replace' };
+    }
+    if (typeof query !== 'string' || query.length === 0 || !Array.isArray(files)) {
+      return { success: false, error: 'Invalid replace request' };
     }
 
-    async function walk(dir) {
-      if (truncated) return;
-      let entries;
-      try {
-        entries = await fs.readdir(dir, { withFileTypes: true });
-      } catch (err) {
-        return;
+    const opts = options || {};
+    const useRegex = !!opts.useRegex;
+    const replacement = typeof opts.replacement === 'string' ? opts.replacement : '';
+    let regex;
+    try {
+      regex = buildSearchRegex(query, {
+        caseSensitive: !!opts.caseSensitive,
+        wholeWord: !!opts.wholeWord,
+        useRegex
+      });
+    } catch (err) {
+      return { success: false, error: `Invalid regular expression: ${err.message}` };
+    }
+
+    const results = [];
+    for (const entry of files) {
+      const resolved = entry && typeof entry.file === 'string'
+        ? validateFileAccess(event.sender.id, entry.file)
+        : null;
+      if (!resolved) {
+        results.push({ file: entry?.file, success: false, error: 'Access denied: path outside open folder' });
+        continue;
       }
-      for (const entry of entries) {
-        if (truncated) return;
-        if (entry.name.startsWith('.') || SEARCH_SKIP_DIRS.has(entry.name)) continue;
-        const full = path.join(dir, entry.name);
-        if (entry.isDirectory()) {
-          await walk(full);
-        } else if (entry.isFile()) {
-          await searchFile(full);
+      const selected = new Map((entry.matches || []).map(m => [`${m.line}:${m.col}`, m]));
+      try {
+        const inEditor = typeof entry.content === 'string';
+        // Files replaced on disk keep their encoding
+        const data = inEditor ? null : await fs.readFile(resolved);
+        const encoding = inEditor ? null : detectEncoding(data);
+        const text = inEditor ? entry.content : decode(data, encoding);
+        const { content, edits, skipped } = applyReplacements(text, regex, selected, replacement, useRegex);
+        // What's now on disk, for the file's open tab, like write-file
+        let disk;
+        if (!inEditor && edits.length > 0) {
+          const written = encode(content, encoding);
+          await fs.writeFile(resolved, written);
+          blameCache.delete(resolved);
+          disk = diskState(await fs.stat(resolved), written);
         }
+        results.push({
+          file: entry.file,
+          success: true,
+          replaced: edits.length,
+          skipped,
+          written: !!disk,
+          disk,
+          edits
+        });
+      } catch (err) {
+        logToFile('error', `replace-in-files failed: ${resolved}: ${err.message}`);
+        results.push({ file: entry.file, success: false, error: err.message });
       }
     }
-
-    await walk(folder);
-    return { success: true, results, filesSearched, truncated };
+    return { success: true, results };
   } catch (err) {
     return { success: false, error: err.message };
   }
@@ -860,8 +1909,11 @@ ipcMain.handle('terminal-kill', (event) => {
 app.whenReady().then(async () => {
   logToFile('info', `CodeLight ${app.getVersion()} started (packaged=${app.isPackaged}, arch=${process.arch}, platform=${process.platform})`);
   await loadWindowState();
+  await loadKeybindings();
   createMenu();
-  createWindow();
+  const win = createWindow();
+  reportKeybindingProblems(win);
+  watchConfigFiles();
 
   // Initialize dock menu (macOS)
   updateDockMenu();
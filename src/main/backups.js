@@ -0,0 +1,64 @@
+// Hot exit backups.
+// The renderer copies every tab with unsaved changes here (see
+// src/modules/hot-exit.js), so quitting needs no save prompt and a crash
+// loses at most the last moment of typing. Each tab is one JSON file in
+// <userData>/backups named after a hash of its key (the file path, or an id
+// for untitled tabs):
+//   { key, path, name, content, encoding, eol, savedAt }
+// The next launch reopens them with the tab still modified.
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+function backupFile(dir, key) {
+  const name = crypto.createHash('sha1').update(key).digest('hex').slice(0, 20);
+  return path.join(dir, `${name}.json`);
+}
+
+// Written to a temp file and renamed, so a crash mid-write never leaves a
+// half-written backup in place of the previous one
+async function writeBackup(dir, backup) {
+  await fs.mkdir(dir, { recursive: true });
+  const file = backupFile(dir, backup.key);
+  const temp = `${file}.tmp`;
+  await fs.writeFile(temp, JSON.stringify({ ...backup, savedAt: Date.now() }), 'utf-8');
+  await fs.rename(temp, file);
+}
+
+async function deleteBackup(dir, key) {
+  try {
+    await fs.unlink(backupFile(dir, key));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
+// Every readable backup, oldest first; unreadable ones are skipped
+async function readBackups(dir) {
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const backups = [];
+  for (const name of names.filter(n => n.endsWith('.json'))) {
+    try {
+      const backup = JSON.parse(await fs.readFile(path.join(dir, name), 'utf-8'));
+      if (typeof backup.key === 'string' && typeof backup.content === 'string') {
+        backups.push(backup);
+      }
+    } catch (err) {
+      // A damaged backup is left alone rather than blocking the rest
+    }
+  }
+  return backups.sort((a, b) => (a.savedAt || 0) - (b.savedAt || 0));
+}
+
+module.exports = {
+  writeBackup,
+  deleteBackup,
+  readBackups
+};
@@ -0,0 +1,64 @@
+// Large and binary files.
+// read-file looks at a file's size and first bytes before reading it, so a
+// huge log or an image never ends up decoded as one giant string:
+//   - a NUL byte near the start (and no UTF-16 signs) means binary; the
+//     renderer shows a placeholder and, on request, a hex dump of the start
+//   - text over LARGE_FILE_BYTES opens read-only with heavy editor features
+//     off, and only the first MAX_TEXT_BYTES of it are loaded
+
+const fs = require('fs').promises;
+const { detectEncoding } = require('./encoding');
+
+const BINARY_SAMPLE_BYTES = 8192;
+const LARGE_FILE_BYTES = 10 * 1024 * 1024;
+const MAX_TEXT_BYTES = 50 * 1024 * 1024;
+const HEX_VIEW_BYTES = 1024 * 1024;
+// Images and PDFs are sent to the renderer whole
+const MAX_PREVIEW_BYTES = 100 * 1024 * 1024;
+
+// The first `bytes` bytes of a file (fewer if it's shorter)
+async function readHead(file, bytes) {
+  const handle = await fs.open(file, 'r');
+  try {
+    const buffer = Buffer.alloc(bytes);
+    const { bytesRead } = await handle.read(buffer, 0, bytes, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+function looksBinary(sample) {
+  if (detectEncoding(sample, { partial: true }).startsWith('utf16')) return false;
+  return sample.includes(0);
+}
+
+function printable(byte) {
+  return byte >= 0x20 && byte < 0x7F ? String.fromCharCode(byte) : '.';
+}
+
+// Classic 16-bytes-per-line dump:
+// 00000000  89 50 4e 47 0d 0a 1a 0a  00 00 00 0d 49 48 44 52  |.PNG........IHDR|
+function hexDump(data) {
+  const lines = [];
+  for (let offset = 0; offset < data.length; offset += 16) {
+    const row = data.subarray(offset, offset + 16);
+    const hex = [];
+    for (let i = 0; i < 16; i++) {
+      hex.push(i < row.length ? row[i].toString(16).padStart(2, '0') : '  ');
+    }
+    lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.slice(0, 8).join(' ')}  ${hex.slice(8).join(' ')}  |${Array.from(row, printable).join('')}|`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  BINARY_SAMPLE_BYTES,
+  LARGE_FILE_BYTES,
+  MAX_TEXT_BYTES,
+  HEX_VIEW_BYTES,
+  MAX_PREVIEW_BYTES,
+  readHead,
+  looksBinary,
+  hexDump
+};
@@ -0,0 +1,120 @@
+// Text encodings.
+// Files are read as bytes and decoded here, so a file keeps the encoding
+// (and BOM) it was opened with when it's saved again. Detection order:
+//   1. a byte order mark (UTF-8, UTF-16 LE/BE)
+//   2. UTF-16 without a BOM, recognised by its pattern of zero bytes
+//   3. valid UTF-8
+//   4. anything else is taken as ISO 8859-1, which can decode any bytes
+// The renderer keeps its own copy of the ids and labels
+// (src/modules/encoding.js).
+
+const ENCODINGS = {
+  utf8: 'UTF-8',
+  utf8bom: 'UTF-8 with BOM',
+  utf16le: 'UTF-16 LE',
+  utf16be: 'UTF-16 BE',
+  latin1: 'Western (ISO 8859-1)'
+};
+
+const BOMS = {
+  utf8bom: Buffer.from([0xEF, 0xBB, 0xBF]),
+  utf16le: Buffer.from([0xFF, 0xFE]),
+  utf16be: Buffer.from([0xFE, 0xFF])
+};
+
+// How much of the file the UTF-16 check looks at
+const SAMPLE_BYTES = 4096;
+
+function isEncoding(encoding) {
+  return Object.prototype.hasOwnProperty.call(ENCODINGS, encoding);
+}
+
+function startsWith(data, bom) {
+  return data.length >= bom.length && data.subarray(0, bom.length).equals(bom);
+}
+
+// Mostly-ASCII UTF-16 has a zero in every other byte: the high byte of each
+// code unit. Returns 'utf16le', 'utf16be' or null.
+function guessUtf16(data) {
+  const length = Math.min(data.length, SAMPLE_BYTES) & ~1;
+  if (length < 4) return null;
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (data[i] === 0) evenZeros++;
+    if (data[i + 1] === 0) oddZeros++;
+  }
+  const pairs = length / 2;
+  if (oddZeros > pairs * 0.4 && evenZeros < pairs * 0.05) return 'utf16le';
+  if (evenZeros > pairs * 0.4 && oddZeros < pairs * 0.05) return 'utf16be';
+  return null;
+}
+
+// `partial` data may end in the middle of a character, which is fine
+function isValidUtf8(data, partial) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(data, { stream: partial });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// `options.partial`: data is only the start of the file
+function detectEncoding(data, options = {}) {
+  for (const [encoding, bom] of Object.entries(BOMS)) {
+    if (startsWith(data, bom)) return encoding;
+  }
+  return guessUtf16(data) || (isValidUtf8(data, !!options.partial) ? 'utf8' : 'latin1');
+}
+
+function swapBytes(data) {
+  const swapped = Buffer.from(data.subarray(0, data.length & ~1));
+  return swapped.swap16();
+}
+
+// Bytes -> text, without the BOM
+function decode(data, encoding) {
+  const bom = BOMS[encoding];
+  const body = bom && startsWith(data, bom) ? data.subarray(bom.length) : data;
+  switch (encoding) {
+    case 'utf16le':
+      return body.toString('utf16le');
+    case 'utf16be':
+      return swapBytes(body).toString('utf16le');
+    case 'latin1':
+      return body.toString('latin1');
+    default:
+      return body.toString('utf-8');
+  }
+}
+
+// Text -> bytes. UTF-16 is always written with a BOM so it reads back
+// unambiguously. Throws if the text has characters the encoding can't hold.
+function encode(text, encoding) {
+  switch (encoding) {
+    case 'utf8bom':
+      return Buffer.concat([BOMS.utf8bom, Buffer.from(text, 'utf-8')]);
+    case 'utf16le':
+      return Buffer.concat([BOMS.utf16le, Buffer.from(text, 'utf16le')]);
+    case 'utf16be':
+      return Buffer.concat([BOMS.utf16be, Buffer.from(text, 'utf16le').swap16()]);
+    case 'latin1': {
+      const unsupported = text.match(/[\u0100-\uffff]/);
+      if (unsupported) {
+        throw new Error(`"${unsupported[0]}" can't be saved as ${ENCODINGS.latin1}; save with UTF-8 instead`);
+      }
+      return Buffer.from(text, 'latin1');
+    }
+    default:
+      return Buffer.from(text, 'utf-8');
+  }
+}
+
+module.exports = {
+  ENCODINGS,
+  isEncoding,
+  detectEncoding,
+  decode,
+  encode
+};
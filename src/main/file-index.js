@@ -0,0 +1,95 @@
+// File index for Quick Open.
+// Holds every file in the open folder (relative POSIX paths) that the ignore
+// engine lets through, so Quick Open never has to walk the tree itself. The
+// folder watcher in main.js feeds changes in via update(); each change bumps
+// `version` so the renderer can keep its copy until something moves.
+
+const path = require('path');
+const fs = require('fs').promises;
+const { toPosix } = require('./glob');
+
+const FILE_INDEX_MAX = 100000;
+
+// Versions are unique across indexes, so a renderer holding a version from a
+// previous index (folder reopened, .gitignore edited) never sees a false match
+let nextVersion = 0;
+
+class FileIndex {
+  constructor(root, engine) {
+    this.root = root;
+    this.engine = engine;
+    this.files = new Set();
+    this.truncated = false;
+    this.version = ++nextVersion;
+    this.ready = null;
+  }
+
+  // Walk the folder once; later calls wait on the same walk
+  build() {
+    if (!this.ready) {
+      this.ready = this.scan('').then(() => {
+        this.version = ++nextVersion;
+      });
+    }
+    return this.ready;
+  }
+
+  async scan(relDir) {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(this.root, relDir), { withFileTypes: true });
+    } catch (err) {
+      return;
+    }
+    for (const entry of entries) {
+      if (this.files.size >= FILE_INDEX_MAX) {
+        this.truncated = true;
+        return;
+      }
+      const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+      const full = path.join(this.root, relPath);
+      if (await this.engine.classifyEntry(full, entry.isDirectory())) continue;
+      if (entry.isDirectory()) {
+        await this.scan(relPath);
+      } else if (entry.isFile()) {
+        this.files.add(relPath);
+      }
+    }
+  }
+
+  // Reconcile one path reported by the watcher. The event doesn't say what
+  // happened, so look: a file is (re)added, a folder is rescanned, and a
+  // missing path is dropped along with anything that was under it.
+  async update(filename) {
+    await this.build();
+    const relPath = toPosix(filename);
+    const prefix = `${relPath}/`;
+    let stat = null;
+    try {
+      stat = await fs.stat(path.join(this.root, relPath));
+    } catch (err) {
+      // Deleted or renamed away
+    }
+
+    if (stat && stat.isFile()) {
+      if (this.files.has(relPath)) return; // content change only
+      this.files.add(relPath);
+    } else {
+      for (const file of this.files) {
+        if (file === relPath || file.startsWith(prefix)) {
+          this.files.delete(file);
+        }
+      }
+      if (stat && stat.isDirectory()) {
+        await this.scan(relPath);
+      }
+    }
+    this.version = ++nextVersion;
+  }
+
+  list() {
+    return [...this.files];
+  }
+}
+
+module.exports = { FileIndex };
@@ -0,0 +1,406 @@
+// Git.
+// Runs the git command line with execFile (never a shell), with optional
+// locks turned off so reading the status doesn't rewrite .git/index and set
+// off the folder watcher.
+
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+// Repositories below the open folder (nested ones and submodules) that
+// getStatus reads as well, at most
+const MAX_NESTED_REPOSITORIES = 20;
+
+// stdout of `git <args>` run in `cwd` (a string, or a Buffer with
+// encoding: 'buffer'). Rejects with git's own message when it fails.
+function runGit(cwd, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, {
+      cwd,
+      encoding: options.encoding || 'utf-8',
+      maxBuffer: MAX_OUTPUT_BYTES,
+      env: { ...process.env, GIT_OPTIONAL_LOCKS: '0' }
+    }, (error, stdout, stderr) => {
+      if (error) {
+        const message = String(stderr || '').trim() || error.message;
+        reject(Object.assign(new Error(message), { code: error.code }));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+// Where `folder` sits in its repository: '' at the top, 'sub/dir/' inside
+// it, or null if it's not in a repository (or git isn't installed)
+async function getPrefix(folder) {
+  try {
+    return (await runGit(folder, ['rev-parse', '--show-prefix'])).trim();
+  } catch (err) {
+    return null;
+  }
+}
+
+// The repository `folder` is in: { gitDir, prefix } with the absolute path
+// of its .git folder and `prefix` as above, or null outside one
+async function getRepository(folder) {
+  try {
+    const [gitDir, prefix = ''] = (await runGit(folder, ['rev-parse', '--absolute-git-dir', '--show-prefix'])).split('\n');
+    return { gitDir, prefix };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Status letters of `git status --porcelain` -> the names used here
+const STATUS_NAMES = {
+  M: 'modified',
+  A: 'added',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  T: 'typechange'
+};
+
+// Both sides of a merge conflict: DD, AU, UD, UA, DU, AA, UU
+const CONFLICT_CODES = new Set(['DD', 'AU', 'UD', 'UA', 'DU', 'AA', 'UU']);
+
+// Changes under `folder`, split into what's staged (index vs HEAD) and what
+// isn't (worktree vs index), each { path, status } with an absolute path.
+// A staged rename or copy also has the `originalPath` it came from. A file
+// can be in both. Null outside a repository.
+async function getChanges(folder) {
+  const prefix = await getPrefix(folder);
+  if (prefix === null) return null;
+  const output = await runGit(folder, ['status', '--porcelain=v1', '-z', '--untracked-files=all', '--', '.']);
+
+  const staged = [];
+  const unstaged = [];
+  const entries = output.split('\0');
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry.length < 4) continue;
+    const code = entry.slice(0, 2);
+    // Paths are relative to the repository; the pathspec keeps them in `folder`
+    const toAbsolute = relative => path.join(folder, relative.slice(prefix.length));
+    const file = toAbsolute(entry.slice(3));
+    // A rename or copy is followed by the path it came from
+    const originalPath = code[0] === 'R' || code[0] === 'C' ? toAbsolute(entries[++i]) : null;
+
+    if (code === '??') {
+      unstaged.push({ path: file, status: 'untracked' });
+    } else if (CONFLICT_CODES.has(code)) {
+      unstaged.push({ path: file, status: 'conflicted' });
+    } else {
+      if (STATUS_NAMES[code[0]]) {
+        staged.push(originalPath
+          ? { path: file, status: STATUS_NAMES[code[0]], originalPath }
+          : { path: file, status: STATUS_NAMES[code[0]] });
+      }
+      if (STATUS_NAMES[code[1]]) unstaged.push({ path: file, status: STATUS_NAMES[code[1]] });
+    }
+  }
+  return { staged, unstaged };
+}
+
+// Everything git has to say about paths under `folder`, for the tree:
+//   { files: { [absolute path]: { index, worktree, submodule } }, gitDirs }
+// `index` (staged) and `worktree` (not staged) are STATUS_NAMES values, or
+// null for a side without changes. Untracked, ignored and conflicted paths
+// have a `worktree` of 'untracked', 'ignored' or 'conflicted'; git reports
+// an ignored folder whole, under the folder's own path. A submodule's entry
+// has `submodule` { commit, modified, untracked }: a different commit
+// checked out, changed files and untracked files in it.
+// Nested repositories and submodules with changed files are read as well,
+// so their files get entries of their own, and a folder that isn't in a
+// repository is searched one level down for repositories. `gitDirs` lists
+// the .git folders of every repository read. Null if there were none.
+async function getStatus(folder) {
+  const result = { files: {}, gitDirs: [] };
+  const budget = { repositories: MAX_NESTED_REPOSITORIES };
+  if (await readStatus(folder, result, budget)) return result;
+
+  // Maybe a folder of repositories
+  const entries = await fs.readdir(folder, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    if (!entry.isDirectory() || budget.repositories === 0) continue;
+    const child = path.join(folder, entry.name);
+    if (await fs.access(path.join(child, '.git')).then(() => true, () => false)) {
+      budget.repositories--;
+      await readStatus(child, result, budget);
+    }
+  }
+  return result.gitDirs.length > 0 ? result : null;
+}
+
+// The first `count` space-separated fields of a porcelain v2 entry; the
+// last one is a path and keeps any spaces in it
+function splitFields(entry, count) {
+  const fields = entry.split(' ');
+  return [...fields.slice(0, count - 1), fields.slice(count - 1).join(' ')];
+}
+
+// Add the status of the repository `folder` is in (for paths under it) to
+// `result`. False if it isn't in one.
+async function readStatus(folder, result, budget) {
+  const repository = await getRepository(folder);
+  if (!repository) return false;
+  result.gitDirs.push(repository.gitDir);
+  const output = await runGit(folder, [
+    'status', '--porcelain=v2', '-z', '--untracked-files=all', '--ignored=matching', '--', '.'
+  ]);
+  // Paths are relative to the repository; the pathspec keeps them in `folder`
+  const toAbsolute = relative => path.join(folder, relative.slice(repository.prefix.length).replace(/\/$/, ''));
+
+  const nested = [];
+  const entries = output.split('\0');
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    let fields;
+    if (entry.startsWith('1 ')) {
+      fields = splitFields(entry, 9);
+    } else if (entry.startsWith('2 ')) {
+      fields = splitFields(entry, 10);
+      i++; // followed by the path it was renamed or copied from
+    } else if (entry.startsWith('u ')) {
+      fields = splitFields(entry, 11);
+    } else if (entry.startsWith('? ') || entry.startsWith('! ')) {
+      const relative = entry.slice(2);
+      // With every untracked file listed, the only untracked folders left
+      // are other repositories
+      if (entry[0] === '?' && relative.endsWith('/')) {
+        nested.push(toAbsolute(relative));
+      } else {
+        result.files[toAbsolute(relative)] = { index: null, worktree: entry[0] === '?' ? 'untracked' : 'ignored' };
+      }
+      continue;
+    } else {
+      continue;
+    }
+
+    const [type, code, sub] = fields;
+    const file = toAbsolute(fields[fields.length - 1]);
+    if (type === 'u') {
+      result.files[file] = { index: null, worktree: 'conflicted' };
+      continue;
+    }
+    const status = { index: STATUS_NAMES[code[0]] || null, worktree: STATUS_NAMES[code[1]] || null };
+    // "N..." for a plain file, "S<c><m><u>" for a submodule
+    if (sub[0] === 'S') {
+      status.submodule = { commit: sub[1] === 'C', modified: sub[2] === 'M', untracked: sub[3] === 'U' };
+      if (status.submodule.modified || status.submodule.untracked) nested.push(file);
+    }
+    result.files[file] = status;
+  }
+
+  for (const dir of nested) {
+    if (budget.repositories === 0) break;
+    budget.repositories--;
+    await readStatus(dir, result, budget);
+  }
+  return true;
+}
+
+async function hasHead(folder) {
+  try {
+    await runGit(folder, ['rev-parse', '--verify', '--quiet', 'HEAD']);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// The path commands below take file paths literally (no globs) and
+// absolute, so they work from anywhere in the repository
+
+function stage(folder, files) {
+  return runGit(folder, ['--literal-pathspecs', 'add', '--all', '--', ...files]);
+}
+
+async function unstage(folder, files) {
+  // Before the first commit there's no HEAD to reset the index to
+  if (!await hasHead(folder)) {
+    return runGit(folder, ['--literal-pathspecs', 'rm', '--cached', '-r', '--quiet', '--', ...files]);
+  }
+  // A staged rename also deletes the path it came from, which has to be
+  // reset with it. A copy's source is left alone: it may have staged
+  // changes of its own.
+  const requested = new Set(files);
+  const { staged } = await getChanges(folder);
+  const originals = staged
+    .filter(change => change.status === 'renamed' && requested.has(change.path))
+    .map(change => change.originalPath);
+  return runGit(folder, ['--literal-pathspecs', 'reset', '--quiet', 'HEAD', '--', ...files, ...originals]);
+}
+
+// Absolute paths of the files `git ls-files <args>` lists under `files`
+async function listFiles(folder, args, files) {
+  const output = await runGit(folder, ['--literal-pathspecs', 'ls-files', '-z', ...args, '--', ...files]);
+  return new Set(output.split('\0').filter(Boolean).map(file => path.join(folder, file)));
+}
+
+// Put tracked files back the way the index has them. Returns the given
+// paths git reports as untracked files, which have nothing to go back to:
+// the caller removes them. Anything else, such as a folder, is left alone.
+async function discard(folder, files) {
+  const tracked = await listFiles(folder, [], files);
+  if (tracked.size > 0) {
+    await runGit(folder, ['--literal-pathspecs', 'checkout', '--quiet', '--', ...tracked]);
+  }
+  const untracked = await listFiles(folder, ['--others'], files);
+  return files.filter(file => untracked.has(file));
+}
+
+// `all` stages every change under `folder` first
+async function commit(folder, message, options = {}) {
+  if (options.all) {
+    await runGit(folder, ['add', '--all', '--', '.']);
+  }
+  return runGit(folder, ['commit', '--quiet', '-m', message]);
+}
+
+// Branch state of the repository `folder` is in:
+//   { branch, commit, upstream, ahead, behind, dirty }
+// `branch` is null on a detached HEAD, `commit` (a short hash) is null
+// before the first commit and `dirty` means uncommitted changes to tracked
+// files anywhere in the repository (untracked files aren't looked for, which
+// is slow in a large tree). Null outside a repository.
+async function getBranchInfo(folder) {
+  let output;
+  try {
+    output = await runGit(folder, ['status', '--porcelain=v2', '--branch', '--untracked-files=no', '-z']);
+  } catch (err) {
+    return null;
+  }
+  const info = { branch: null, commit: null, upstream: null, ahead: 0, behind: 0, dirty: false };
+  for (const line of output.split('\0')) {
+    if (line.startsWith('# branch.oid ')) {
+      const oid = line.slice('# branch.oid '.length);
+      info.commit = oid === '(initial)' ? null : oid.slice(0, 7);
+    } else if (line.startsWith('# branch.head ')) {
+      const head = line.slice('# branch.head '.length);
+      info.branch = head === '(detached)' ? null : head;
+    } else if (line.startsWith('# branch.upstream ')) {
+      info.upstream = line.slice('# branch.upstream '.length);
+    } else if (line.startsWith('# branch.ab ')) {
+      const match = line.match(/\+(\d+) -(\d+)/);
+      if (match) {
+        info.ahead = Number(match[1]);
+        info.behind = Number(match[2]);
+      }
+    } else if (line && !line.startsWith('#')) {
+      info.dirty = true;
+    }
+  }
+  return info;
+}
+
+// Local and remote-tracking branches, most recently committed to first:
+// [{ name, remote }] where a remote branch's name includes its remote
+async function listBranches(folder) {
+  const output = await runGit(folder, ['for-each-ref', '--sort=-committerdate', '--format=%(refname)', 'refs/heads', 'refs/remotes']);
+  const branches = [];
+  for (const ref of output.split('\n')) {
+    if (ref.startsWith('refs/heads/')) {
+      branches.push({ name: ref.slice('refs/heads/'.length), remote: false });
+    } else if (ref.startsWith('refs/remotes/') && !ref.endsWith('/HEAD')) {
+      branches.push({ name: ref.slice('refs/remotes/'.length), remote: true });
+    }
+  }
+  return branches;
+}
+
+// Switch to branch `name`. `create` makes it first, from HEAD; a `remote`
+// branch ('origin/topic') is checked out as the local branch tracking it.
+async function checkoutBranch(folder, name, options = {}) {
+  // Also keeps names that git would read as options out of the commands
+  await runGit(folder, ['check-ref-format', '--branch', name]);
+  if (options.create) {
+    return runGit(folder, ['checkout', '--quiet', '-b', name]);
+  }
+  if (options.remote) {
+    const local = name.slice(name.indexOf('/') + 1);
+    const branches = await listBranches(folder);
+    if (!branches.some(branch => !branch.remote && branch.name === local)) {
+      return runGit(folder, ['checkout', '--quiet', '--track', name]);
+    }
+    name = local;
+  }
+  return runGit(folder, ['checkout', '--quiet', name, '--']);
+}
+
+// Who last changed each line of `file` as it is on disk:
+//   { commits: { hash: { author, time, summary, uncommitted } }, lines }
+// where lines[i] is the hash for line i + 1 and `time` is in milliseconds.
+// Lines changed since the last commit have a hash of zeros and
+// `uncommitted: true`. Null if git doesn't track the file.
+async function blameFile(file) {
+  let output;
+  try {
+    output = await runGit(path.dirname(file), ['blame', '--porcelain', '--', path.basename(file)]);
+  } catch (err) {
+    return null;
+  }
+  const commits = {};
+  const lines = [];
+  let current = null;
+  for (const line of output.split('\n')) {
+    // Each line's own text, which isn't needed
+    if (line.startsWith('\t')) continue;
+    // "<hash> <line in that commit> <line now> [<lines in the group>]"
+    const header = line.match(/^([0-9a-f]{40,64}) \d+ (\d+)/);
+    if (header) {
+      const hash = header[1];
+      if (!commits[hash]) {
+        commits[hash] = { author: '', time: 0, summary: '', uncommitted: /^0+$/.test(hash) };
+      }
+      current = commits[hash];
+      lines[Number(header[2]) - 1] = hash;
+    } else if (current && line.startsWith('author ')) {
+      current.author = line.slice('author '.length);
+    } else if (current && line.startsWith('author-time ')) {
+      current.time = Number(line.slice('author-time '.length)) * 1000;
+    } else if (current && line.startsWith('summary ')) {
+      current.summary = line.slice('summary '.length);
+    }
+  }
+  return { commits, lines };
+}
+
+// Bytes of `file` as staged in the index (the same as HEAD unless it has
+// been staged since), or null if it's untracked or not in a repository
+async function readIndexFile(file) {
+  try {
+    return await runGit(path.dirname(file), ['show', `:./${path.basename(file)}`], { encoding: 'buffer' });
+  } catch (err) {
+    return null;
+  }
+}
+
+// Bytes of `file` in the last commit, or null if it's not in it
+async function readHeadFile(file) {
+  try {
+    return await runGit(path.dirname(file), ['show', `HEAD:./${path.basename(file)}`], { encoding: 'buffer' });
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  runGit,
+  getRepository,
+  getStatus,
+  getChanges,
+  stage,
+  unstage,
+  discard,
+  commit,
+  getBranchInfo,
+  listBranches,
+  checkoutBranch,
+  blameFile,
+  readIndexFile,
+  readHeadFile
+};
@@ -0,0 +1,126 @@
+// Glob matching for main-process file walks (search include/exclude, files.exclude).
+// Patterns match POSIX-style paths relative to the open folder. A pattern
+// without a slash matches at any depth (`*.ts` == `**/*.ts`), and a pattern
+// that matches a folder also matches everything inside it.
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Index of the `}` closing the `{` at `open`, past any nested groups, or -1
+function findGroupEnd(pattern, open) {
+  let depth = 0;
+  for (let i = open; i < pattern.length; i++) {
+    if (pattern[i] === '{') depth++;
+    if (pattern[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+// Translate glob syntax (`*`, `**`, `?`, `{a,b}`, `[abc]`) into regex
+// source, without anchors. Shared with the .gitignore parser.
+function globSource(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*') {
+      if (pattern[i + 1] === '*') {
+        // `**/` matches zero or more whole segments; a bare `**` matches anything
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '{') {
+      const close = findGroupEnd(pattern, i);
+      if (close === -1) {
+        source += '\\{';
+      } else {
+        // Each alternative is a glob of its own (`{src/**,lib/*.js}`)
+        const alternatives = splitGlobList(pattern.slice(i + 1, close)).map(globSource);
+        source += `(?:${alternatives.join('|')})`;
+        i = close;
+      }
+    } else if (ch === '[') {
+      const close = pattern.indexOf(']', i);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        let body = pattern.slice(i + 1, close);
+        const negated = body.startsWith('!');
+        if (negated) body = body.slice(1);
+        // \, ^ and ] are literal characters of the class, and a negated
+        // class still never matches a path separator
+        body = body.replace(/[\\\]^]/g, '\\$&');
+        source += negated ? `[^/${body}]` : `[${body}]`;
+        i = close;
+      }
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+  return source;
+}
+
+function globToRegExp(glob) {
+  let pattern = glob.trim().replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+  if (!pattern.includes('/')) {
+    pattern = `**/${pattern}`;
+  } else if (pattern.startsWith('/')) {
+    pattern = pattern.slice(1);
+  }
+  return new RegExp(`^${globSource(pattern)}(?:/.*)?$`);
+}
+
+// Split on commas that aren't inside a `{a,b}` group
+function splitGlobList(list) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of list) {
+    if (ch === '{') depth++;
+    if (ch === '}') depth = Math.max(0, depth - 1);
+    if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+// Compile a comma-separated list (or an array) of globs into a single
+// predicate. Returns null for an empty list so callers can skip the check.
+function compileGlobs(list) {
+  let patterns;
+  if (Array.isArray(list)) {
+    patterns = list.filter(p => typeof p === 'string');
+  } else if (typeof list === 'string') {
+    patterns = splitGlobList(list);
+  } else {
+    return null;
+  }
+  const regexes = patterns
+    .map(p => p.trim())
+    .filter(Boolean)
+    .map(globToRegExp);
+  if (regexes.length === 0) return null;
+  return (relPath) => regexes.some(re => re.test(relPath));
+}
+
+// Normalise a relative path to forward slashes so globs behave the same
+// regardless of platform separator
+function toPosix(relPath) {
+  return relPath.split(/[\\/]/).join('/');
+}
+
+module.exports = { escapeRegExp, globSource, globToRegExp, compileGlobs, toPosix };
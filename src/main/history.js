@@ -0,0 +1,110 @@
+// Local history.
+// write-file keeps a copy of every version it saves, so a file can be taken
+// back to an earlier state even outside git. Each file gets a folder in
+// <userData>/history named after a hash of its path, holding one text file
+// per snapshot and an index.json:
+//   { path, entries: [{ id, timestamp, size, hash, source }] }  (oldest first)
+// `source` is 'saved', or 'original' for the version the first save
+// replaced. Only the newest MAX_ENTRIES snapshots are kept, identical
+// consecutive saves are stored once and files over MAX_SNAPSHOT_BYTES are
+// left out. A save within MERGE_WINDOW_MS of the previous one replaces it,
+// so auto-save while typing doesn't push older versions out.
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+const MAX_ENTRIES = 50;
+const MAX_SNAPSHOT_BYTES = 1024 * 1024;
+const MERGE_WINDOW_MS = 10 * 1000;
+
+// Index updates for one file run one at a time
+const queues = new Map(); // history folder -> promise of the last update
+
+function historyDir(root, file) {
+  const name = crypto.createHash('sha1').update(file).digest('hex').slice(0, 20);
+  return path.join(root, name);
+}
+
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+async function readIndex(dir) {
+  try {
+    const index = JSON.parse(await fs.readFile(path.join(dir, 'index.json'), 'utf-8'));
+    return Array.isArray(index.entries) ? index : { entries: [] };
+  } catch (err) {
+    return { entries: [] };
+  }
+}
+
+async function writeIndex(dir, index) {
+  const file = path.join(dir, 'index.json');
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(index), 'utf-8');
+  await fs.rename(`${file}.tmp`, file);
+}
+
+function enqueue(dir, task) {
+  const run = (queues.get(dir) || Promise.resolve()).then(task);
+  queues.set(dir, run.catch(() => {}));
+  return run;
+}
+
+async function hasHistory(root, file) {
+  return (await readIndex(historyDir(root, file))).entries.length > 0;
+}
+
+// Record `content` as the newest version of `file`
+function addSnapshot(root, file, content, source) {
+  if (Buffer.byteLength(content, 'utf-8') > MAX_SNAPSHOT_BYTES) return Promise.resolve();
+  const dir = historyDir(root, file);
+
+  return enqueue(dir, async () => {
+    const index = await readIndex(dir);
+    const hash = hashText(content);
+    const newest = index.entries[index.entries.length - 1];
+    if (newest?.hash === hash) return;
+
+    await fs.mkdir(dir, { recursive: true });
+    const timestamp = Date.now();
+    const id = `${timestamp.toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+    await fs.writeFile(path.join(dir, `${id}.txt`), content, 'utf-8');
+
+    index.path = file;
+    // The original is never merged into
+    const merged = source === 'saved' && newest?.source === 'saved' && timestamp - newest.timestamp < MERGE_WINDOW_MS
+      ? index.entries.splice(-1)
+      : [];
+    index.entries.push({ id, timestamp, size: Buffer.byteLength(content, 'utf-8'), hash, source });
+    const dropped = [...merged, ...index.entries.splice(0, Math.max(0, index.entries.length - MAX_ENTRIES))];
+    await writeIndex(dir, index);
+    for (const entry of dropped) {
+      await fs.unlink(path.join(dir, `${entry.id}.txt`)).catch(() => {});
+    }
+  });
+}
+
+// Snapshots of `file`, newest first
+async function listSnapshots(root, file) {
+  const { entries } = await readIndex(historyDir(root, file));
+  return entries.map(({ id, timestamp, size, source }) => ({ id, timestamp, size, source })).reverse();
+}
+
+// Text of one snapshot; ids not in the index are refused
+async function readSnapshot(root, file, id) {
+  const dir = historyDir(root, file);
+  const { entries } = await readIndex(dir);
+  if (!entries.some(entry => entry.id === id)) {
+    throw new Error('No such version in the local history');
+  }
+  return fs.readFile(path.join(dir, `${id}.txt`), 'utf-8');
+}
+
+module.exports = {
+  MAX_SNAPSHOT_BYTES,
+  hasHistory,
+  addSnapshot,
+  listSnapshots,
+  readSnapshot
+};
@@ -0,0 +1,154 @@
+// Ignore engine for the open folder.
+// One place that decides which paths the project walk skips, used by the
+// file tree (read-directory), Quick Open, search and the folder watcher.
+// Two sources of rules:
+//   - `files.exclude` globs from settings: hidden everywhere ('excluded')
+//   - .gitignore files, nested ones included, plus .git/info/exclude:
+//     skipped by search/Quick Open/watcher, shown dimmed in the tree
+//     ('gitignored')
+// Only .gitignore files inside the open folder are read, so opening a
+// subfolder of a repo doesn't pick up rules from above it.
+
+const path = require('path');
+const fs = require('fs').promises;
+const { compileGlobs, globSource, toPosix } = require('./glob');
+
+// Used when neither user nor project settings define files.exclude
+const DEFAULT_EXCLUDES = ['.git', 'node_modules', '__pycache__', '.DS_Store'];
+
+// Repository internals are never useful to browse or search, whatever the
+// exclude setting says
+const ALWAYS_EXCLUDED = compileGlobs(['.git']);
+
+// Parse .gitignore text into ordered rules. Later rules win, `!` negates.
+function parseGitignore(text) {
+  const rules = [];
+  for (let line of text.split(/\r?\n/)) {
+    // Trailing spaces are ignored unless escaped
+    line = line.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+
+    let negate = false;
+    if (line.startsWith('!')) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+
+    let dirOnly = false;
+    if (line.endsWith('/')) {
+      dirOnly = true;
+      line = line.replace(/\/+$/, '');
+    }
+    if (!line) continue;
+
+    // A slash anywhere but the end anchors the pattern to the .gitignore's folder
+    const anchored = line.includes('/');
+    line = line.replace(/^\//, '');
+    const source = globSource(line.replace(/\\([^*?[{])/g, '$1'));
+    rules.push({
+      regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`),
+      negate,
+      dirOnly
+    });
+  }
+  return rules;
+}
+
+class IgnoreEngine {
+  constructor(root, excludes) {
+    this.root = root;
+    this.isExcludedGlob = compileGlobs(excludes || DEFAULT_EXCLUDES);
+    this.rulesCache = new Map(); // relative dir -> Promise<rules[]>
+  }
+
+  // Full check for an arbitrary path (e.g. a watcher event): every ancestor
+  // folder is tested too, since an ignored folder hides its whole subtree.
+  // Returns 'excluded', 'gitignored' or null. `isDirectory` may be undefined
+  // when the caller doesn't know; folder-only rules then still apply.
+  async classify(absPath, isDirectory) {
+    const segments = this.segments(absPath);
+    if (!segments) return null;
+    if (this.matchesExclude(segments)) return 'excluded';
+    for (let i = 1; i <= segments.length; i++) {
+      const isDir = i < segments.length ? true : isDirectory;
+      if (await this.matchesGitignore(segments, i, isDir)) return 'gitignored';
+    }
+    return null;
+  }
+
+  // Cheaper check for walkers that only descend into folders that already
+  // passed: only the entry itself is tested against .gitignore rules.
+  async classifyEntry(absPath, isDirectory) {
+    const segments = this.segments(absPath);
+    if (!segments) return null;
+    if (this.matchesExclude(segments)) return 'excluded';
+    if (await this.matchesGitignore(segments, segments.length, isDirectory)) return 'gitignored';
+    return null;
+  }
+
+  async isIgnored(absPath, isDirectory) {
+    return (await this.classify(absPath, isDirectory)) !== null;
+  }
+
+  // Drop cached .gitignore rules, e.g. after one changed on disk
+  invalidate() {
+    this.rulesCache.clear();
+  }
+
+  segments(absPath) {
+    const rel = toPosix(path.relative(this.root, absPath));
+    if (!rel || rel === '..' || rel.startsWith('../') || path.isAbsolute(rel)) return null;
+    return rel.split('/');
+  }
+
+  matchesExclude(segments) {
+    const rel = segments.join('/');
+    return ALWAYS_EXCLUDED(rel) || (this.isExcludedGlob !== null && this.isExcludedGlob(rel));
+  }
+
+  // Does the path made of the first `count` segments match the .gitignore
+  // rules of any folder above it? Deeper files override shallower ones.
+  async matchesGitignore(segments, count, isDirectory) {
+    let ignored = false;
+    for (let base = 0; base < count; base++) {
+      const rules = await this.rulesFor(segments.slice(0, base).join('/'));
+      if (rules.length === 0) continue;
+      const relToBase = segments.slice(base, count).join('/');
+      for (const rule of rules) {
+        if (rule.dirOnly && isDirectory === false) continue;
+        if (rule.regex.test(relToBase)) {
+          ignored = !rule.negate;
+        }
+      }
+    }
+    return ignored;
+  }
+
+  rulesFor(relDir) {
+    if (!this.rulesCache.has(relDir)) {
+      this.rulesCache.set(relDir, this.loadRules(relDir));
+    }
+    return this.rulesCache.get(relDir);
+  }
+
+  async loadRules(relDir) {
+    const dir = path.join(this.root, relDir);
+    const files = [path.join(dir, '.gitignore')];
+    if (relDir === '') {
+      files.unshift(path.join(dir, '.git', 'info', 'exclude'));
+    }
+    const rules = [];
+    for (const file of files) {
+      try {
+        rules.push(...parseGitignore(await fs.readFile(file, 'utf-8')));
+      } catch (err) {
+        // No ignore file at this level
+      }
+    }
+    return rules;
+  }
+}
+
+module.exports = { IgnoreEngine, DEFAULT_EXCLUDES, parseGitignore };
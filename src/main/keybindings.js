@@ -0,0 +1,185 @@
+// Keybindings.
+// Default key for every command that has one, merged with the user's
+// keybindings.json in userData. The file maps command ids to keys:
+//
+//   {
+//     "go.quickOpen": "cmd+t",
+//     "view.toggleTheme": "cmd+k cmd+t",
+//     "editor.goToLine": null
+//   }
+//
+// A key is `+`-joined modifiers (cmd, ctrl, alt, shift) and one key name; a
+// space separates the two steps of a chord. null or "" unbinds the command.
+// Ids that aren't CodeLight commands are passed on to the renderer as-is, so
+// Monaco actions (editor.action.formatDocument, ...) can be bound too.
+//
+// main.js turns single-stroke keys into native menu accelerators; chords and
+// commands without a menu item are dispatched by the renderer's
+// ShortcutManager.
+
+const DEFAULT_KEYBINDINGS = {
+  'window.new': 'cmd+shift+n',
+  'file.newFile': 'cmd+n',
+  'file.openFile': 'cmd+o',
+  'file.openFolder': 'cmd+shift+o',
+  'file.save': 'cmd+s',
+  'file.saveAll': 'cmd+shift+s',
+  'file.closeTab': 'cmd+w',
+  'edit.find': 'cmd+f',
+  'edit.replace': 'cmd+h',
+  'search.findInFiles': 'cmd+shift+f',
+  'view.showSourceControl': 'ctrl+shift+g',
+  'editor.goToLine': 'ctrl+g',
+  'workbench.commandPalette': 'cmd+shift+p',
+  'workbench.openSettings': 'cmd+,',
+  'view.toggleSidebar': 'cmd+b',
+  'view.fontIncrease': 'cmd+=',
+  'view.fontDecrease': 'cmd+-',
+  'view.fontReset': 'cmd+0',
+  'view.toggleWordWrap': 'cmd+alt+w',
+  'view.toggleSplit': 'cmd+\\',
+  'markdown.showPreviewToSide': 'cmd+shift+v',
+  'diff.nextChange': 'alt+f5',
+  'diff.previousChange': 'shift+alt+f5',
+  'terminal.toggle': 'ctrl+`',
+  'go.quickOpen': 'cmd+p'
+};
+
+const MODIFIER_ALIASES = {
+  cmd: 'cmd', command: 'cmd', meta: 'cmd', cmdorctrl: 'cmd', commandorcontrol: 'cmd',
+  ctrl: 'ctrl', control: 'ctrl',
+  alt: 'alt', option: 'alt', opt: 'alt',
+  shift: 'shift'
+};
+
+// Canonical modifier order; the renderer builds keystrokes the same way
+const MODIFIER_ORDER = ['cmd', 'ctrl', 'alt', 'shift'];
+
+const KEY_ALIASES = {
+  esc: 'escape', return: 'enter', del: 'delete',
+  arrowup: 'up', arrowdown: 'down', arrowleft: 'left', arrowright: 'right'
+};
+
+const NAMED_KEYS = new Set([
+  'escape', 'enter', 'tab', 'space', 'backspace', 'delete', 'insert',
+  'up', 'down', 'left', 'right', 'home', 'end', 'pageup', 'pagedown'
+]);
+
+const PUNCTUATION = '`-=[]\\;\',./';
+
+// Electron accelerator names for keys that differ from ours
+const ACCELERATOR_KEYS = {
+  escape: 'Escape', enter: 'Enter', tab: 'Tab', space: 'Space',
+  backspace: 'Backspace', delete: 'Delete', insert: 'Insert',
+  up: 'Up', down: 'Down', left: 'Left', right: 'Right',
+  home: 'Home', end: 'End', pageup: 'PageUp', pagedown: 'PageDown'
+};
+
+// 'Shift+Cmd+P' -> 'cmd+shift+p'. Returns null for anything unparseable.
+function normalizeStroke(stroke) {
+  // '+' itself can't be a key ('cmd++'); bind 'cmd+=' like the menu does
+  const parts = stroke.toLowerCase().split('+').map(p => p.trim());
+  if (parts.some(p => !p)) return null;
+  const key = KEY_ALIASES[parts[parts.length - 1]] || parts[parts.length - 1];
+  const modifiers = new Set();
+  for (const part of parts.slice(0, -1)) {
+    const modifier = MODIFIER_ALIASES[part];
+    if (!modifier) return null;
+    modifiers.add(modifier);
+  }
+  const validKey = /^[a-z0-9]$/.test(key) ||
+    /^f([1-9]|1[0-9]|2[0-4])$/.test(key) ||
+    NAMED_KEYS.has(key) ||
+    (key.length === 1 && PUNCTUATION.includes(key));
+  if (!validKey) return null;
+  const ordered = MODIFIER_ORDER.filter(m => modifiers.has(m));
+  return [...ordered, key].join('+');
+}
+
+// 'cmd+k  Cmd+S' -> 'cmd+k cmd+s'; chords are at most two strokes
+function normalizeKey(key) {
+  const strokes = key.trim().split(/\s+/);
+  if (strokes.length > 2) return null;
+  const normalized = strokes.map(normalizeStroke);
+  if (normalized.includes(null)) return null;
+  return normalized.join(' ');
+}
+
+// Parse keybindings.json text into { overrides, errors }. Bad entries are
+// reported and skipped rather than failing the whole file.
+function parseKeybindings(text) {
+  const overrides = {};
+  const errors = [];
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { overrides, errors: [`Invalid JSON: ${err.message}`] };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { overrides, errors: ['Expected an object mapping command ids to keys'] };
+  }
+  for (const [command, key] of Object.entries(data)) {
+    if (key === null || key === '') {
+      overrides[command] = null;
+    } else if (typeof key !== 'string') {
+      errors.push(`${command}: key must be a string or null`);
+    } else {
+      const normalized = normalizeKey(key);
+      if (normalized) {
+        overrides[command] = normalized;
+      } else {
+        errors.push(`${command}: unrecognized key "${key}"`);
+      }
+    }
+  }
+  return { overrides, errors };
+}
+
+// Merge overrides onto the defaults and find conflicts: two commands on the
+// same key, or a key that is also the first step of another command's chord
+// (the chord could never be typed).
+function resolveKeybindings(overrides = {}) {
+  const bindings = { ...DEFAULT_KEYBINDINGS, ...overrides };
+
+  const byKey = new Map(); // key -> [command ids]
+  for (const [command, key] of Object.entries(bindings)) {
+    if (!key) continue;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(command);
+  }
+
+  const conflicts = [];
+  for (const [key, commands] of byKey) {
+    if (commands.length > 1) {
+      conflicts.push({ key, commands });
+    }
+    if (key.includes(' ')) {
+      const prefix = byKey.get(key.split(' ')[0]);
+      if (prefix) {
+        conflicts.push({ key, commands: [...prefix, ...commands] });
+      }
+    }
+  }
+  return { bindings, conflicts };
+}
+
+// 'cmd+shift+p' -> 'CmdOrCtrl+Shift+P'; null for chords, which native menus
+// can't express
+function toAccelerator(key) {
+  if (!key || key.includes(' ')) return null;
+  return key.split('+').map((part, i, parts) => {
+    if (i < parts.length - 1) {
+      return { cmd: 'CmdOrCtrl', ctrl: 'Ctrl', alt: 'Alt', shift: 'Shift' }[part];
+    }
+    return ACCELERATOR_KEYS[part] || part.toUpperCase();
+  }).join('+');
+}
+
+module.exports = {
+  DEFAULT_KEYBINDINGS,
+  normalizeKey,
+  parseKeybindings,
+  resolveKeybindings,
+  toAccelerator
+};
@@ -0,0 +1,108 @@
+// Line diff.
+// Myers' O(ND) algorithm over two arrays of lines, after trimming the lines
+// they start and end with in common (usually most of a file). Beyond
+// MAX_EDIT_DISTANCE edits the middle is reported as one changed block
+// rather than spending time and memory on a precise answer.
+
+const MAX_EDIT_DISTANCE = 2000;
+
+// Changed blocks between `original` and `modified`, in order, as
+//   { originalStart, originalCount, modifiedStart, modifiedCount }
+// (0-based line indexes; a count of 0 is an insertion or deletion before
+// that index)
+function diffLines(original, modified) {
+  let start = 0;
+  while (start < original.length && start < modified.length && original[start] === modified[start]) {
+    start++;
+  }
+  let originalEnd = original.length;
+  let modifiedEnd = modified.length;
+  while (originalEnd > start && modifiedEnd > start && original[originalEnd - 1] === modified[modifiedEnd - 1]) {
+    originalEnd--;
+    modifiedEnd--;
+  }
+
+  return diffMiddle(original.slice(start, originalEnd), modified.slice(start, modifiedEnd))
+    .map(block => ({
+      originalStart: block.originalStart + start,
+      originalCount: block.originalCount,
+      modifiedStart: block.modifiedStart + start,
+      modifiedCount: block.modifiedCount
+    }));
+}
+
+function diffMiddle(a, b) {
+  const whole = [{ originalStart: 0, originalCount: a.length, modifiedStart: 0, modifiedCount: b.length }];
+  if (a.length === 0 && b.length === 0) return [];
+  if (a.length === 0 || b.length === 0) return whole;
+
+  // v[k] is the furthest x reached on diagonal k = x - y; trace keeps its
+  // [-d, d] window after every step d for the walk back
+  const limit = Math.min(a.length + b.length, MAX_EDIT_DISTANCE);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+  for (let d = 0; d <= limit; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) {
+        trace.push(v.slice(offset - d, offset + d + 1));
+        return toBlocks(backtrack(trace, a.length, b.length));
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+  return whole;
+}
+
+// Single-line edits from (0, 0) to (n, m), in order:
+// { x, y, deleted } where `deleted` removes a[x], otherwise b[y] is inserted
+function backtrack(trace, n, m) {
+  const edits = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d - 1];
+    const at = (k) => previous[k + d - 1];
+    const k = x - y;
+    const inserted = k === -d || (k !== d && at(k - 1) < at(k + 1));
+    const previousK = inserted ? k + 1 : k - 1;
+    const previousX = at(previousK);
+    const previousY = previousX - previousK;
+    edits.push({ x: previousX, y: previousY, deleted: !inserted });
+    x = previousX;
+    y = previousY;
+  }
+  return edits.reverse();
+}
+
+// Runs of adjacent edits become one block
+function toBlocks(edits) {
+  const blocks = [];
+  let block = null;
+  for (const edit of edits) {
+    if (!block || edit.x !== block.originalStart + block.originalCount ||
+        edit.y !== block.modifiedStart + block.modifiedCount) {
+      block = { originalStart: edit.x, originalCount: 0, modifiedStart: edit.y, modifiedCount: 0 };
+      blocks.push(block);
+    }
+    if (edit.deleted) {
+      block.originalCount++;
+    } else {
+      block.modifiedCount++;
+    }
+  }
+  return blocks;
+}
+
+module.exports = {
+  diffLines
+};
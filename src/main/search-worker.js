@@ -0,0 +1,119 @@
+// Project-wide search worker.
+// Runs one search off the main process event loop so the UI and other IPC
+// stay responsive on big trees. Started by `search-in-folder` in main.js with
+// the query in workerData; posts results back in batches as files are
+// scanned. Cancelling a search is just terminating the worker.
+//
+// Messages to the parent:
+//   { type: 'batch', results, filesSearched }
+//   { type: 'done', filesSearched, truncated }
+//   { type: 'error', error }
+
+const { parentPort, workerData } = require('worker_threads');
+const path = require('path');
+const fs = require('fs').promises;
+const { compileGlobs, toPosix } = require('./glob');
+const { PREVIEW_LENGTH, buildSearchRegex, expandReplacement, lineMatches, splitLines } = require('./search');
+const { IgnoreEngine } = require('./ignore');
+const { BINARY_SAMPLE_BYTES, looksBinary } = require('./binary');
+const { detectEncoding, decode } = require('./encoding');
+
+const SEARCH_MAX_FILE_SIZE = 1024 * 1024; // skip files over 1MB
+const SEARCH_MAX_RESULTS = 2000;
+const BATCH_INTERVAL_MS = 100; // how often buffered results are flushed
+
+async function run({ folder, query, options, excludes }) {
+  const regex = buildSearchRegex(query, options);
+  const isIncluded = compileGlobs(options.include);
+  const isExcluded = compileGlobs(options.exclude);
+  // In replace mode each match carries its expanded replacement for the preview
+  const replacement = typeof options.replacement === 'string' ? options.replacement : null;
+  const engine = new IgnoreEngine(folder, excludes);
+
+  let pending = [];
+  let resultCount = 0;
+  let filesSearched = 0;
+  let truncated = false;
+  let lastFlush = Date.now();
+
+  function flush() {
+    parentPort.postMessage({ type: 'batch', results: pending, filesSearched });
+    pending = [];
+    lastFlush = Date.now();
+  }
+
+  async function searchFile(filePath, relPath) {
+    let buf;
+    try {
+      const stat = await fs.stat(filePath);
+      if (stat.size > SEARCH_MAX_FILE_SIZE) return;
+      buf = await fs.readFile(filePath);
+    } catch (err) {
+      return;
+    }
+    if (looksBinary(buf.subarray(0, BINARY_SAMPLE_BYTES))) return;
+    filesSearched++;
+
+    // Decoded as read-file and replace-in-files do, so lines and columns
+    // agree with the editor and with what replace checks
+    const { lines } = splitLines(decode(buf, detectEncoding(buf)));
+    for (let i = 0; i < lines.length && !truncated; i++) {
+      const line = lines[i];
+      for (const match of lineMatches(regex, line)) {
+        pending.push({
+          file: filePath,
+          relPath,
+          line: i + 1,
+          col: match.index + 1,
+          text: line.slice(0, PREVIEW_LENGTH),
+          matchLength: match[0].length,
+          replacement: replacement === null
+            ? undefined
+            : expandReplacement(replacement, match, !!options.useRegex)
+        });
+        resultCount++;
+        if (resultCount >= SEARCH_MAX_RESULTS) {
+          truncated = true;
+          break;
+        }
+      }
+    }
+
+    // Flush on a timer rather than per file so a tree of tiny files doesn't
+    // flood the renderer, while the progress count still moves steadily
+    if (Date.now() - lastFlush >= BATCH_INTERVAL_MS) {
+      flush();
+    }
+  }
+
+  async function walk(dir) {
+    if (truncated) return;
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      return;
+    }
+    for (const entry of entries) {
+      if (truncated) return;
+      const full = path.join(dir, entry.name);
+      const relPath = toPosix(path.relative(folder, full));
+      if (isExcluded && isExcluded(relPath)) continue;
+      if (await engine.classifyEntry(full, entry.isDirectory())) continue;
+      if (entry.isDirectory()) {
+        await walk(full);
+      } else if (entry.isFile()) {
+        if (isIncluded && !isIncluded(relPath)) continue;
+        await searchFile(full, relPath);
+      }
+    }
+  }
+
+  await walk(folder);
+  flush();
+  parentPort.postMessage({ type: 'done', filesSearched, truncated });
+}
+
+run(workerData).catch((err) => {
+  parentPort.postMessage({ type: 'error', error: err.message });
+});
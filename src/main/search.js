@@ -0,0 +1,102 @@
+// Matching and replacement helpers for project-wide search.
+// Pure functions — no IPC or fs — so the search and replace handlers in
+// main.js build regexes and expand replacements exactly the same way.
+
+const { escapeRegExp } = require('./glob');
+
+// Build the per-line matcher for a search. Plain queries are escaped so the
+// same regex path handles all modes; throws SyntaxError on a bad regex.
+function buildSearchRegex(query, { caseSensitive, wholeWord, useRegex }) {
+  let source = useRegex ? query : escapeRegExp(query);
+  if (wholeWord) {
+    source = `(?<!\\w)(?:${source})(?!\\w)`;
+  }
+  return new RegExp(source, caseSensitive ? 'g' : 'gi');
+}
+
+// Expand `$&`, `$1`, `$<name>` and `$$` in regex mode, matching what
+// String.prototype.replace would do. Plain mode inserts the text literally.
+function expandReplacement(template, match, useRegex) {
+  if (!useRegex) return template;
+  return template.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, ref, name) => {
+    if (ref === '$') return '$';
+    if (ref === '&') return match[0];
+    if (name !== undefined) {
+      return match.groups ? (match.groups[name] ?? '') : token;
+    }
+    const group = Number(ref);
+    if (group > 0 && group < match.length) return match[group] ?? '';
+    return token;
+  });
+}
+
+// Iterate the non-empty matches in a line. Zero-width regex matches
+// (e.g. `^`) would loop forever and have nothing to replace, so skip them.
+function* lineMatches(regex, line) {
+  regex.lastIndex = 0;
+  let match;
+  while ((match = regex.exec(line)) !== null) {
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    yield match;
+  }
+}
+
+// Search results carry this much of their line, for the preview and so a
+// replace can tell the line is still the one that was searched
+const PREVIEW_LENGTH = 300;
+
+// Lines of `text` and the line ending after each ('' after the last), so
+// CRLF and mixed files go back together exactly as they were
+function splitLines(text) {
+  const parts = text.split(/(\r?\n)/);
+  const lines = [];
+  const endings = [];
+  for (let i = 0; i < parts.length; i += 2) {
+    lines.push(parts[i]);
+    endings.push(parts[i + 1] || '');
+  }
+  return { lines, endings };
+}
+
+// Replace the selected matches. `selected` maps "line:col" keys to the
+// search result found there ({ text, matchLength }). Positions are
+// re-matched against `text` rather than trusted, and a match is only
+// replaced if its line still starts with the searched text and it is still
+// as long, so a match that moved, changed or no longer exists is left
+// alone and counted in `skipped`. Returns the new text plus the individual
+// edits (1-based line/col) so callers can apply them to an editor model
+// instead.
+function applyReplacements(text, regex, selected, template, useRegex) {
+  const { lines, endings } = splitLines(text);
+  const edits = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let out = '';
+    let last = 0;
+    for (const match of lineMatches(regex, line)) {
+      const expected = selected.get(`${i + 1}:${match.index + 1}`);
+      if (!expected || expected.text !== line.slice(0, PREVIEW_LENGTH) || expected.matchLength !== match[0].length) {
+        continue;
+      }
+      const replacement = expandReplacement(template, match, useRegex);
+      edits.push({
+        line: i + 1,
+        col: match.index + 1,
+        length: match[0].length,
+        text: replacement
+      });
+      out += line.slice(last, match.index) + replacement;
+      last = match.index + match[0].length;
+    }
+    if (last > 0) {
+      lines[i] = out + line.slice(last);
+    }
+  }
+  const content = lines.map((line, i) => line + endings[i]).join('');
+  return { content, edits, skipped: selected.size - edits.length };
+}
+
+module.exports = { PREVIEW_LENGTH, buildSearchRegex, expandReplacement, lineMatches, splitLines, applyReplacements };
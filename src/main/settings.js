@@ -0,0 +1,237 @@
+// Settings.
+// Schema and defaults for every setting, plus reading, validating and
+// writing the two settings files:
+//   - user:    <userData>/settings.json
+//   - project: <open folder>/.codelight/settings.json
+// Both are flat objects keyed by setting id. A project value replaces the
+// user value for that key, which replaces the default. Invalid values are
+// reported and fall back to the next layer instead of breaking the file.
+
+const path = require('path');
+const fs = require('fs').promises;
+const { DEFAULT_EXCLUDES } = require('./ignore');
+
+const SETTINGS_SCHEMA = {
+  'editor.fontSize': {
+    type: 'number', default: 13, minimum: 8, maximum: 32,
+    description: 'Font size of the editor in pixels.'
+  },
+  'editor.fontFamily': {
+    type: 'string', default: "'Monaco', 'Menlo', 'Ubuntu Mono', monospace",
+    description: 'Font family of the editor (CSS font-family list).'
+  },
+  'editor.tabSize': {
+    type: 'number', default: 2, minimum: 1, maximum: 8,
+    description: 'Number of spaces a tab is equal to.'
+  },
+  'editor.insertSpaces': {
+    type: 'boolean', default: true,
+    description: 'Insert spaces when pressing Tab.'
+  },
+  'editor.detectIndentation': {
+    type: 'boolean', default: true,
+    description: 'Detect tab size and spaces vs. tabs from the file content when it is opened.'
+  },
+  'editor.wordWrap': {
+    type: 'string', default: 'off', enum: ['off', 'on', 'bounded'],
+    description: 'How long lines wrap.'
+  },
+  'editor.lineNumbers': {
+    type: 'string', default: 'on', enum: ['on', 'off', 'relative'],
+    description: 'How line numbers are shown.'
+  },
+  'editor.minimap': {
+    type: 'boolean', default: false,
+    description: 'Show the minimap beside the editor.'
+  },
+  'editor.renderWhitespace': {
+    type: 'string', default: 'selection', enum: ['none', 'boundary', 'selection', 'all'],
+    description: 'When whitespace characters are drawn.'
+  },
+  'editor.cursorBlinking': {
+    type: 'string', default: 'smooth', enum: ['blink', 'smooth', 'phase', 'expand', 'solid'],
+    description: 'Cursor animation style.'
+  },
+  'editor.folding': {
+    type: 'boolean', default: true,
+    description: 'Enable code folding.'
+  },
+  'editor.scrollBeyondLastLine': {
+    type: 'boolean', default: false,
+    description: 'Allow scrolling past the last line.'
+  },
+  'workbench.colorTheme': {
+    type: 'string', default: 'dark', enum: ['dark', 'light'],
+    description: 'Color theme of the window, editor and terminal.'
+  },
+  'workbench.sidebarWidth': {
+    type: 'number', default: 250, minimum: 150, maximum: 600,
+    description: 'Width of the sidebar in pixels.'
+  },
+  'terminal.fontSize': {
+    type: 'number', default: 12, minimum: 8, maximum: 32,
+    description: 'Font size of the integrated terminal in pixels.'
+  },
+  'terminal.fontFamily': {
+    type: 'string', default: 'Monaco, Menlo, monospace',
+    description: 'Font family of the integrated terminal.'
+  },
+  'files.exclude': {
+    type: 'array', default: DEFAULT_EXCLUDES,
+    description: 'Globs for files and folders hidden from the tree, search and Quick Open.'
+  },
+  'files.autoSave': {
+    type: 'string', default: 'off', enum: ['off', 'afterDelay', 'onFocusChange', 'onWindowChange'],
+    description: 'Save files automatically: after a delay, when the editor loses focus or when the window does. Untitled files are never auto-saved.'
+  },
+  'files.autoSaveDelay': {
+    type: 'number', default: 1000, minimum: 100, maximum: 60000,
+    description: 'Milliseconds after the last edit before a file is saved, when files.autoSave is afterDelay.'
+  },
+  'files.hotExit': {
+    type: 'boolean', default: true,
+    description: 'Keep unsaved changes when quitting (or closing the last window) and restore them on the next launch, instead of asking to save.'
+  },
+  'git.inlineBlame': {
+    type: 'boolean', default: true,
+    description: 'Show who last changed the cursor line, and when, at the end of the line.'
+  }
+};
+
+function getDefaults() {
+  const defaults = {};
+  for (const [key, spec] of Object.entries(SETTINGS_SCHEMA)) {
+    defaults[key] = spec.default;
+  }
+  return defaults;
+}
+
+// Error message for a bad value, or null if it fits the schema
+function checkValue(key, value) {
+  const spec = SETTINGS_SCHEMA[key];
+  if (spec.type === 'array') {
+    if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+      return `${key}: expected an array of strings`;
+    }
+    return null;
+  }
+  if (typeof value !== spec.type || (spec.type === 'number' && !Number.isFinite(value))) {
+    return `${key}: expected a ${spec.type}`;
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `${key}: expected one of ${spec.enum.join(', ')}`;
+  }
+  if (spec.minimum !== undefined && value < spec.minimum) {
+    return `${key}: must be at least ${spec.minimum}`;
+  }
+  if (spec.maximum !== undefined && value > spec.maximum) {
+    return `${key}: must be at most ${spec.maximum}`;
+  }
+  return null;
+}
+
+// Read one settings file. Returns { values, errors } where values holds only
+// the valid, known keys; a missing file is just empty.
+async function readSettingsFile(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf-8');
+  } catch (err) {
+    return { values: {}, errors: err.code === 'ENOENT' ? [] : [err.message] };
+  }
+  let data;
+  try {
+    data = text.trim() ? JSON.parse(text) : {};
+  } catch (err) {
+    return { values: {}, errors: [`Invalid JSON: ${err.message}`] };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { values: {}, errors: ['Expected an object of settings'] };
+  }
+
+  const values = {};
+  const errors = [];
+  for (const [key, value] of Object.entries(data)) {
+    if (!SETTINGS_SCHEMA[key]) {
+      errors.push(`${key}: unknown setting`);
+      continue;
+    }
+    const error = checkValue(key, value);
+    if (error) {
+      errors.push(error);
+    } else {
+      values[key] = value;
+    }
+  }
+  return { values, errors };
+}
+
+function getUserSettingsPath(userDataDir) {
+  return path.join(userDataDir, 'settings.json');
+}
+
+function getProjectSettingsPath(folder) {
+  return path.join(folder, '.codelight', 'settings.json');
+}
+
+// Everything a window needs: schema, each layer, and the merged result.
+// `folder` may be null when no folder is open.
+async function loadSettings(userDataDir, folder) {
+  const user = await readSettingsFile(getUserSettingsPath(userDataDir));
+  const project = folder
+    ? await readSettingsFile(getProjectSettingsPath(folder))
+    : { values: {}, errors: [] };
+  return {
+    schema: SETTINGS_SCHEMA,
+    user: user.values,
+    project: project.values,
+    effective: { ...getDefaults(), ...user.values, ...project.values },
+    errors: [
+      ...user.errors.map(e => `settings.json: ${e}`),
+      ...project.errors.map(e => `.codelight/settings.json: ${e}`)
+    ]
+  };
+}
+
+// Set (or with `value` undefined, remove) one key in a settings file,
+// keeping whatever else is in it. Refuses to overwrite a file that doesn't
+// parse, so a typo never costs the user their settings.
+async function writeSetting(file, key, value) {
+  if (!SETTINGS_SCHEMA[key]) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+  if (value !== undefined) {
+    const error = checkValue(key, value);
+    if (error) throw new Error(error);
+  }
+
+  let data = {};
+  try {
+    const text = await fs.readFile(file, 'utf-8');
+    if (text.trim()) data = JSON.parse(text);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new Error(`Fix ${path.basename(file)} before changing settings: ${err.message}`);
+    }
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Fix ${path.basename(file)} before changing settings: expected an object`);
+  }
+
+  if (value === undefined) {
+    delete data[key];
+  } else {
+    data[key] = value;
+  }
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(data, null, 2)}\n`, 'utf-8');
+}
+
+module.exports = {
+  SETTINGS_SCHEMA,
+  getDefaults,
+  loadSettings,
+  writeSetting,
+  getUserSettingsPath,
+  getProjectSettingsPath
+};
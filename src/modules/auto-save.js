@@ -0,0 +1,64 @@
+// Auto Save Module
+// Saves tabs without Cmd+S, per the files.autoSave setting:
+//   - afterDelay:     files.autoSaveDelay ms after the last edit to a tab
+//   - onFocusChange:  when the editor loses focus or another tab is shown,
+//                     and when the window loses focus
+//   - onWindowChange: when the window loses focus
+// Saves go through app.saveTab(), the same path as Save All. Untitled tabs
+// (they'd need a save dialog), read-only tabs and tabs in conflict with
+// the disk are left alone.
+
+export class AutoSaveManager {
+    constructor(app) {
+        this.app = app;
+        this.timers = new Map(); // tab id -> pending afterDelay save
+
+        window.addEventListener('blur', () => this.handleWindowChange());
+    }
+
+    getMode() {
+        return this.app.settings.get('files.autoSave') || 'off';
+    }
+
+    canSave(tab) {
+        return !!tab?.modified && !!tab.path && !!tab.model && !tab.readOnly && !tab.conflict;
+    }
+
+    // An edit to `tab` (from markTabModified)
+    handleEdit(tab) {
+        if (this.getMode() !== 'afterDelay' || !tab?.path) return;
+        clearTimeout(this.timers.get(tab.id));
+        this.timers.set(tab.id, setTimeout(() => {
+            this.timers.delete(tab.id);
+            // The setting may have changed since
+            if (this.getMode() === 'afterDelay') this.save(tab);
+        }, this.app.settings.get('files.autoSaveDelay')));
+    }
+
+    // An editor showing `tab` lost focus, or another tab replaced it
+    handleFocusChange(tab) {
+        if (this.getMode() === 'onFocusChange') this.save(tab);
+    }
+
+    handleWindowChange() {
+        const mode = this.getMode();
+        if (mode !== 'onFocusChange' && mode !== 'onWindowChange') return;
+        for (const tab of this.app.tabs) {
+            this.save(tab);
+        }
+    }
+
+    async save(tab) {
+        // Closed, saved by hand or otherwise not ours to save by now
+        if (!this.app.tabs.includes(tab) || !this.canSave(tab)) return;
+        if (await this.app.saveTab(tab)) {
+            this.app.renderTabs();
+        }
+    }
+
+    // The tab is being closed
+    handleTabClosed(tab) {
+        clearTimeout(this.timers.get(tab.id));
+        this.timers.delete(tab.id);
+    }
+}
@@ -0,0 +1,235 @@
+// Blame Module
+// Who last changed a line, from `git blame` run in the main process
+// (get-git-blame, which keeps the answer until the file or HEAD moves). The
+// cursor line gets a dim note after its end with the author, how long ago
+// and the commit's summary; Toggle Blame also writes the date and author
+// beside every line, once at the top of each run of lines from the same
+// commit. Blame is of the file as saved, so the note hides while a tab has
+// unsaved edits and the gutter waits for the next save to catch up.
+
+import { formatAge } from './timeline.js';
+
+const GUTTER_WIDTH = 180;
+const DEFAULT_DECORATIONS_WIDTH = 10; // Monaco's own lineDecorationsWidth
+
+// formatAge's wording for the last week, then weeks, months and years
+function formatRelative(timestamp) {
+    const days = Math.round((Date.now() - timestamp) / 86400000);
+    if (days < 7) return formatAge(timestamp);
+    const [count, unit] = days < 30 ? [Math.round(days / 7), 'week']
+        : days < 365 ? [Math.round(days / 30), 'month']
+        : [Math.round(days / 365), 'year'];
+    return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+}
+
+function describe(commit) {
+    if (commit.uncommitted) return 'You, Uncommitted changes';
+    return `${commit.author}, ${formatRelative(commit.time)} • ${commit.summary}`;
+}
+
+// A quoted CSS string for a `content:` property
+function cssString(text) {
+    return `"${text.replace(/[\\"]/g, '\\$&').replace(/[\r\n]+/g, ' ')}"`;
+}
+
+export class BlameManager {
+    constructor(app) {
+        this.app = app;
+        this.blames = new Map(); // tab id -> { path, promise, stale }, the promise resolving to the blame or null
+        this.gutters = new Map(); // tab id -> { promise, decorations } while the gutter is on
+        this.notes = new Map(); // editor -> decorations collection for its cursor line note
+        this.gutterShown = false;
+
+        // Gutter labels are CSS content, one rule per commit
+        this.style = document.createElement('style');
+        document.head.appendChild(this.style);
+        this.styledCommits = new Set();
+
+        // A commit in a terminal only touches .git, which the folder watcher
+        // leaves out; main answers from its cache if HEAD hasn't moved
+        window.addEventListener('focus', () => this.handleFolderChanged());
+    }
+
+    // Each editor registers once it exists (the split editor is created
+    // lazily)
+    attach(editor) {
+        this.notes.set(editor, editor.createDecorationsCollection());
+        if (this.gutterShown) {
+            editor.updateOptions({ lineDecorationsWidth: GUTTER_WIDTH });
+        }
+    }
+
+    canBlame(tab) {
+        return !!(tab?.model && tab.path && !tab.large && !tab.binary);
+    }
+
+    getTab(editor) {
+        const model = editor.getModel();
+        return model ? this.app.tabs.find(t => t.model === model) : null;
+    }
+
+    // The blame of the tab's saved file, loaded once until it goes stale.
+    // Resolves to null where there's none.
+    load(tab) {
+        const entry = this.blames.get(tab.id);
+        if (entry && entry.path === tab.path && !entry.stale) return entry.promise;
+
+        const promise = window.electronAPI.getGitBlame(tab.path).then((result) => {
+            if (!result.success) {
+                window.electronAPI.logEvent('warn', `git blame unavailable: ${tab.path}: ${result.error}`);
+                return null;
+            }
+            return result.tracked ? result : null;
+        });
+        this.blames.set(tab.id, { path: tab.path, promise, stale: false });
+        return promise;
+    }
+
+    // Runs whenever tabs re-render
+    update() {
+        for (const editor of this.notes.keys()) {
+            this.updateCursorLine(editor);
+            const tab = this.getTab(editor);
+            if (this.gutterShown && this.canBlame(tab) && this.gutters.get(tab.id)?.promise !== this.load(tab)) {
+                this.renderGutter(tab);
+            }
+        }
+    }
+
+    handleEdit(tab) {
+        for (const [editor, note] of this.notes) {
+            if (editor.getModel() === tab.model) note.clear();
+        }
+    }
+
+    handleSaved(tab) {
+        const entry = this.blames.get(tab.id);
+        if (entry) entry.stale = true;
+        this.update();
+    }
+
+    // Files changed on disk, or a commit or checkout moved HEAD: every
+    // blame is asked for again (the main process still has the ones that
+    // haven't changed)
+    handleFolderChanged() {
+        for (const entry of this.blames.values()) {
+            entry.stale = true;
+        }
+        this.update();
+    }
+
+    handleTabClosed(tab) {
+        this.blames.delete(tab.id);
+        this.gutters.delete(tab.id);
+    }
+
+    // === Cursor line note ===
+
+    // Called from the editor's onDidChangeCursorPosition
+    async updateCursorLine(editor) {
+        const note = this.notes.get(editor);
+        const tab = this.getTab(editor);
+        const position = editor.getPosition();
+        if (!note) return;
+        if (!this.app.settings.get('git.inlineBlame') || !this.canBlame(tab) || tab.modified || !position) {
+            note.clear();
+            return;
+        }
+
+        const blame = await this.load(tab);
+        // The cursor may have moved, or the tab changed, meanwhile
+        if (editor.getModel() !== tab.model || tab.modified || !position.equals(editor.getPosition())) return;
+        const hash = blame?.lines[position.lineNumber - 1];
+        if (!hash) {
+            note.clear();
+            return;
+        }
+
+        const line = position.lineNumber;
+        const column = tab.model.getLineMaxColumn(line);
+        note.set([{
+            range: new monaco.Range(line, column, line, column),
+            options: {
+                showIfCollapsed: true,
+                after: {
+                    content: `\u2003\u2003${describe(blame.commits[hash])}`,
+                    inlineClassName: 'blame-note',
+                    cursorStops: monaco.editor.InjectedTextCursorStops.None
+                }
+            }
+        }]);
+    }
+
+    // === Gutter ===
+
+    toggleGutter() {
+        this.gutterShown = !this.gutterShown;
+        const lineDecorationsWidth = this.gutterShown ? GUTTER_WIDTH : DEFAULT_DECORATIONS_WIDTH;
+        for (const editor of this.notes.keys()) {
+            editor.updateOptions({ lineDecorationsWidth });
+        }
+        if (this.gutterShown) {
+            this.update();
+            return;
+        }
+        for (const [id, gutter] of this.gutters) {
+            const tab = this.app.tabs.find(t => t.id === id);
+            if (tab?.model && !tab.model.isDisposed()) {
+                tab.model.deltaDecorations(gutter.decorations, []);
+            }
+        }
+        this.gutters.clear();
+    }
+
+    async renderGutter(tab) {
+        const promise = this.load(tab);
+        const gutter = this.gutters.get(tab.id) || { promise: null, decorations: [] };
+        gutter.promise = promise;
+        this.gutters.set(tab.id, gutter);
+
+        const blame = await promise;
+        // Turned off, closed or asked again meanwhile
+        if (this.gutters.get(tab.id) !== gutter || gutter.promise !== promise || tab.model.isDisposed()) return;
+        // Saved lines only line up with the buffer until it's edited
+        const decorations = blame && !tab.modified ? this.getGutterDecorations(blame) : [];
+        gutter.decorations = tab.model.deltaDecorations(gutter.decorations, decorations);
+    }
+
+    getGutterDecorations(blame) {
+        const { commits, lines } = blame;
+        const decorations = [];
+        let start = 0;
+        while (start < lines.length) {
+            const hash = lines[start];
+            let end = start + 1;
+            while (end < lines.length && lines[end] === hash) end++;
+
+            decorations.push({
+                range: new monaco.Range(start + 1, 1, start + 1, 1),
+                options: { linesDecorationsClassName: `blame-gutter blame-gutter-start ${this.getCommitClass(hash, commits[hash])}` }
+            });
+            if (end > start + 1) {
+                decorations.push({
+                    range: new monaco.Range(start + 2, 1, end, 1),
+                    options: { isWholeLine: true, linesDecorationsClassName: 'blame-gutter' }
+                });
+            }
+            start = end;
+        }
+        return decorations;
+    }
+
+    // Class whose ::before holds the commit's date and author
+    getCommitClass(hash, commit) {
+        const className = `blame-${hash}`;
+        if (!this.styledCommits.has(hash)) {
+            this.styledCommits.add(hash);
+            const label = commit.uncommitted
+                ? 'Uncommitted'
+                : `${new Date(commit.time).toLocaleDateString()}  ${commit.author}`;
+            const sheet = this.style.sheet;
+            sheet.insertRule(`.monaco-editor .${className}::before { content: ${cssString(label)}; }`, sheet.cssRules.length);
+        }
+        return className;
+    }
+}
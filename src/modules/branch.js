@@ -0,0 +1,174 @@
+// Branch Module
+// The status bar shows the open folder's git branch (or the commit of a
+// detached HEAD), with * for uncommitted changes and ↓/↑ for commits
+// behind/ahead of its upstream. Clicking it opens a picker that switches
+// to a local or remote branch, or creates one from what's typed. After a
+// switch the tree, source control view, gutter markers and open tabs all
+// catch up with the files on the new branch.
+
+export class BranchManager {
+    constructor(app) {
+        this.app = app;
+        this.statusEl = document.getElementById('status-branch');
+        this.modal = document.getElementById('branch-picker-modal');
+        this.input = document.getElementById('branch-picker-input');
+        this.resultsEl = document.getElementById('branch-picker-results');
+        this.info = null; // from get-git-branch, while the folder is in a repository
+        this.loading = 0; // increases with every load, so stale answers are dropped
+
+        this.statusEl.addEventListener('click', () => this.showPicker());
+        // A commit or switch in the terminal only touches .git, which the
+        // folder watcher leaves out
+        window.addEventListener('focus', () => this.refresh());
+    }
+
+    async refresh() {
+        const load = ++this.loading;
+        const result = this.app.openFolder ? await window.electronAPI.getGitBranch() : null;
+        if (load !== this.loading) return;
+        this.info = result?.success && result.repository ? result : null;
+        this.render();
+    }
+
+    render() {
+        const info = this.info;
+        this.statusEl.classList.toggle('hidden', !info);
+        if (!info) return;
+
+        const name = info.branch || (info.commit ? `(${info.commit})` : '(no commits)');
+        let text = `⎇ ${name}${info.dirty ? '*' : ''}`;
+        const details = [info.branch ? `Branch ${info.branch}` : `Detached at ${info.commit || 'no commit'}`];
+        if (info.upstream) {
+            if (info.behind) text += ` ↓${info.behind}`;
+            if (info.ahead) text += ` ↑${info.ahead}`;
+            details.push(`${info.ahead} ahead, ${info.behind} behind ${info.upstream}`);
+        }
+        if (info.dirty) details.push('Uncommitted changes');
+        details.push('Click to switch branches');
+        this.statusEl.textContent = text;
+        this.statusEl.title = details.join('\n');
+    }
+
+    // === Picker ===
+
+    async showPicker() {
+        if (!this.info) return;
+        const result = await window.electronAPI.getGitBranches();
+        if (!result.success) {
+            await window.electronAPI.showMessageBox({
+                type: 'error',
+                buttons: ['OK'],
+                message: 'Could not list branches',
+                detail: result.error
+            });
+            return;
+        }
+        const branches = result.branches;
+        const current = this.info.branch;
+        const { modal, input, resultsEl } = this;
+
+        modal.classList.remove('hidden');
+        input.value = '';
+        input.focus();
+
+        let selectedIndex = 0;
+        let entries = [];
+
+        const closeModal = () => {
+            modal.classList.add('hidden');
+            input.removeEventListener('input', onInput);
+            input.removeEventListener('keydown', onKeydown);
+            modal.removeEventListener('click', onBackdropClick);
+            this.app.editor?.focus();
+        };
+
+        const pick = (entry) => {
+            closeModal();
+            entry.run();
+        };
+
+        // Typing filters the branches; a name that isn't one can be created
+        const renderResults = (query) => {
+            const name = query.trim();
+            const lower = name.toLowerCase();
+            entries = [];
+            if (name && !branches.some(branch => branch.name === name)) {
+                entries.push({
+                    label: `+ Create branch ${name}`,
+                    detail: `from ${current || this.info.commit || 'HEAD'}`,
+                    run: () => this.checkout(name, { create: true })
+                });
+            }
+            for (const branch of branches) {
+                if (lower && !branch.name.toLowerCase().includes(lower)) continue;
+                const isCurrent = !branch.remote && branch.name === current;
+                entries.push({
+                    label: branch.name,
+                    detail: isCurrent ? 'current' : branch.remote ? 'remote branch' : '',
+                    run: () => {
+                        if (!isCurrent) this.checkout(branch.name, { remote: branch.remote });
+                    }
+                });
+            }
+
+            selectedIndex = 0;
+            resultsEl.replaceChildren();
+            entries.forEach((entry, i) => {
+                const item = document.createElement('div');
+                item.className = `quick-open-item${i === 0 ? ' selected' : ''}`;
+                const label = document.createElement('span');
+                label.textContent = entry.label;
+                const detail = document.createElement('span');
+                detail.className = 'quick-open-item-path';
+                detail.textContent = entry.detail;
+                item.append(label, detail);
+                item.addEventListener('click', () => pick(entry));
+                resultsEl.appendChild(item);
+            });
+        };
+
+        const onInput = () => renderResults(input.value);
+
+        const onKeydown = (e) => {
+            const items = resultsEl.querySelectorAll('.quick-open-item');
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                items[selectedIndex]?.classList.remove('selected');
+                selectedIndex = e.key === 'ArrowDown'
+                    ? Math.min(selectedIndex + 1, items.length - 1)
+                    : Math.max(selectedIndex - 1, 0);
+                items[selectedIndex]?.classList.add('selected');
+                items[selectedIndex]?.scrollIntoView({ block: 'nearest' });
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                if (entries[selectedIndex]) pick(entries[selectedIndex]);
+            } else if (e.key === 'Escape') {
+                closeModal();
+            }
+        };
+
+        const onBackdropClick = (e) => {
+            if (e.target === modal) closeModal();
+        };
+
+        input.addEventListener('input', onInput);
+        input.addEventListener('keydown', onKeydown);
+        modal.addEventListener('click', onBackdropClick);
+        renderResults('');
+    }
+
+    async checkout(name, options = {}) {
+        const result = await window.electronAPI.gitCheckout(name, options);
+        if (!result.success) {
+            await window.electronAPI.showMessageBox({
+                type: 'error',
+                buttons: ['OK'],
+                message: options.create ? `Could not create branch ${name}` : `Could not switch to ${name}`,
+                detail: result.error
+            });
+        }
+        // Even a failed checkout can have moved some files
+        this.app.scm.handleGitChanged();
+        this.app.fileSync.check();
+    }
+}
@@ -0,0 +1,288 @@
+// Commands Module
+// Central command registry and the command palette (Cmd+Shift+P).
+// Every user-facing action is registered here once with an id, title and
+// category; the native menu runs them by id over the 'run-command' IPC
+// channel, and the palette lists them alongside Monaco's own editor actions.
+// Keybindings are owned by main and applied via applyKeybindings().
+
+import { fuzzyMatch } from './fuzzy.js';
+
+const KEY_SYMBOLS = {
+    cmd: '⌘',
+    cmdorctrl: '⌘',
+    ctrl: '⌃',
+    alt: '⌥',
+    option: '⌥',
+    shift: '⇧',
+    enter: '↩',
+    escape: '⎋',
+    backspace: '⌫',
+    delete: '⌦',
+    tab: '⇥',
+    up: '↑',
+    down: '↓',
+    left: '←',
+    right: '→'
+};
+
+function formatStroke(stroke) {
+    const order = ['ctrl', 'alt', 'option', 'shift', 'cmd', 'cmdorctrl'];
+    const parts = stroke.split('+').map(p => p.trim()).filter(Boolean);
+    const modifiers = parts.slice(0, -1)
+        .map(p => p.toLowerCase())
+        .sort((a, b) => order.indexOf(a) - order.indexOf(b))
+        .map(p => KEY_SYMBOLS[p] || p);
+    const key = parts[parts.length - 1] || '';
+    const symbol = KEY_SYMBOLS[key.toLowerCase()] ||
+        (key.length > 1 ? key[0].toUpperCase() + key.slice(1) : key.toUpperCase());
+    return modifiers.join('') + symbol;
+}
+
+// 'cmd+shift+p' -> '⇧⌘P' (macOS modifier order); chords keep their space:
+// 'cmd+k cmd+s' -> '⌘K ⌘S'
+export function formatKeybinding(keybinding) {
+    if (!keybinding) return '';
+    return keybinding.trim().split(/\s+/).map(formatStroke).join(' ');
+}
+
+export class CommandManager {
+    constructor(app) {
+        this.app = app;
+        this.commands = new Map(); // id -> { id, title, category, keybinding, run, when }
+        this.recent = []; // ids of recently run commands, most recent first
+        this.keybindings = {}; // command id -> key, from main
+
+        this.modal = document.getElementById('command-palette-modal');
+        this.input = document.getElementById('command-palette-input');
+        this.resultsEl = document.getElementById('command-palette-results');
+
+        window.electronAPI.onRunCommand((id) => this.execute(id));
+        this.loadRecent();
+    }
+
+    async loadRecent() {
+        const recent = await this.app.storage.get('recentCommands');
+        if (Array.isArray(recent)) {
+            this.recent = recent;
+        }
+    }
+
+    // `when` (optional) hides the command from the palette and makes
+    // execute() a no-op while it returns false
+    register(command) {
+        if (!command.id || typeof command.run !== 'function') {
+            throw new Error(`Invalid command: ${command.id}`);
+        }
+        this.commands.set(command.id, {
+            category: 'General',
+            when: null,
+            ...command,
+            keybinding: this.keybindings[command.id] || null
+        });
+    }
+
+    // Resolved keybindings from main; ids without a registered command may
+    // be Monaco actions and are picked up by getEditorActions()
+    applyKeybindings(bindings) {
+        this.keybindings = bindings || {};
+        for (const command of this.commands.values()) {
+            command.keybinding = this.keybindings[command.id] || null;
+        }
+    }
+
+    get(id) {
+        return this.commands.get(id);
+    }
+
+    list() {
+        return [...this.commands.values()];
+    }
+
+    // Whether execute(id) would do anything right now
+    canExecute(id) {
+        const command = this.commands.get(id);
+        if (!command) return !!this.app.editor?.getAction(id);
+        return !command.when || command.when();
+    }
+
+    async execute(id, ...args) {
+        const command = this.commands.get(id);
+        if (!command) {
+            // keybindings.json may bind Monaco actions by their own ids
+            const action = this.app.editor?.getAction(id);
+            if (action) {
+                this.app.editor.focus();
+                return action.run();
+            }
+            window.electronAPI.logEvent('warn', `unknown command: ${id}`);
+            return;
+        }
+        if (command.when && !command.when()) return;
+        this.rememberRecent(id);
+        try {
+            await command.run(...args);
+        } catch (err) {
+            window.electronAPI.logEvent('error', `command ${id} failed: ${err.stack || err.message}`);
+        }
+    }
+
+    rememberRecent(id) {
+        if (id === 'workbench.commandPalette') return;
+        this.recent = [id, ...this.recent.filter(r => r !== id)].slice(0, 10);
+        this.app.storage.set('recentCommands', this.recent);
+    }
+
+    // Monaco's built-in actions (Format Document, Fold All, ...) as palette
+    // entries, minus any that are already registered under the same id
+    getEditorActions() {
+        const editor = this.app.editor;
+        if (!editor || !editor.getModel()) return [];
+        return editor.getSupportedActions()
+            .filter(action => action.label && !this.commands.has(action.id))
+            .map(action => ({
+                id: action.id,
+                title: action.label,
+                category: 'Editor',
+                keybinding: this.keybindings[action.id] || null,
+                run: () => {
+                    editor.focus();
+                    return action.run();
+                }
+            }));
+    }
+
+    // === Palette UI ===
+
+    showPalette() {
+        const { modal, input, resultsEl } = this;
+        // Capture editor actions before the palette takes focus
+        const entries = [
+            ...this.list().filter(c => !c.when || c.when()),
+            ...this.getEditorActions()
+        ].filter(c => c.id !== 'workbench.commandPalette');
+
+        modal.classList.remove('hidden');
+        input.value = '';
+        input.focus();
+
+        let selectedIndex = 0;
+        let visible = [];
+
+        const closeModal = (refocus = true) => {
+            modal.classList.add('hidden');
+            input.removeEventListener('input', onInput);
+            input.removeEventListener('keydown', onKeydown);
+            modal.removeEventListener('click', onBackdropClick);
+            if (refocus) this.app.editor?.focus();
+        };
+
+        const run = (entry) => {
+            closeModal(false);
+            if (this.commands.has(entry.id)) {
+                this.execute(entry.id);
+            } else {
+                this.rememberRecent(entry.id);
+                entry.run();
+            }
+        };
+
+        const renderResults = (query) => {
+            const recentRank = new Map(this.recent.map((id, i) => [id, i]));
+            const label = (c) => `${c.category}: ${c.title}`;
+
+            if (query.trim()) {
+                visible = [];
+                for (const entry of entries) {
+                    const match = fuzzyMatch(query, label(entry));
+                    if (!match) continue;
+                    const rank = recentRank.get(entry.id);
+                    const boost = rank === undefined ? 0 : 10 - rank;
+                    visible.push({ entry, score: match.score + boost, positions: match.positions });
+                }
+                visible.sort((a, b) => b.score - a.score);
+            } else {
+                // No query: recently used first, then alphabetical
+                visible = entries
+                    .map(entry => ({ entry, positions: [] }))
+                    .sort((a, b) => {
+                        const ra = recentRank.get(a.entry.id) ?? Infinity;
+                        const rb = recentRank.get(b.entry.id) ?? Infinity;
+                        if (ra !== rb) return ra - rb;
+                        return label(a.entry).localeCompare(label(b.entry));
+                    });
+            }
+
+            selectedIndex = 0;
+            resultsEl.replaceChildren();
+            visible.slice(0, 100).forEach(({ entry, positions }, i) => {
+                const item = document.createElement('div');
+                item.className = `quick-open-item${i === 0 ? ' selected' : ''}`;
+
+                const text = label(entry);
+                const nameSpan = document.createElement('span');
+                const matched = new Set(positions);
+                for (let c = 0; c < text.length; c++) {
+                    if (matched.has(c)) {
+                        const mark = document.createElement('span');
+                        mark.className = 'quick-open-match';
+                        mark.textContent = text[c];
+                        nameSpan.appendChild(mark);
+                    } else {
+                        nameSpan.appendChild(document.createTextNode(text[c]));
+                    }
+                }
+                nameSpan.normalize();
+                item.appendChild(nameSpan);
+
+                if (entry.keybinding) {
+                    const keySpan = document.createElement('span');
+                    keySpan.className = 'command-keybinding';
+                    keySpan.textContent = formatKeybinding(entry.keybinding);
+                    item.appendChild(keySpan);
+                }
+
+                item.addEventListener('click', () => run(entry));
+                resultsEl.appendChild(item);
+            });
+        };
+
+        const onInput = (e) => renderResults(e.target.value);
+
+        const onKeydown = (e) => {
+            const items = resultsEl.querySelectorAll('.quick-open-item');
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                items[selectedIndex]?.classList.remove('selected');
+                selectedIndex = Math.min(selectedIndex + 1, items.length - 1);
+                items[selectedIndex]?.classList.add('selected');
+                items[selectedIndex]?.scrollIntoView({ block: 'nearest' });
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                items[selectedIndex]?.classList.remove('selected');
+                selectedIndex = Math.max(selectedIndex - 1, 0);
+                items[selectedIndex]?.classList.add('selected');
+                items[selectedIndex]?.scrollIntoView({ block: 'nearest' });
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const selected = visible[selectedIndex];
+                if (selected) {
+                    run(selected.entry);
+                } else {
+                    closeModal();
+                }
+            } else if (e.key === 'Escape') {
+                closeModal();
+            }
+        };
+
+        const onBackdropClick = (e) => {
+            if (e.target === modal) closeModal();
+        };
+
+        input.addEventListener('input', onInput);
+        input.addEventListener('keydown', onKeydown);
+        modal.addEventListener('click', onBackdropClick);
+
+        renderResults('');
+    }
+}
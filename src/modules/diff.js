@@ -0,0 +1,313 @@
+// Diff Module
+// Diff tabs (kind 'diff'): Monaco's diff editor in a tab of its own, for
+//   - Compare with... (tree and tab context menus): another file against
+//     this one
+//   - Compare with Saved: the file on disk against the tab's unsaved buffer
+//   - Compare with Clipboard: the clipboard against the tab (or against
+//     the selection, if there is one)
+// The left side is a read-only snapshot the diff tab owns. The right side
+// is the compared tab's own model, so editing it edits that file (and
+// Cmd+S in the diff saves it); a selection is compared as a read-only copy.
+// The toolbar switches between side-by-side and inline and steps through
+// the changes. One diff editor is shared by all diff tabs.
+
+let diffCount = 0;
+
+export class DiffManager {
+    constructor(app) {
+        this.app = app;
+        this.container = document.getElementById('diff-container');
+        this.toolbar = document.getElementById('diff-toolbar');
+        this.titleEl = document.getElementById('diff-title');
+        this.countEl = document.getElementById('diff-count');
+        this.layoutButton = document.getElementById('diff-layout');
+        this.diffEditor = null;
+        this.shownTab = null;
+
+        document.getElementById('diff-previous').addEventListener('click', () => this.goToChange(-1));
+        document.getElementById('diff-next').addEventListener('click', () => this.goToChange(1));
+        this.layoutButton.addEventListener('click', () => this.toggleInline());
+    }
+
+    ensureEditor() {
+        if (this.diffEditor) return;
+        this.diffEditor = monaco.editor.createDiffEditor(this.container, {
+            ...this.getEditorOptions(),
+            automaticLayout: true,
+            originalEditable: false
+        });
+        const modifiedEditor = this.diffEditor.getModifiedEditor();
+        modifiedEditor.onDidChangeModelContent(() => {
+            const target = this.shownTab?.diff.target;
+            if (target) this.app.markTabModified(target.id);
+        });
+        modifiedEditor.onDidBlurEditorWidget(() => {
+            this.app.autoSave.handleFocusChange(this.shownTab?.diff.target);
+        });
+        this.diffEditor.onDidUpdateDiff(() => this.updateCount());
+    }
+
+    // === Opening ===
+
+    // Open a diff tab. `original` is { content, label }; `modified` is
+    // either { tab } (diff against that tab's live model) or
+    // { content, label } for a read-only right side. A diff opened again
+    // with the same `key` brings its tab back (with the new left side)
+    // instead.
+    open({ original, modified, language, key = null }) {
+        const existing = key && this.app.tabs.find(t => t.kind === 'diff' && t.diff.key === key);
+        if (existing) {
+            if (existing.diff.original.getValue() !== original.content) {
+                existing.diff.original.setValue(original.content);
+            }
+            this.app.activateTab(existing.id);
+            return existing;
+        }
+
+        const target = modified.tab || null;
+        const modifiedLabel = target ? target.name : modified.label;
+        const lang = language || target?.model.getLanguageId() || 'plaintext';
+
+        const tab = {
+            id: `diff-${Date.now()}-${++diffCount}`,
+            name: `${original.label} ↔ ${modifiedLabel}`,
+            path: null,
+            content: '',
+            modified: false,
+            disk: null,
+            encoding: null,
+            conflict: null,
+            large: false,
+            binary: false,
+            hex: false,
+            truncated: false,
+            size: null,
+            readOnly: true,
+            kind: 'diff',
+            preview: null,
+            model: null,
+            diff: {
+                original: monaco.editor.createModel(original.content, lang),
+                modified: target ? target.model : monaco.editor.createModel(modified.content, lang),
+                target,
+                key,
+                sideBySide: true,
+                viewState: null,
+                change: -1
+            }
+        };
+        this.app.tabs.push(tab);
+        this.app.activateTab(tab.id);
+        return tab;
+    }
+
+    // Tabs whose right side is `tab`'s model; closed before it is
+    getTabsShowing(tab) {
+        return this.app.tabs.filter(t => t.kind === 'diff' && t.diff.target === tab);
+    }
+
+    // Text tab to compare, or null after telling the user why not
+    async getTextTab(filePath) {
+        let tab = this.app.tabs.find(t => t.path === filePath);
+        if (!tab) {
+            await this.app.openFile(filePath);
+            tab = this.app.tabs.find(t => t.path === filePath);
+        }
+        if (tab && (!tab.model || tab.binary)) {
+            await this.showError(`${tab.name} can't be compared as text.`);
+            return null;
+        }
+        return tab || null;
+    }
+
+    // { content, label } of a file on disk, or null after an error message
+    async readSide(filePath, encoding) {
+        const result = await window.electronAPI.readFile(filePath, encoding);
+        const name = filePath.split('/').pop();
+        if (!result.success) {
+            await this.showError(`Could not read ${name}`, result.error);
+            return null;
+        }
+        if (result.binary) {
+            await this.showError(`${name} can't be compared as text.`);
+            return null;
+        }
+        return { content: result.content, label: name };
+    }
+
+    showError(message, detail) {
+        return window.electronAPI.showMessageBox({ type: 'error', buttons: ['OK'], message, detail });
+    }
+
+    // Compare with...: pick another file (Quick Open inside a folder, the
+    // open dialog otherwise) and diff it against `filePath`
+    async compareWith(filePath) {
+        const pick = (otherPath) => this.compareFiles(otherPath, filePath);
+        if (this.app.openFolder) {
+            this.app.showQuickOpen({ placeholder: `Compare ${filePath.split('/').pop()} with...`, onPick: pick });
+            return;
+        }
+        const result = await window.electronAPI.showOpenDialog('file');
+        if (!result.canceled && result.filePaths.length > 0) {
+            await pick(result.filePaths[0]);
+        }
+    }
+
+    async compareFiles(originalPath, modifiedPath) {
+        const original = await this.readSide(originalPath);
+        if (!original) return;
+        const target = await this.getTextTab(modifiedPath);
+        if (!target) return;
+        if (originalPath === modifiedPath) {
+            original.label = `${original.label} (on disk)`;
+        }
+        this.open({ original, modified: { tab: target } });
+    }
+
+    async compareWithSaved(tab) {
+        if (!tab?.path || !tab.model) return;
+        const original = await this.readSide(tab.path, tab.encoding);
+        if (!original || !this.app.tabs.includes(tab)) return;
+        original.label = `${tab.name} (Saved)`;
+        this.open({ original, modified: { tab } });
+    }
+
+    async compareWithClipboard(tab) {
+        if (!tab?.model) return;
+        let clipboard;
+        try {
+            clipboard = await navigator.clipboard.readText();
+        } catch (err) {
+            await this.showError('Could not read the clipboard', err.message);
+            return;
+        }
+        const original = { content: clipboard, label: 'Clipboard' };
+
+        // With a selection in the editor, compare just that
+        const selection = this.app.getActiveTab() === tab ? this.app.editor.getSelection() : null;
+        if (selection && !selection.isEmpty()) {
+            this.open({
+                original,
+                modified: { content: tab.model.getValueInRange(selection), label: `${tab.name} (Selection)` },
+                language: tab.model.getLanguageId()
+            });
+        } else {
+            this.open({ original, modified: { tab } });
+        }
+    }
+
+    // === Showing ===
+
+    // Show the active diff tab (or hide the diff editor); runs whenever tabs
+    // re-render. Returns true while a diff covers the editor.
+    update() {
+        const tab = this.app.getActiveTab();
+        const showing = tab?.kind === 'diff';
+        this.toolbar.classList.toggle('hidden', !showing);
+        this.container.classList.toggle('hidden', !showing);
+
+        if (this.shownTab !== (showing ? tab : null)) {
+            this.detach();
+            if (showing) this.show(tab);
+        }
+        if (showing) this.updateToolbar(tab);
+        return showing;
+    }
+
+    show(tab) {
+        this.ensureEditor();
+        this.shownTab = tab;
+        const { diff } = tab;
+        this.diffEditor.updateOptions({ renderSideBySide: diff.sideBySide });
+        this.diffEditor.setModel({ original: diff.original, modified: diff.modified });
+        this.diffEditor.getModifiedEditor().updateOptions({
+            readOnly: !diff.target || diff.target.readOnly
+        });
+        if (diff.viewState) {
+            this.diffEditor.restoreViewState(diff.viewState);
+        }
+        this.diffEditor.getModifiedEditor().focus();
+    }
+
+    // Let go of the shown tab's models, remembering where it was scrolled
+    detach() {
+        if (!this.shownTab) return;
+        this.shownTab.diff.viewState = this.diffEditor.saveViewState();
+        this.diffEditor.setModel(null);
+        this.shownTab = null;
+    }
+
+    updateToolbar(tab) {
+        this.titleEl.textContent = tab.name;
+        this.layoutButton.textContent = tab.diff.sideBySide ? 'Inline' : 'Side by Side';
+        this.updateCount();
+    }
+
+    updateCount() {
+        const tab = this.shownTab;
+        if (!tab) return;
+        const changes = this.diffEditor.getLineChanges();
+        if (!changes) {
+            this.countEl.textContent = '';
+        } else if (changes.length === 0) {
+            this.countEl.textContent = 'No changes';
+        } else if (tab.diff.change >= 0 && tab.diff.change < changes.length) {
+            this.countEl.textContent = `${tab.diff.change + 1} of ${changes.length}`;
+        } else {
+            this.countEl.textContent = `${changes.length} change${changes.length === 1 ? '' : 's'}`;
+        }
+    }
+
+    // === Navigation ===
+
+    // Move the cursor to the next (1) or previous (-1) change, wrapping
+    // around at either end
+    goToChange(direction) {
+        const tab = this.shownTab;
+        const changes = tab ? this.diffEditor.getLineChanges() : null;
+        if (!changes || changes.length === 0) return;
+
+        const editor = this.diffEditor.getModifiedEditor();
+        const line = editor.getPosition()?.lineNumber ?? 0;
+        // A pure deletion sits after line modifiedStartLineNumber
+        const starts = changes.map(change => Math.max(1, change.modifiedStartLineNumber));
+        let index = direction > 0
+            ? starts.findIndex(start => start > line)
+            : starts.findLastIndex(start => start < line);
+        if (index === -1) index = direction > 0 ? 0 : starts.length - 1;
+
+        tab.diff.change = index;
+        editor.setPosition({ lineNumber: starts[index], column: 1 });
+        editor.revealLineInCenter(starts[index]);
+        editor.focus();
+        this.updateCount();
+    }
+
+    toggleInline() {
+        const tab = this.shownTab;
+        if (!tab) return;
+        tab.diff.sideBySide = !tab.diff.sideBySide;
+        this.diffEditor.updateOptions({ renderSideBySide: tab.diff.sideBySide });
+        this.updateToolbar(tab);
+    }
+
+    // The editor settings, minus readOnly: which side is editable is up to
+    // each diff
+    getEditorOptions() {
+        const { readOnly, ...options } = this.app.getEditorOptions();
+        return options;
+    }
+
+    // Settings changed (font size, word wrap, ...)
+    updateOptions() {
+        this.diffEditor?.updateOptions(this.getEditorOptions());
+    }
+
+    // The diff tab is being closed
+    dispose(tab) {
+        if (tab.kind !== 'diff') return;
+        if (this.shownTab === tab) this.detach();
+        tab.diff.original.dispose();
+        if (!tab.diff.target) tab.diff.modified.dispose();
+    }
+}
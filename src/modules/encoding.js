@@ -0,0 +1,94 @@
+// Encoding Module
+// Each tab remembers the encoding its file was read with (detected by main,
+// see src/main/encoding.js) and is saved back in it. The status bar shows
+// it; clicking there offers Reopen with Encoding (decode the file on disk
+// differently) and Save with Encoding (convert the file).
+
+// Same ids as src/main/encoding.js
+export const ENCODINGS = {
+    utf8: 'UTF-8',
+    utf8bom: 'UTF-8 with BOM',
+    utf16le: 'UTF-16 LE',
+    utf16be: 'UTF-16 BE',
+    latin1: 'Western (ISO 8859-1)'
+};
+
+export const DEFAULT_ENCODING = 'utf8';
+
+export class EncodingManager {
+    constructor(app) {
+        this.app = app;
+        this.statusEl = document.getElementById('status-encoding');
+        this.statusEl.addEventListener('click', () => this.showMenu());
+    }
+
+    updateStatus(tab) {
+        const encoding = tab?.encoding || DEFAULT_ENCODING;
+        // Nothing to show for binary files and image/PDF previews
+        this.statusEl.textContent = !tab || (tab.model && !tab.binary) ? ENCODINGS[encoding] : '';
+        this.statusEl.title = 'Select Encoding';
+    }
+
+    showMenu() {
+        const tab = this.app.getActiveTab();
+        if (!tab?.model || tab.binary) return;
+        this.app.showStatusMenu(this.statusEl, [
+            { label: 'Reopen with Encoding...', disabled: !tab.path, run: () => this.pickEncoding('reopen') },
+            { label: 'Save with Encoding...', disabled: tab.readOnly, run: () => this.pickEncoding('save') }
+        ]);
+    }
+
+    pickEncoding(action) {
+        const tab = this.app.getActiveTab();
+        if (!tab?.model || tab.binary || (action === 'save' && tab.readOnly)) return;
+        this.app.showStatusMenu(this.statusEl, Object.entries(ENCODINGS).map(([id, label]) => ({
+            label,
+            checked: id === tab.encoding,
+            run: () => action === 'reopen' ? this.reopenWithEncoding(tab, id) : this.saveWithEncoding(tab, id)
+        })));
+    }
+
+    // Decode the file on disk again with `encoding`, replacing the buffer
+    async reopenWithEncoding(tab, encoding) {
+        if (!tab.path) return;
+        if (tab.modified) {
+            const { response } = await window.electronAPI.showMessageBox({
+                type: 'warning',
+                buttons: ['Reopen', 'Cancel'],
+                defaultId: 1,
+                cancelId: 1,
+                message: `Reopen ${tab.name} with ${ENCODINGS[encoding]}?`,
+                detail: 'Your unsaved changes will be lost.'
+            });
+            if (response !== 0) return;
+        }
+
+        const result = await window.electronAPI.readFile(tab.path, encoding);
+        if (!result.success) {
+            await window.electronAPI.showMessageBox({
+                type: 'error',
+                buttons: ['OK'],
+                message: `Could not reopen ${tab.name}`,
+                detail: result.error
+            });
+            return;
+        }
+        tab.encoding = result.encoding;
+        this.app.fileSync.reload(tab, result.content, result.disk ?? null);
+        this.app.updateStatusBar();
+        this.app.saveSession();
+    }
+
+    // Save the tab converted to `encoding`; it stays in that encoding after
+    async saveWithEncoding(tab, encoding) {
+        const previous = tab.encoding;
+        tab.encoding = encoding;
+        this.app.activateTab(tab.id);
+        if (await this.app.saveCurrentFile()) {
+            this.app.saveSession();
+        } else {
+            tab.encoding = previous;
+        }
+        this.app.updateStatusBar();
+    }
+}
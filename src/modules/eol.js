@@ -0,0 +1,54 @@
+// End of Line Module
+// A tab's line ending lives on its Monaco model: detected from the file
+// when the model is created (mixed endings become the most common one) and
+// used by getValue(), so saving writes it back. The status bar shows it;
+// clicking there or running "Change End of Line Sequence" converts the
+// whole model as one undoable edit.
+
+export const EOLS = {
+    '\n': 'LF',
+    '\r\n': 'CRLF'
+};
+
+// The line ending a piece of text mostly uses
+export function detectEol(text) {
+    const crlf = (text.match(/\r\n/g) || []).length;
+    const lf = (text.match(/\n/g) || []).length - crlf;
+    return crlf > lf ? '\r\n' : '\n';
+}
+
+export class EolManager {
+    constructor(app) {
+        this.app = app;
+        this.statusEl = document.getElementById('status-eol');
+        this.statusEl.addEventListener('click', () => this.showMenu());
+    }
+
+    updateStatus(tab) {
+        // Nothing to show for binary files and image/PDF previews
+        this.statusEl.textContent = !tab || (tab.model && !tab.binary) ? EOLS[tab?.model.getEOL() || '\n'] : '';
+        this.statusEl.title = 'Select End of Line Sequence';
+    }
+
+    showMenu() {
+        const tab = this.app.getActiveTab();
+        if (!tab?.model || tab.readOnly) return;
+        const current = tab.model.getEOL();
+        this.app.showStatusMenu(this.statusEl, Object.entries(EOLS).map(([eol, label]) => ({
+            label,
+            checked: eol === current,
+            run: () => this.setEol(tab, eol)
+        })));
+    }
+
+    // Convert every line of the tab; marks it modified like any other edit
+    setEol(tab, eol) {
+        if (!tab?.model || tab.readOnly || tab.model.getEOL() === eol) return;
+        const sequence = eol === '\r\n'
+            ? monaco.editor.EndOfLineSequence.CRLF
+            : monaco.editor.EndOfLineSequence.LF;
+        tab.model.pushEOL(sequence);
+        this.app.markTabModified(tab.id);
+        this.app.updateStatusBar();
+    }
+}
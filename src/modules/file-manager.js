@@ -5,14 +5,55 @@ export class FileManager {
     constructor(app) {
         this.app = app;
         this.recentFiles = [];
-        this.gitStatus = {}; // Track git file statuses
+        this.gitStatus = {}; // path -> { status, index, worktree, submodule } from get-git-status
         this.isWatching = false;
         this.expandedFolders = new Set(); // Track expanded folder paths
         this._isRendering = false; // Guard against re-renders while already rendering
         this._pendingRefresh = false; // Track if a refresh was requested during render
         this._suppressWatcher = false; // Suppress watcher refreshes during saves
+        this.fileIndex = null; // { version, root, files } cached for Quick Open
+        this.selectedPath = null; // tree selection, target of F2/Delete and explorer commands
+        this.selectedIsDirectory = false;
+        this.dragPath = null; // tree item being dragged
         this.loadRecentFiles();
         this.setupFolderWatcher();
+        this.setupTreeInteractions();
+    }
+
+    // Keyboard shortcuts while the tree has focus, and dropping onto empty
+    // space below the items (moves to the folder root)
+    setupTreeInteractions() {
+        const container = document.getElementById('file-tree');
+        container.tabIndex = 0;
+
+        container.addEventListener('keydown', (e) => {
+            if (e.target !== container || !this.selectedPath) return;
+            if (e.key === 'F2') {
+                e.preventDefault();
+                this.startRename(this.selectedPath);
+            } else if (e.key === 'Delete' || (e.metaKey && e.key === 'Backspace')) {
+                e.preventDefault();
+                this.deleteFile(this.selectedPath, this.selectedIsDirectory);
+            }
+        });
+
+        container.addEventListener('dragover', (e) => {
+            const root = this.app.openFolder;
+            if (!root || !this.canDrop(root)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        });
+        container.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const source = this.dragPath;
+            const root = this.app.openFolder;
+            const allowed = root && this.canDrop(root);
+            this.dragPath = null;
+            this.clearDropTarget();
+            if (allowed) {
+                this.movePath(source, root);
+            }
+        });
     }
 
     setupFolderWatcher() {
@@ -21,6 +62,14 @@ export class FileManager {
 
         // Listen for folder change events from the main process
         window.electronAPI.onFolderChanged((data) => {
+            // Open tabs (and so their git markers) may have been changed by
+            // another program, even when the tree refresh below is suppressed
+            this.app.fileSync.check();
+            this.app.gitGutter.handleFolderChanged();
+            this.app.blame.handleFolderChanged();
+            this.app.scm.handleFolderChanged();
+            this.app.branch.refresh();
+
             // Skip refresh if we're the ones who caused the change (e.g., saving a file)
             if (this._suppressWatcher) {
                 return;
@@ -90,6 +139,26 @@ export class FileManager {
         this.saveRecentFiles();
     }
 
+    // Relative paths of every file in the open folder, from the index the
+    // main process keeps current via the watcher. Only re-transferred when
+    // its version has moved since the last call.
+    async getFileIndex() {
+        if (!this.app.openFolder) return [];
+        const cached = this.fileIndex && this.fileIndex.root === this.app.openFolder
+            ? this.fileIndex
+            : null;
+        const result = await window.electronAPI.getFileIndex(cached?.version);
+        if (!result.success) {
+            window.electronAPI.logEvent('warn', `file index unavailable: ${result.error}`);
+            return cached ? cached.files : [];
+        }
+        if (result.unchanged && cached) {
+            return cached.files;
+        }
+        this.fileIndex = { version: result.version, root: this.app.openFolder, files: result.files };
+        return result.files;
+    }
+
     async refreshGitStatus() {
         if (!this.app.openFolder) return;
 
@@ -101,6 +170,37 @@ export class FileManager {
         }
     }
 
+    // Git's entry for a path. Git reports an ignored folder as a whole, so
+    // everything inside one gets the folder's entry.
+    getGitStatus(itemPath) {
+        if (this.gitStatus[itemPath]) return this.gitStatus[itemPath];
+        let current = itemPath;
+        while (current.startsWith(`${this.app.openFolder}/`)) {
+            current = this.dirname(current);
+            if (this.gitStatus[current]?.status === 'ignored') return this.gitStatus[current];
+        }
+        return null;
+    }
+
+    // Tooltip text: what's staged and what isn't, listed separately
+    describeGitStatus(entry) {
+        // Folders holding changes have only a status
+        if (!('worktree' in entry)) {
+            return entry.status === 'conflicted' ? 'Contains merge conflicts' : 'Contains changes';
+        }
+        const whole = { untracked: 'Untracked', ignored: 'Ignored by git', conflicted: 'Merge conflict' };
+        if (whole[entry.worktree]) return whole[entry.worktree];
+
+        const capitalize = word => word[0].toUpperCase() + word.slice(1);
+        const lines = [];
+        if (entry.index) lines.push(`${capitalize(entry.index)} (staged)`);
+        if (entry.worktree) lines.push(capitalize(entry.worktree));
+        if (entry.submodule?.commit) lines.push('Submodule: another commit checked out');
+        if (entry.submodule?.modified) lines.push('Submodule: changed files');
+        if (entry.submodule?.untracked) lines.push('Submodule: untracked files');
+        return lines.join('\n');
+    }
+
     async openFolder(folderPath) {
         // Verify the folder still exists before touching any state — a folder
         // restored from a previous session may have been moved or deleted.
@@ -147,6 +247,8 @@ export class FileManager {
         }
         this.app.saveSession();
         this.app.updateStatusBar();
+        this.app.scm.handleFolderChanged();
+        this.app.branch.refresh();
 
         // Start watching the new folder
         const result = await window.electronAPI.watchFolder(folderPath);
@@ -178,8 +280,9 @@ export class FileManager {
         // Add right-click context menu for root folder
         headerItem.addEventListener('contextmenu', (e) => {
             e.preventDefault();
-            this.showContextMenu(e.clientX, e.clientY, folderPath, true);
+            this.showContextMenu(e.clientX, e.clientY, folderPath, true, true);
         });
+        this.makeDropTarget(headerItem, folderPath);
 
         container.appendChild(headerItem);
 
@@ -190,9 +293,9 @@ export class FileManager {
         const result = await window.electronAPI.readDirectory(folderPath);
         if (result.success) {
             for (const child of result.items) {
-                // Top-level entries (direct children of the opened folder) are shown
-                // even if they're dotfiles — most editors surface .gitignore, .env, etc.
-                const childItem = await this.createTreeItem(child.path, child.isDirectory, false, true);
+                // Excluded entries never reach us; the main process's ignore
+                // engine already filtered them (see read-directory)
+                const childItem = await this.createTreeItem(child.path, child.isDirectory, false, child.ignored);
                 if (childItem) {
                     childrenContainer.appendChild(childItem);
                 }
@@ -219,28 +322,29 @@ export class FileManager {
         return i === -1 ? p : p.slice(i + 1);
     }
 
-    async createTreeItem(itemPath, isDirectory, isRoot = false, isTopLevel = false) {
+    async createTreeItem(itemPath, isDirectory, isRoot = false, isIgnored = false) {
         const name = this.basename(itemPath);
 
-        // Skip hidden files and common ignored directories
-        if (!isRoot && !isTopLevel && name.startsWith('.')) {
-            return null;
-        }
-        if (name === 'node_modules' || name === '__pycache__' || name === '.git') {
-            return null;
-        }
-
         const wrapper = document.createElement('div');
         wrapper.className = 'tree-folder';
 
         const item = document.createElement('div');
         item.className = 'tree-item';
         item.dataset.path = itemPath;
+        if (itemPath === this.selectedPath) {
+            item.classList.add('active');
+        }
 
         // Add git status class if applicable
-        const gitStatus = this.gitStatus[itemPath];
+        const gitStatus = this.getGitStatus(itemPath);
         if (gitStatus) {
-            item.classList.add(`git-${gitStatus}`);
+            item.classList.add(`git-${gitStatus.status}`);
+            item.title = this.describeGitStatus(gitStatus);
+        }
+
+        // Gitignored entries stay visible but dimmed
+        if (isIgnored || gitStatus?.status === 'ignored') {
+            item.classList.add('ignored');
         }
 
         // Check if file has unsaved changes (higher priority indicator)
@@ -256,13 +360,27 @@ export class FileManager {
         nameSpan.className = 'tree-item-name';
         nameSpan.textContent = name;
 
-        // Add right-click context menu for copying path
+        // Right-click menu: file operations, copy path/name
         item.addEventListener('contextmenu', (e) => {
             e.preventDefault();
             e.stopPropagation();
+            this.select(item, itemPath, isDirectory);
             this.showContextMenu(e.clientX, e.clientY, itemPath, isDirectory);
         });
 
+        // Drag to move; dropping on a file moves into that file's folder
+        item.draggable = true;
+        item.addEventListener('dragstart', (e) => {
+            this.dragPath = itemPath;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', itemPath);
+        });
+        item.addEventListener('dragend', () => {
+            this.dragPath = null;
+            this.clearDropTarget();
+        });
+        this.makeDropTarget(item, isDirectory ? itemPath : this.dirname(itemPath));
+
         if (isDirectory) {
             // Check if this folder should be expanded (was previously expanded or is root)
             const shouldExpand = isRoot || this.expandedFolders.has(itemPath);
@@ -277,6 +395,7 @@ export class FileManager {
 
             item.addEventListener('click', async (e) => {
                 e.stopPropagation();
+                this.select(item, itemPath, true);
 
                 // Toggle expanded state
                 wrapper.classList.toggle('expanded');
@@ -295,7 +414,7 @@ export class FileManager {
                         const result = await window.electronAPI.readDirectory(itemPath);
                         if (result.success) {
                             for (const child of result.items) {
-                                const childItem = await this.createTreeItem(child.path, child.isDirectory);
+                                const childItem = await this.createTreeItem(child.path, child.isDirectory, false, child.ignored);
                                 if (childItem) {
                                     childrenContainer.appendChild(childItem);
                                 }
@@ -319,7 +438,7 @@ export class FileManager {
                 const result = await window.electronAPI.readDirectory(itemPath);
                 if (result.success) {
                     for (const child of result.items) {
-                        const childItem = await this.createTreeItem(child.path, child.isDirectory);
+                        const childItem = await this.createTreeItem(child.path, child.isDirectory, false, child.ignored);
                         if (childItem) {
                             childrenContainer.appendChild(childItem);
                         }
@@ -341,17 +460,14 @@ export class FileManager {
                 this.app.openFile(itemPath);
 
                 // Highlight active file
-                document.querySelectorAll('.tree-item.active').forEach(el => {
-                    el.classList.remove('active');
-                });
-                item.classList.add('active');
+                this.select(item, itemPath, false);
             });
 
             return item;
         }
     }
 
-    showContextMenu(x, y, itemPath, isDirectory) {
+    showContextMenu(x, y, itemPath, isDirectory, isRoot = false) {
         // Remove any existing context menu
         const existing = document.querySelector('.context-menu');
         if (existing) existing.remove();
@@ -361,26 +477,47 @@ export class FileManager {
         menu.style.left = `${x}px`;
         menu.style.top = `${y}px`;
 
-        const copyPathItem = document.createElement('div');
-        copyPathItem.className = 'context-menu-item';
-        copyPathItem.textContent = isDirectory ? 'Copy Folder Path' : 'Copy File Path';
-        copyPathItem.addEventListener('click', () => {
-            navigator.clipboard.writeText(itemPath);
-            menu.remove();
-        });
+        const addItem = (label, action) => {
+            const el = document.createElement('div');
+            el.className = 'context-menu-item';
+            el.textContent = label;
+            el.addEventListener('click', () => {
+                menu.remove();
+                action();
+            });
+            menu.appendChild(el);
+        };
+        const addSeparator = () => {
+            const el = document.createElement('div');
+            el.className = 'context-menu-separator';
+            menu.appendChild(el);
+        };
 
-        menu.appendChild(copyPathItem);
+        // New entries go inside a folder, or next to a file
+        const parentDir = isDirectory ? itemPath : this.dirname(itemPath);
+        addItem('New File...', () => this.startCreate(parentDir, 'file'));
+        addItem('New Folder...', () => this.startCreate(parentDir, 'folder'));
+        addSeparator();
+
+        // The open folder itself can't be renamed, duplicated or deleted here
+        if (!isRoot) {
+            addItem('Rename', () => this.startRename(itemPath));
+            addItem('Duplicate', () => this.duplicatePath(itemPath));
+            addItem('Delete', () => this.deleteFile(itemPath, isDirectory));
+            addSeparator();
+        }
 
-        // Add "Copy Name" option
-        const copyNameItem = document.createElement('div');
-        copyNameItem.className = 'context-menu-item';
-        copyNameItem.textContent = 'Copy Name';
-        copyNameItem.addEventListener('click', () => {
+        addItem(isDirectory ? 'Copy Folder Path' : 'Copy File Path', () => {
+            navigator.clipboard.writeText(itemPath);
+        });
+        addItem('Copy Name', () => {
             navigator.clipboard.writeText(this.basename(itemPath));
-            menu.remove();
         });
 
-        menu.appendChild(copyNameItem);
+        if (!isDirectory) {
+            addSeparator();
+            addItem('Compare with...', () => this.app.diff.compareWith(itemPath));
+        }
 
         document.body.appendChild(menu);
 
@@ -394,6 +531,227 @@ export class FileManager {
         setTimeout(() => document.addEventListener('click', closeMenu), 0);
     }
 
+    // === Selection and drag and drop ===
+
+    select(item, itemPath, isDirectory) {
+        document.querySelectorAll('.tree-item.active').forEach(el => {
+            el.classList.remove('active');
+        });
+        item.classList.add('active');
+        this.selectedPath = itemPath;
+        this.selectedIsDirectory = isDirectory;
+    }
+
+    // Folder new entries from explorer commands go into: the selected
+    // folder, the selected file's folder, or the root
+    getSelectedFolder() {
+        if (!this.selectedPath) return this.app.openFolder;
+        return this.selectedIsDirectory ? this.selectedPath : this.dirname(this.selectedPath);
+    }
+
+    findTreeItem(itemPath) {
+        return document.querySelector(`#file-tree .tree-item[data-path="${CSS.escape(itemPath)}"]`);
+    }
+
+    // A drag can land in `targetDir` unless it's already there, or it's a
+    // folder being dropped into itself
+    canDrop(targetDir) {
+        const source = this.dragPath;
+        if (!source) return false;
+        return this.dirname(source) !== targetDir &&
+            targetDir !== source &&
+            !targetDir.startsWith(`${source}/`);
+    }
+
+    makeDropTarget(el, targetDir) {
+        el.addEventListener('dragover', (e) => {
+            if (!this.canDrop(targetDir)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            e.dataTransfer.dropEffect = 'move';
+            if (!el.classList.contains('drop-target')) {
+                this.clearDropTarget();
+                el.classList.add('drop-target');
+            }
+        });
+        el.addEventListener('dragleave', () => {
+            el.classList.remove('drop-target');
+        });
+        el.addEventListener('drop', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const source = this.dragPath;
+            const allowed = this.canDrop(targetDir);
+            this.dragPath = null;
+            this.clearDropTarget();
+            if (allowed) {
+                this.movePath(source, targetDir);
+            }
+        });
+    }
+
+    clearDropTarget() {
+        document.querySelectorAll('#file-tree .drop-target').forEach(el => {
+            el.classList.remove('drop-target');
+        });
+    }
+
+    // === Inline name editing ===
+
+    // Error message for an invalid file/folder name, or null
+    validateName(name) {
+        if (!name) return 'A file or folder name must be provided';
+        if (name === '.' || name === '..') return `"${name}" is not a valid name`;
+        if (/[\\/]/.test(name)) return 'Names cannot contain slashes';
+        return null;
+    }
+
+    createNameInput(value) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'tree-item-input';
+        input.value = value;
+        input.spellcheck = false;
+        // Keep clicks in the input from toggling folders or opening files
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('mousedown', (e) => e.stopPropagation());
+        return input;
+    }
+
+    // Enter commits, Escape cancels, blur commits if the name is valid
+    editName(input, onCommit, onCancel) {
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            const name = input.value.trim();
+            const error = this.validateName(name);
+            if (commit && error) {
+                input.classList.add('invalid');
+                input.title = error;
+                return false;
+            }
+            done = true;
+            if (commit) {
+                onCommit(name);
+            } else {
+                onCancel();
+            }
+            return true;
+        };
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(false);
+            }
+        });
+        input.addEventListener('input', () => {
+            input.classList.toggle('invalid', !!this.validateName(input.value.trim()));
+        });
+        input.addEventListener('blur', () => {
+            if (!finish(true)) finish(false);
+        });
+        input.focus();
+    }
+
+    startRename(itemPath) {
+        const item = this.findTreeItem(itemPath);
+        if (!item || itemPath === this.app.openFolder) return;
+        const nameSpan = item.querySelector('.tree-item-name');
+        const name = this.basename(itemPath);
+        const input = this.createNameInput(name);
+        item.draggable = false;
+        nameSpan.replaceWith(input);
+
+        // Select the name without its extension, like Finder
+        const dot = name.lastIndexOf('.');
+        input.setSelectionRange(0, dot > 0 ? dot : name.length);
+
+        const restore = () => {
+            input.replaceWith(nameSpan);
+            item.draggable = true;
+            document.getElementById('file-tree').focus();
+        };
+        this.editName(input, (newName) => {
+            restore();
+            if (newName !== name) {
+                this.renamePath(itemPath, this.joinPath(this.dirname(itemPath), newName));
+            }
+        }, restore);
+    }
+
+    // Inline name row at the top of `parentDir` for a new file or folder
+    async startCreate(parentDir, kind) {
+        if (parentDir !== this.app.openFolder && !this.expandedFolders.has(parentDir)) {
+            this.expandedFolders.add(parentDir);
+            await this.rerenderTree();
+        }
+        const children = parentDir === this.app.openFolder
+            ? document.querySelector('#file-tree > .tree-children')
+            : this.findTreeItem(parentDir)?.parentElement.querySelector(':scope > .tree-children');
+        if (!children) return;
+
+        const row = document.createElement('div');
+        row.className = 'tree-item tree-item-new';
+        const icon = document.createElement('span');
+        icon.className = 'tree-item-icon';
+        icon.textContent = kind === 'folder' ? '📁' : '📄';
+        const input = this.createNameInput('');
+        row.append(icon, input);
+        children.prepend(row);
+        row.scrollIntoView({ block: 'nearest' });
+
+        this.editName(input, (name) => {
+            row.remove();
+            if (kind === 'folder') {
+                this.createFolder(parentDir, name);
+            } else {
+                this.createFile(parentDir, name);
+            }
+        }, () => row.remove());
+    }
+
+    // === File operations ===
+    // All go through main-process handlers that validate paths against the
+    // open folder; the tree is re-rendered directly rather than waiting for
+    // the watcher.
+
+    dirname(p) {
+        const i = Math.max(p.lastIndexOf('/'), p.lastIndexOf('\\'));
+        return i <= 0 ? p.slice(0, i + 1) : p.slice(0, i);
+    }
+
+    joinPath(parentPath, name) {
+        const sep = parentPath.includes('\\') && !parentPath.includes('/') ? '\\' : '/';
+        return parentPath.endsWith(sep) ? `${parentPath}${name}` : `${parentPath}${sep}${name}`;
+    }
+
+    async rerenderTree() {
+        this.suppressWatcher();
+        this._isRendering = true;
+        try {
+            await this.refreshGitStatus();
+            await this.renderFileTree(this.app.openFolder);
+        } finally {
+            this._isRendering = false;
+            // Discard any pending refresh from file watcher since we just re-rendered
+            this._pendingRefresh = false;
+        }
+    }
+
+    async showOperationError(message, error) {
+        window.electronAPI.logEvent('warn', `${message}: ${error}`);
+        await window.electronAPI.showMessageBox({
+            type: 'error',
+            buttons: ['OK'],
+            message,
+            detail: error
+        });
+    }
+
     getFileIcon(filename) {
         const ext = filename.split('.').pop().toLowerCase();
         const icons = {
@@ -419,31 +777,112 @@ export class FileManager {
     }
 
     async createFile(parentPath, fileName) {
-        const sep = parentPath.includes('\\') && !parentPath.includes('/') ? '\\' : '/';
-        const filePath = parentPath.endsWith(sep) ? `${parentPath}${fileName}` : `${parentPath}${sep}${fileName}`;
+        const filePath = this.joinPath(parentPath, fileName);
         this.suppressWatcher();
-        const result = await window.electronAPI.writeFile(filePath, '');
+        const result = await window.electronAPI.createFile(filePath);
         if (result.success) {
             // Ensure the parent folder is expanded so the new file is visible
             this.expandedFolders.add(parentPath);
-
-            this._isRendering = true;
-            try {
-                await this.refreshGitStatus();
-                await this.renderFileTree(this.app.openFolder);
-            } finally {
-                this._isRendering = false;
-                // Discard any pending refresh from file watcher since we just re-rendered
-                this._pendingRefresh = false;
-            }
+            this.selectedPath = filePath;
+            this.selectedIsDirectory = false;
+            await this.rerenderTree();
             this.app.openFile(filePath);
+        } else {
+            await this.showOperationError(`Could not create "${fileName}"`, result.error);
+        }
+        return result;
+    }
+
+    async createFolder(parentPath, folderName) {
+        const folderPath = this.joinPath(parentPath, folderName);
+        this.suppressWatcher();
+        const result = await window.electronAPI.createFolder(folderPath);
+        if (result.success) {
+            this.expandedFolders.add(parentPath);
+            this.selectedPath = folderPath;
+            this.selectedIsDirectory = true;
+            await this.rerenderTree();
+        } else {
+            await this.showOperationError(`Could not create "${folderName}"`, result.error);
+        }
+        return result;
+    }
+
+    // Rename or move. Expanded folders, the selection, recent files and open
+    // tabs all follow the new path.
+    async renamePath(oldPath, newPath) {
+        this.suppressWatcher();
+        const result = await window.electronAPI.renamePath(oldPath, newPath);
+        if (!result.success) {
+            await this.showOperationError(`Could not move "${this.basename(oldPath)}"`, result.error);
+            return result;
+        }
+
+        const remap = (p) => {
+            if (p === oldPath) return newPath;
+            if (p.startsWith(`${oldPath}/`)) return newPath + p.slice(oldPath.length);
+            return p;
+        };
+        this.expandedFolders = new Set([...this.expandedFolders].map(remap));
+        if (this.selectedPath) this.selectedPath = remap(this.selectedPath);
+        this.recentFiles = this.recentFiles.map(remap);
+        this.saveRecentFiles();
+        this.app.handlePathRenamed(oldPath, newPath);
+
+        await this.rerenderTree();
+        return result;
+    }
+
+    movePath(sourcePath, targetDir) {
+        return this.renamePath(sourcePath, this.joinPath(targetDir, this.basename(sourcePath)));
+    }
+
+    async duplicatePath(itemPath) {
+        this.suppressWatcher();
+        const result = await window.electronAPI.duplicatePath(itemPath);
+        if (result.success) {
+            this.selectedPath = result.path;
+            await this.rerenderTree();
+        } else {
+            await this.showOperationError(`Could not duplicate "${this.basename(itemPath)}"`, result.error);
         }
         return result;
     }
 
-    async deleteFile(filePath) {
-        // Note: For safety, we don't implement delete in MVP
-        // This would require additional confirmation UI
-        console.log('Delete not implemented in MVP for safety');
+    // Move to the system trash after confirming. Tabs for the deleted files
+    // close unless they have unsaved changes.
+    async deleteFile(filePath, isDirectory = false) {
+        const name = this.basename(filePath);
+        const unsaved = this.app.tabs.filter(t => t.modified && t.path &&
+            (t.path === filePath || t.path.startsWith(`${filePath}/`)));
+        let detail = isDirectory
+            ? 'The folder and all of its contents will be moved to the Trash.'
+            : 'The file will be moved to the Trash.';
+        if (unsaved.length > 0) {
+            detail += ` ${unsaved.map(t => t.name).join(', ')} ${unsaved.length === 1 ? 'has' : 'have'} unsaved changes.`;
+        }
+
+        const { response } = await window.electronAPI.showMessageBox({
+            type: 'warning',
+            buttons: ['Move to Trash', 'Cancel'],
+            defaultId: 0,
+            cancelId: 1,
+            message: `Are you sure you want to delete "${name}"?`,
+            detail
+        });
+        if (response !== 0) return { success: false, cancelled: true };
+
+        this.suppressWatcher();
+        const result = await window.electronAPI.trashPath(filePath);
+        if (!result.success) {
+            await this.showOperationError(`Could not delete "${name}"`, result.error);
+            return result;
+        }
+
+        if (this.selectedPath === filePath) this.selectedPath = null;
+        this.expandedFolders.delete(filePath);
+        this.app.handlePathDeleted(filePath);
+        await this.rerenderTree();
+        return result;
     }
 }
@@ -0,0 +1,256 @@
+// File Sync Module
+// Keeps open tabs in step with their files on disk. Every tab remembers the
+// disk state ({ mtime, size, hash }) it last read or wrote, and main compares
+// it against the file whenever the folder watcher fires or the window
+// regains focus:
+//   - unmodified tabs reload in place (as one undoable edit)
+//   - modified tabs get a conflict bar: Reload / Keep Mine / Compare
+// Saves send the remembered state along, so main refuses to overwrite a
+// newer version on disk until the user says so.
+
+import { detectEol } from './eol.js';
+
+export class FileSyncManager {
+    constructor(app) {
+        this.app = app;
+        this.checking = false;
+        this.recheck = false;
+
+        this.bar = document.getElementById('conflict-bar');
+        this.barMessage = document.getElementById('conflict-message');
+
+        this.compareModal = document.getElementById('compare-modal');
+        this.compareTitle = document.getElementById('compare-title');
+        this.diffEditor = null;
+        this.diskModel = null;
+        this.compareTab = null;
+
+        this.setupListeners();
+    }
+
+    setupListeners() {
+        window.addEventListener('focus', () => this.check());
+
+        document.getElementById('conflict-reload').addEventListener('click', () => {
+            this.reloadFromDisk(this.app.getActiveTab());
+        });
+        document.getElementById('conflict-keep').addEventListener('click', () => {
+            this.keepMine(this.app.getActiveTab());
+        });
+        document.getElementById('conflict-compare').addEventListener('click', () => {
+            this.showCompare(this.app.getActiveTab());
+        });
+
+        document.getElementById('compare-use-disk').addEventListener('click', () => {
+            const tab = this.compareTab;
+            this.hideCompare();
+            this.reloadFromDisk(tab);
+        });
+        document.getElementById('compare-keep').addEventListener('click', () => {
+            const tab = this.compareTab;
+            this.hideCompare();
+            this.keepMine(tab);
+        });
+        document.getElementById('compare-close').addEventListener('click', () => this.hideCompare());
+        this.compareModal.addEventListener('click', (e) => {
+            if (e.target === this.compareModal) this.hideCompare();
+        });
+        // Handle Escape here rather than leaving it to ShortcutManager, so
+        // the diff editor lets go of the tab's model
+        this.compareModal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.hideCompare();
+            }
+        });
+    }
+
+    // Ask main which open files changed on disk. Calls made while a check is
+    // running are folded into one more pass afterwards.
+    async check() {
+        if (this.checking) {
+            this.recheck = true;
+            return;
+        }
+        const tabs = this.app.tabs.filter(t => t.path && t.disk);
+        if (tabs.length === 0) return;
+
+        this.checking = true;
+        try {
+            const result = await window.electronAPI.checkFiles(tabs.map(t => ({
+                path: t.path,
+                disk: t.disk,
+                encoding: t.encoding
+            })));
+            for (const change of result.changes) {
+                const tab = this.app.tabs.find(t => t.path === change.path);
+                // A deleted file keeps its tab; saving writes it back
+                if (tab && !change.deleted) {
+                    this.handleChange(tab, change);
+                }
+            }
+        } catch (err) {
+            window.electronAPI.logEvent('error', `file check failed: ${err.message}`);
+        } finally {
+            this.checking = false;
+            if (this.recheck) {
+                this.recheck = false;
+                this.check();
+            }
+        }
+    }
+
+    handleChange(tab, { disk, content }) {
+        // Touched but not changed, or changed to exactly what the tab holds
+        if (content === undefined || content === tab.model.getValue()) {
+            tab.disk = disk;
+            if (content !== undefined) {
+                tab.content = content;
+                tab.modified = false;
+                tab.conflict = null;
+                this.app.renderTabs();
+            }
+            return;
+        }
+
+        if (tab.modified) {
+            tab.conflict = { content, disk };
+            this.app.renderTabs();
+        } else {
+            this.reload(tab, content, disk);
+        }
+    }
+
+    // Replace the model's text as a single undoable edit, keeping the cursor
+    // and scroll position of every editor showing it
+    reload(tab, content, disk) {
+        const editors = [this.app.editor, this.app.splitEditor]
+            .filter(editor => editor && editor.getModel() === tab.model);
+        const viewStates = editors.map(editor => editor.saveViewState());
+
+        // The new text may use different line endings; the model would
+        // otherwise convert it to its current ones
+        this.app.eol.setEol(tab, detectEol(content));
+        tab.model.pushEditOperations([], [{ range: tab.model.getFullModelRange(), text: content }], () => null);
+        editors.forEach((editor, i) => editor.restoreViewState(viewStates[i]));
+
+        tab.content = content;
+        tab.disk = disk;
+        tab.modified = false;
+        tab.conflict = null;
+        this.app.renderTabs();
+    }
+
+    reloadFromDisk(tab) {
+        if (!tab?.conflict) return;
+        this.reload(tab, tab.conflict.content, tab.conflict.disk);
+    }
+
+    // Keep the buffer as it is; the next save overwrites the disk version
+    keepMine(tab) {
+        if (!tab?.conflict) return;
+        tab.disk = tab.conflict.disk;
+        tab.conflict = null;
+        this.app.renderTabs();
+        this.app.editor.focus();
+    }
+
+    // Write a tab's content to `filePath` (its own path by default). Returns
+    // true once written; false if the user backed out or the write failed.
+    async save(tab, content, filePath = tab.path) {
+        const encoding = tab.encoding;
+        const expected = filePath === tab.path ? tab.disk : null;
+        let result = await window.electronAPI.writeFile(filePath, content, { expected, encoding });
+
+        if (result.conflict) {
+            const { response } = await window.electronAPI.showMessageBox({
+                type: 'warning',
+                buttons: ['Overwrite', 'Compare', 'Cancel'],
+                defaultId: 2,
+                cancelId: 2,
+                message: `${tab.name} has been changed on disk since you opened it.`,
+                detail: 'Overwriting replaces the version on disk with yours.'
+            });
+            if (response === 1) {
+                // Picks up the disk version as a conflict, then shows it
+                await this.check();
+                this.showCompare(tab);
+                return false;
+            }
+            if (response !== 0) return false;
+            result = await window.electronAPI.writeFile(filePath, content, { encoding });
+        }
+
+        if (!result.success) {
+            window.electronAPI.logEvent('error', `save failed for ${filePath}: ${result.error}`);
+            await window.electronAPI.showMessageBox({
+                type: 'error',
+                buttons: ['OK'],
+                message: `Could not save ${tab.name}`,
+                detail: result.error
+            });
+            return false;
+        }
+
+        tab.disk = result.disk;
+        tab.conflict = null;
+        return true;
+    }
+
+    // === Conflict bar ===
+
+    // Shown above the editor while the active tab has a conflict
+    updateBar() {
+        const tab = this.app.getActiveTab();
+        const visible = !!tab?.conflict;
+        this.bar.classList.toggle('hidden', !visible);
+        if (visible) {
+            this.barMessage.textContent = `${tab.name} has changed on disk and you have unsaved changes.`;
+        }
+        this.app.editor?.layout();
+    }
+
+    // === Compare ===
+
+    showCompare(tab) {
+        if (!tab?.conflict) return;
+
+        this.compareTab = tab;
+        this.compareTitle.textContent = `${tab.name}: On Disk ↔ Yours`;
+        this.compareModal.classList.remove('hidden');
+
+        if (!this.diffEditor) {
+            this.diffEditor = monaco.editor.createDiffEditor(document.getElementById('compare-editor'), {
+                ...this.app.getEditorOptions(),
+                automaticLayout: true,
+                originalEditable: false
+            });
+        }
+        this.disposeDiskModel();
+        this.diskModel = monaco.editor.createModel(tab.conflict.content, tab.model.getLanguageId());
+        this.diffEditor.setModel({ original: this.diskModel, modified: tab.model });
+        this.diffEditor.getModifiedEditor().focus();
+    }
+
+    hideCompare() {
+        this.compareModal.classList.add('hidden');
+        this.diffEditor?.setModel(null);
+        this.disposeDiskModel();
+        this.compareTab = null;
+        this.app.editor?.focus();
+    }
+
+    disposeDiskModel() {
+        if (this.diskModel) {
+            this.diskModel.dispose();
+            this.diskModel = null;
+        }
+    }
+
+    // The compared tab is being closed
+    handleTabClosed(tab) {
+        if (this.compareTab === tab) {
+            this.hideCompare();
+        }
+    }
+}
@@ -0,0 +1,100 @@
+// File View Module
+// Tabs for files that shouldn't go into a normal editor (main decides which,
+// see src/main/binary.js):
+//   - large text files are read-only plain text (no syntax highlighting),
+//     with folding, the minimap and word wrap off; a notice says so
+//   - binary files show a placeholder instead of the editor, with a button
+//     that turns the tab into a read-only hex dump of the file's start
+
+// 1536 -> '1.5 KB'
+export function formatSize(bytes) {
+    const units = ['bytes', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${size} ${units[0]}` : `${size.toFixed(size < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+export class FileViewManager {
+    constructor(app) {
+        this.app = app;
+        this.placeholder = document.getElementById('binary-placeholder');
+        this.placeholderMessage = document.getElementById('binary-message');
+        this.notice = document.getElementById('file-notice');
+
+        document.getElementById('binary-show-hex').addEventListener('click', () => {
+            this.showHex(this.app.getActiveTab());
+        });
+    }
+
+    // Editor options that win over the settings while `tab` is shown
+    getEditorOverrides(tab) {
+        if (!tab?.readOnly) {
+            return { readOnly: false };
+        }
+        return {
+            readOnly: true,
+            folding: false,
+            minimap: { enabled: false },
+            wordWrap: 'off',
+            renderWhitespace: 'none'
+        };
+    }
+
+    // Placeholder and notice for the active tab; runs whenever tabs
+    // re-render. Returns true while the placeholder covers the editor.
+    update() {
+        const tab = this.app.getActiveTab();
+
+        const showPlaceholder = !!tab?.binary && !tab.hex;
+        this.placeholder.classList.toggle('hidden', !showPlaceholder);
+        if (showPlaceholder) {
+            this.placeholderMessage.textContent =
+                `${tab.name} is a binary file (${formatSize(tab.size)}) and can't be shown as text.`;
+        }
+
+        const notice = tab ? this.getNotice(tab) : null;
+        this.notice.classList.toggle('hidden', !notice);
+        this.notice.textContent = notice || '';
+        return showPlaceholder;
+    }
+
+    getNotice(tab) {
+        const partial = tab.truncated ? ' Only the beginning of the file is shown.' : '';
+        if (tab.hex) {
+            return `Hex view of a binary file (${formatSize(tab.size)}), read-only.${partial}`;
+        }
+        if (tab.large) {
+            return `Large file (${formatSize(tab.size)}): opened read-only, without syntax highlighting, folding or the minimap.${partial}`;
+        }
+        return null;
+    }
+
+    async showHex(tab) {
+        if (!tab?.binary || tab.hex) return;
+
+        const result = await window.electronAPI.readHex(tab.path);
+        if (!result.success) {
+            await window.electronAPI.showMessageBox({
+                type: 'error',
+                buttons: ['OK'],
+                message: `Could not read ${tab.name}`,
+                detail: result.error
+            });
+            return;
+        }
+
+        tab.hex = true;
+        tab.truncated = result.truncated;
+        tab.size = result.size;
+        tab.model.setValue(result.content);
+        // Filling in the dump isn't an edit
+        tab.modified = false;
+        tab.content = result.content;
+        this.app.renderTabs();
+        this.app.editor.focus();
+    }
+}
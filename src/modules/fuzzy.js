@@ -0,0 +1,98 @@
+// Fuzzy Matcher Module
+// Scores a query against a relative path for Quick Open: every query
+// character must appear in order (case-insensitive), and matches that land on
+// word/segment boundaries, run consecutively, or fall in the file name score
+// higher. `src/mod/fm` matches `src/modules/file-manager.js`.
+
+const SEPARATORS = '/\\_-. ';
+
+function isBoundary(text, i) {
+    if (i === 0) return true;
+    const prev = text[i - 1];
+    if (SEPARATORS.includes(prev)) return true;
+    // camelCase hump: fileManager -> M
+    return prev === prev.toLowerCase() && text[i] !== text[i].toLowerCase();
+}
+
+// Find the tightest in-order match of `query` in `text` starting at `from`:
+// scan forward for the first complete match, then walk back from its end so
+// the match doesn't start earlier than it needs to. Returns positions or null.
+function matchPositions(query, text, from = 0) {
+    const lowerText = text.toLowerCase();
+    let qi = 0;
+    let end = -1;
+    for (let i = from; i < lowerText.length; i++) {
+        if (lowerText[i] === query[qi]) {
+            qi++;
+            if (qi === query.length) {
+                end = i;
+                break;
+            }
+        }
+    }
+    if (end === -1) return null;
+
+    const positions = new Array(query.length);
+    qi = query.length - 1;
+    for (let i = end; i >= from && qi >= 0; i--) {
+        if (lowerText[i] === query[qi]) {
+            positions[qi] = i;
+            qi--;
+        }
+    }
+    return positions;
+}
+
+function scorePositions(text, positions) {
+    let score = 0;
+    for (let i = 0; i < positions.length; i++) {
+        const pos = positions[i];
+        score += 1;
+        if (isBoundary(text, pos)) {
+            score += text[pos - 1] === '/' || pos === 0 ? 10 : 8;
+        }
+        if (i > 0) {
+            const gap = pos - positions[i - 1] - 1;
+            if (gap === 0) {
+                score += 5;
+            } else {
+                score -= 1 + Math.min(gap, 20) * 0.1;
+            }
+        }
+    }
+    return score;
+}
+
+// Returns { score, positions } with positions indexing into `path`, or null
+// when the query doesn't match. Spaces in the query are ignored.
+export function fuzzyMatch(query, path) {
+    const q = query.replace(/\s+/g, '').toLowerCase();
+    if (!q) return { score: 0, positions: [] };
+
+    const nameStart = path.lastIndexOf('/') + 1;
+    let best = null;
+
+    // Prefer a match entirely inside the file name when the query has no
+    // folder part — typing "fm" should find file-manager.js by its name
+    if (!q.includes('/')) {
+        const positions = matchPositions(q, path, nameStart);
+        if (positions) {
+            const bonus = 15 + (positions[0] === nameStart ? 5 : 0);
+            best = { score: scorePositions(path, positions) + bonus, positions };
+        }
+    }
+
+    const positions = matchPositions(q, path);
+    if (positions) {
+        const score = scorePositions(path, positions);
+        if (!best || score > best.score) {
+            best = { score, positions };
+        }
+    }
+
+    if (best) {
+        // Among equal matches, shorter paths are usually what you meant
+        best.score -= path.length * 0.01;
+    }
+    return best;
+}
@@ -0,0 +1,299 @@
+// Git Gutter Module
+// Markers beside the line numbers for lines that differ from the git index:
+// a bar for added and modified lines, a wedge where lines were deleted. The
+// diff is worked out in the main process (get-git-line-changes) from the
+// buffer as it is, saved or not; markers refresh shortly after typing
+// stops, when the file is saved and when the folder watcher reports a
+// change. Clicking a marker peeks at the index's lines below it, with
+// Revert to put them back into the buffer (which leaves the tab modified,
+// like any other edit).
+
+const EDIT_DELAY = 500;
+const MAX_PEEK_LINES = 12;
+const PEEK_HEADER_HEIGHT = 26;
+
+// Same colours as the tree's git status dots
+const COLORS = {
+    added: '#98C379',
+    modified: '#E5C07B',
+    deleted: '#E06C75'
+};
+
+function getType(change) {
+    if (change.originalCount === 0) return 'added';
+    if (change.modifiedCount === 0) return 'deleted';
+    return 'modified';
+}
+
+function describe(change) {
+    const type = getType(change);
+    const count = type === 'added' ? change.modifiedCount : change.originalCount;
+    return `${count} line${count === 1 ? '' : 's'} ${type === 'modified' ? 'changed' : type}`;
+}
+
+export class GitGutterManager {
+    constructor(app) {
+        this.app = app;
+        this.states = new Map(); // tab id -> { path, version, changes, decorations, stale }
+        this.timers = new Map(); // tab id -> refresh pending after an edit
+        this.requests = new Map(); // tab id -> number of its latest request
+        this.peek = null; // { editor, tab, change, zoneId }
+    }
+
+    // Each editor registers once it exists (the split editor is created
+    // lazily)
+    attach(editor) {
+        editor.onMouseDown((e) => {
+            if (e.target.type !== monaco.editor.MouseTargetType.GUTTER_LINE_DECORATIONS) return;
+            const tab = this.app.tabs.find(t => t.model && t.model === editor.getModel());
+            if (tab && e.target.position) {
+                this.togglePeek(editor, tab, e.target.position.lineNumber);
+            }
+        });
+        editor.onKeyDown((e) => {
+            if (e.keyCode === monaco.KeyCode.Escape && this.peek?.editor === editor) {
+                this.closePeek();
+            }
+        });
+    }
+
+    canShow(tab) {
+        return !!(tab?.model && tab.path && !tab.large && !tab.binary);
+    }
+
+    // Runs whenever tabs re-render: visible tabs without current markers
+    // get them
+    update() {
+        if (this.peek && this.peek.editor.getModel() !== this.peek.tab.model) {
+            this.closePeek();
+        }
+        for (const tab of this.getVisibleTabs()) {
+            const state = this.states.get(tab.id);
+            if (!state || state.stale || state.path !== tab.path) {
+                this.refresh(tab);
+            }
+        }
+    }
+
+    getVisibleTabs() {
+        const tabs = [this.app.getActiveTab()];
+        if (this.app.isSplitView) {
+            tabs.push(this.app.tabs.find(t => t.id === this.app.splitTabId));
+        }
+        return tabs.filter(tab => tab?.model);
+    }
+
+    handleEdit(tab) {
+        if (!this.canShow(tab)) return;
+        clearTimeout(this.timers.get(tab.id));
+        this.timers.set(tab.id, setTimeout(() => this.refresh(tab), EDIT_DELAY));
+    }
+
+    handleSaved(tab) {
+        this.refresh(tab);
+    }
+
+    // Files changed on disk (a checkout, a stash, another editor): visible
+    // tabs refresh now, the rest when they're next shown
+    handleFolderChanged() {
+        for (const state of this.states.values()) {
+            state.stale = true;
+        }
+        for (const tab of this.getVisibleTabs()) {
+            this.refresh(tab);
+        }
+    }
+
+    handleTabClosed(tab) {
+        clearTimeout(this.timers.get(tab.id));
+        this.timers.delete(tab.id);
+        this.requests.delete(tab.id);
+        this.states.delete(tab.id);
+        if (this.peek?.tab === tab) this.closePeek();
+    }
+
+    async refresh(tab) {
+        clearTimeout(this.timers.get(tab.id));
+        this.timers.delete(tab.id);
+        if (!this.canShow(tab)) {
+            if (tab.model) this.render(tab, []);
+            return;
+        }
+
+        const request = (this.requests.get(tab.id) || 0) + 1;
+        this.requests.set(tab.id, request);
+        const version = tab.model.getVersionId();
+        const result = await window.electronAPI.getGitLineChanges(tab.path, tab.model.getValue(), tab.encoding);
+
+        // Closed or overtaken by a newer request meanwhile
+        if (!this.app.tabs.includes(tab) || tab.model.isDisposed() || this.requests.get(tab.id) !== request) return;
+        if (tab.model.getVersionId() !== version) {
+            this.handleEdit(tab);
+            return;
+        }
+        if (!result.success) {
+            window.electronAPI.logEvent('warn', `git line changes unavailable: ${tab.path}: ${result.error}`);
+        }
+        this.render(tab, result.success ? result.changes : []);
+    }
+
+    render(tab, changes) {
+        if (this.peek?.tab === tab) this.closePeek();
+        const previous = this.states.get(tab.id)?.decorations || [];
+        const decorations = tab.model.deltaDecorations(previous, changes.map(change => this.getDecoration(change)));
+        this.states.set(tab.id, {
+            path: tab.path,
+            version: tab.model.getVersionId(),
+            changes,
+            decorations,
+            stale: false
+        });
+    }
+
+    getDecoration(change) {
+        const type = getType(change);
+        const overviewRuler = { color: COLORS[type], position: monaco.editor.OverviewRulerLane.Left };
+        const minimap = { color: COLORS[type], position: monaco.editor.MinimapPosition.Gutter };
+        if (type === 'deleted') {
+            // On the line above the gap (below it at the top of the file)
+            const line = Math.max(1, change.modifiedStart);
+            const top = change.modifiedStart === 0 ? ' git-gutter-deleted-top' : '';
+            return {
+                range: new monaco.Range(line, 1, line, 1),
+                options: { linesDecorationsClassName: `git-gutter git-gutter-deleted${top}`, overviewRuler, minimap }
+            };
+        }
+        return {
+            range: new monaco.Range(change.modifiedStart + 1, 1, change.modifiedStart + change.modifiedCount, 1),
+            options: { isWholeLine: true, linesDecorationsClassName: `git-gutter git-gutter-${type}`, overviewRuler, minimap }
+        };
+    }
+
+    // === Peek ===
+
+    togglePeek(editor, tab, line) {
+        const state = this.states.get(tab.id);
+        if (!state) return;
+        const index = state.decorations.findIndex((id) => {
+            const range = tab.model.getDecorationRange(id);
+            return range && line >= range.startLineNumber && line <= range.endLineNumber;
+        });
+        if (index === -1) return;
+
+        const change = state.changes[index];
+        const same = this.peek?.editor === editor && this.peek.change === change;
+        this.closePeek();
+        if (!same) {
+            this.showPeek(editor, tab, change, tab.model.getDecorationRange(state.decorations[index]));
+        }
+    }
+
+    showPeek(editor, tab, change, range) {
+        const type = getType(change);
+        const fontInfo = editor.getOption(monaco.editor.EditorOption.fontInfo);
+        const shown = Math.min(change.originalLines.length, MAX_PEEK_LINES);
+
+        const node = document.createElement('div');
+        node.className = `git-peek git-peek-${type}`;
+        const header = document.createElement('div');
+        header.className = 'git-peek-header';
+        header.style.height = `${PEEK_HEADER_HEIGHT}px`;
+        const title = document.createElement('span');
+        title.className = 'git-peek-title';
+        title.textContent = `Git: ${describe(change)}`;
+        const revertButton = document.createElement('button');
+        revertButton.textContent = 'Revert';
+        revertButton.title = 'Put the lines from git back';
+        revertButton.disabled = tab.readOnly;
+        revertButton.addEventListener('click', () => this.revert(tab, change));
+        const closeButton = document.createElement('button');
+        closeButton.textContent = '×';
+        closeButton.title = 'Close';
+        closeButton.addEventListener('click', () => this.closePeek());
+        header.append(title, revertButton, closeButton);
+        node.appendChild(header);
+
+        let height = PEEK_HEADER_HEIGHT;
+        if (shown > 0) {
+            const lines = document.createElement('pre');
+            lines.className = 'git-peek-lines';
+            lines.style.fontFamily = fontInfo.fontFamily;
+            lines.style.fontSize = `${fontInfo.fontSize}px`;
+            lines.style.lineHeight = `${fontInfo.lineHeight}px`;
+            lines.style.height = `${shown * fontInfo.lineHeight + 8}px`;
+            const text = change.originalLines.join('\n');
+            lines.textContent = text;
+            monaco.editor.colorize(text, tab.model.getLanguageId(), { tabSize: tab.model.getOptions().tabSize })
+                .then((html) => { lines.innerHTML = html; })
+                .catch(() => {});
+            node.appendChild(lines);
+            height += shown * fontInfo.lineHeight + 8;
+        }
+
+        let zoneId = null;
+        editor.changeViewZones((accessor) => {
+            zoneId = accessor.addZone({
+                afterLineNumber: type === 'deleted' && change.modifiedStart === 0 ? 0 : range.endLineNumber,
+                heightInPx: height,
+                domNode: node,
+                suppressMouseDown: true
+            });
+        });
+        this.peek = { editor, tab, change, zoneId };
+        editor.revealLinesInCenterIfOutsideViewport(range.startLineNumber, range.endLineNumber + shown + 1);
+    }
+
+    closePeek() {
+        if (!this.peek) return;
+        const { editor, zoneId } = this.peek;
+        this.peek = null;
+        editor.changeViewZones(accessor => accessor.removeZone(zoneId));
+    }
+
+    // === Revert ===
+
+    // Replace the change's lines with the index's, as one undoable edit
+    revert(tab, change) {
+        const state = this.states.get(tab.id);
+        const model = tab.model;
+        // Typing since the markers were worked out has moved the lines
+        if (tab.readOnly || !state?.changes.includes(change) || model.getVersionId() !== state.version) return;
+
+        const eol = model.getEOL();
+        const text = change.originalLines.join(eol);
+        const first = change.modifiedStart + 1;
+        const last = change.modifiedStart + change.modifiedCount;
+        const lineCount = model.getLineCount();
+        let range;
+        let replacement;
+        if (change.modifiedCount === 0) {
+            // Deleted lines go back in before `first`, or after the last line
+            if (first <= lineCount) {
+                range = new monaco.Range(first, 1, first, 1);
+                replacement = text + eol;
+            } else {
+                const column = model.getLineMaxColumn(lineCount);
+                range = new monaco.Range(lineCount, column, lineCount, column);
+                replacement = eol + text;
+            }
+        } else if (change.originalCount === 0) {
+            // Added lines go, along with their line breaks
+            if (last < lineCount) {
+                range = new monaco.Range(first, 1, last + 1, 1);
+            } else if (first > 1) {
+                range = new monaco.Range(first - 1, model.getLineMaxColumn(first - 1), last, model.getLineMaxColumn(last));
+            } else {
+                range = new monaco.Range(first, 1, last, model.getLineMaxColumn(last));
+            }
+            replacement = '';
+        } else {
+            range = new monaco.Range(first, 1, last, model.getLineMaxColumn(last));
+            replacement = text;
+        }
+
+        this.closePeek();
+        model.pushEditOperations([], [{ range, text: replacement }], () => null);
+        this.app.markTabModified(tab.id);
+        this.refresh(tab);
+    }
+}
@@ -0,0 +1,141 @@
+// Hot Exit Module
+// Keeps a backup of every tab with unsaved changes in userData (see
+// src/main/backups.js): at most BACKUP_DELAY after an edit, and once more
+// when the window closes, in which case main skips the save prompt unless
+// a backup failed or didn't finish in time. The
+// next launch reopens the backups with their tabs still modified, so
+// quitting never asks about unsaved changes and a crash never loses them.
+// Backups of tabs that get saved, reverted or closed are deleted.
+//
+// A backup's key is the tab's path, or for an untitled tab an id that the
+// session remembers along with the tab.
+
+import { DEFAULT_ENCODING } from './encoding.js';
+
+const BACKUP_DELAY = 1000;
+
+export class HotExitManager {
+    constructor(app) {
+        this.app = app;
+        this.timer = null;
+        this.pending = Promise.resolve();
+        this.written = new Map(); // key -> model alternativeVersionId backed up
+
+        window.electronAPI.onBackupRequest(async (winId) => {
+            window.electronAPI.sendBackupDone(winId, await this.backupNow());
+        });
+    }
+
+    // Stable id for an untitled tab's backup, assigned on first use
+    getBackupId(tab) {
+        if (!tab.backupId) {
+            tab.backupId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        }
+        return tab.backupId;
+    }
+
+    getKey(tab) {
+        return tab.path ? `file:${tab.path}` : `untitled:${this.getBackupId(tab)}`;
+    }
+
+    // Called on every edit and tab change; backs up at most once per
+    // BACKUP_DELAY while typing goes on
+    schedule() {
+        if (this.timer) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.backupNow();
+        }, BACKUP_DELAY);
+    }
+
+    // Bring the backups in line with the tabs right away. Runs one at a time
+    // so a slow write can't finish after a later delete. Resolves to whether
+    // every tab with unsaved changes is backed up.
+    backupNow() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pending = this.pending.then(() => this.sync()).catch((err) => {
+            window.electronAPI.logEvent('error', `backup failed: ${err.message}`);
+            return false;
+        });
+        return this.pending;
+    }
+
+    async sync() {
+        let complete = true;
+        const dirty = new Map();
+        for (const tab of this.app.tabs) {
+            if (tab.modified && tab.model && !tab.readOnly) {
+                dirty.set(this.getKey(tab), tab);
+            }
+        }
+
+        for (const [key, tab] of dirty) {
+            // Closed while an earlier write was going on
+            if (!this.app.tabs.includes(tab) || tab.model.isDisposed()) continue;
+            const version = tab.model.getAlternativeVersionId();
+            if (this.written.get(key) === version) continue;
+            const result = await window.electronAPI.writeBackup({
+                key,
+                path: tab.path,
+                name: tab.name,
+                content: tab.model.getValue(),
+                encoding: tab.encoding,
+                eol: tab.model.getEOL()
+            });
+            if (result.success) {
+                this.written.set(key, version);
+            } else {
+                complete = false;
+                window.electronAPI.logEvent('error', `backup of ${tab.name} failed: ${result.error}`);
+            }
+        }
+
+        for (const key of [...this.written.keys()]) {
+            if (dirty.has(key)) continue;
+            const result = await window.electronAPI.deleteBackup(key);
+            if (result.success) this.written.delete(key);
+        }
+        return complete;
+    }
+
+    // === Restore ===
+
+    // Backups the last run left behind, by key
+    async loadBackups() {
+        const result = await window.electronAPI.readBackups();
+        if (!result.success) {
+            window.electronAPI.logEvent('error', `reading backups failed: ${result.error}`);
+            return new Map();
+        }
+        return new Map(result.backups.map(backup => [backup.key, backup]));
+    }
+
+    // Put a backup's text into a freshly opened tab, leaving it modified
+    restore(tab, backup) {
+        if (!tab.model || tab.readOnly) return;
+        tab.model.setValue(backup.content);
+        tab.model.setEOL(backup.eol === '\r\n'
+            ? monaco.editor.EndOfLineSequence.CRLF
+            : monaco.editor.EndOfLineSequence.LF);
+        if (backup.encoding) tab.encoding = backup.encoding;
+        if (backup.key.startsWith('untitled:')) {
+            tab.name = backup.name;
+            tab.backupId = backup.key.slice('untitled:'.length);
+        }
+        tab.modified = true;
+        this.written.set(backup.key, tab.model.getAlternativeVersionId());
+        this.app.renderTabs();
+        this.app.updateStatusBar();
+    }
+
+    // A new tab for a backup whose file can't be read any more (or that
+    // never made it into the session)
+    open(backup) {
+        const tab = backup.path
+            ? this.app.createTab(backup.path, '', false, { encoding: backup.encoding || DEFAULT_ENCODING })
+            : this.app.createTab('untitled', '', true);
+        this.restore(tab, backup);
+        return tab;
+    }
+}
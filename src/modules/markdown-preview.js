@@ -0,0 +1,321 @@
+// Markdown Preview Module
+// Open Preview to the Side renders a Markdown tab (see markdown.js) into a
+// pane to the right of the editor, in the place the split editor uses; the
+// two share the resize handle and only one of them is open at a time. The
+// preview follows the tab it was opened for:
+//   - it re-renders shortly after each edit
+//   - editor and preview scroll together while that tab is in the editor,
+//     matched up through the data-line of each rendered block
+//   - fenced code is highlighted with Monaco's tokenizers
+//   - relative images are read through main (so only from inside the open
+//     folder) and shown as blob: URLs; relative links open in a tab, web
+//     links in the browser
+
+import { renderMarkdown } from './markdown.js';
+import { getPreviewType } from './preview.js';
+
+const RENDER_DELAY = 150;
+// Scroll events this soon after we scrolled the other side are echoes
+const SCROLL_ECHO_MS = 100;
+
+export function isMarkdownTab(tab) {
+    return !!tab?.model && tab.model.getLanguageId() === 'markdown';
+}
+
+// Join `relative` onto the directory `base`, resolving . and .. segments;
+// null if it climbs above the root
+function joinPath(base, relative) {
+    const parts = base.split('/');
+    for (const part of relative.split('/')) {
+        if (part === '' || part === '.') continue;
+        if (part === '..') {
+            if (parts.length <= 1) return null;
+            parts.pop();
+        } else {
+            parts.push(part);
+        }
+    }
+    return parts.join('/');
+}
+
+export class MarkdownPreviewManager {
+    constructor(app) {
+        this.app = app;
+        this.pane = document.getElementById('markdown-preview');
+        this.title = document.getElementById('markdown-preview-title');
+        this.content = document.getElementById('markdown-preview-content');
+        this.tab = null;
+        this.contentListener = null;
+        this.renderTimer = null;
+        this.renderVersion = 0;
+        this.images = new Map(); // absolute path -> blob: URL, or null if unreadable
+        this.highlighted = new Map(); // language + source -> highlighted HTML
+        this.scrollListener = null;
+        this.lastSync = { from: null, time: 0 };
+
+        document.getElementById('markdown-preview-close').addEventListener('click', () => this.close());
+        this.content.addEventListener('click', (e) => this.handleClick(e));
+        this.content.addEventListener('scroll', () => this.syncEditorToPreview());
+    }
+
+    isOpen() {
+        return this.tab !== null;
+    }
+
+    // Open Preview to the Side for `tab` (the active tab by default)
+    open(tab = this.app.getActiveTab()) {
+        if (!isMarkdownTab(tab)) return;
+        if (this.tab === tab) return;
+        this.close();
+
+        // The preview takes the split editor's place
+        if (this.app.isSplitView) this.app.closeSplitView();
+
+        this.tab = tab;
+        this.contentListener = tab.model.onDidChangeContent(() => {
+            clearTimeout(this.renderTimer);
+            this.renderTimer = setTimeout(() => this.render(), RENDER_DELAY);
+        });
+        if (!this.scrollListener) {
+            this.scrollListener = this.app.editor.onDidScrollChange((e) => {
+                if (e.scrollTopChanged) this.syncPreviewToEditor();
+            });
+        }
+
+        this.pane.classList.remove('hidden');
+        document.getElementById('split-resize-handle').classList.remove('hidden');
+        this.app.editor.layout();
+        this.render();
+    }
+
+    close() {
+        if (!this.tab) return;
+        clearTimeout(this.renderTimer);
+        this.contentListener.dispose();
+        this.contentListener = null;
+        this.tab = null;
+        this.renderVersion++;
+
+        for (const url of this.images.values()) {
+            if (url) URL.revokeObjectURL(url);
+        }
+        this.images.clear();
+        this.highlighted.clear();
+        this.content.replaceChildren();
+
+        this.pane.classList.add('hidden');
+        document.getElementById('split-resize-handle').classList.add('hidden');
+        const leftPane = document.getElementById('editor-container');
+        leftPane.style.flex = '1';
+        leftPane.style.width = '';
+        this.app.editor.layout();
+    }
+
+    // The tab is being closed
+    handleTabClosed(tab) {
+        if (this.tab === tab) this.close();
+    }
+
+    // Keeps the title in step with renames and Save As
+    updateTitle() {
+        if (this.tab) this.title.textContent = `Preview ${this.tab.name}`;
+    }
+
+    // === Rendering ===
+
+    render() {
+        const tab = this.tab;
+        if (!tab) return;
+        const version = ++this.renderVersion;
+        const scrollTop = this.content.scrollTop;
+
+        this.updateTitle();
+        this.content.innerHTML = renderMarkdown(tab.model.getValue());
+        this.content.scrollTop = scrollTop;
+
+        this.highlightCode(version);
+        this.loadImages(version);
+        if (this.isEditorShowingTab()) this.syncPreviewToEditor();
+    }
+
+    // Language id for a fence's info string ('js', 'TypeScript', 'py', ...)
+    findLanguage(name) {
+        const lower = name.toLowerCase();
+        const language = monaco.languages.getLanguages().find(lang =>
+            lang.id === lower ||
+            lang.aliases?.some(alias => alias.toLowerCase() === lower) ||
+            lang.extensions?.includes(`.${lower}`));
+        return language?.id || null;
+    }
+
+    async highlightCode(version) {
+        // Only what this render uses stays cached
+        const previous = this.highlighted;
+        this.highlighted = new Map();
+
+        for (const code of this.content.querySelectorAll('code[data-lang]')) {
+            const language = this.findLanguage(code.dataset.lang);
+            if (!language) continue;
+            const key = `${language}\n${code.textContent}`;
+            let html = previous.get(key);
+            if (html === undefined) {
+                try {
+                    html = await monaco.editor.colorize(code.textContent, language, { tabSize: 4 });
+                } catch (err) {
+                    continue;
+                }
+                // Typing moved on while Monaco tokenized
+                if (version !== this.renderVersion) return;
+            }
+            this.highlighted.set(key, html);
+            code.innerHTML = html;
+            code.classList.add('highlighted');
+        }
+    }
+
+    // Absolute path for a relative image or link, or null. Paths starting
+    // with / are relative to the open folder.
+    resolvePath(target) {
+        if (!this.tab?.path) return null;
+        let relative = target.split(/[?#]/)[0];
+        try {
+            relative = decodeURI(relative);
+        } catch (err) {
+            return null;
+        }
+        if (!relative) return null;
+        if (relative.startsWith('/')) {
+            return this.app.openFolder ? joinPath(this.app.openFolder, relative) : null;
+        }
+        const dir = this.tab.path.slice(0, this.tab.path.lastIndexOf('/'));
+        return joinPath(dir, relative);
+    }
+
+    async loadImages(version) {
+        for (const img of this.content.querySelectorAll('img[data-src]')) {
+            const filePath = this.resolvePath(img.dataset.src);
+            const url = filePath ? await this.loadImage(filePath) : null;
+            if (version !== this.renderVersion) return;
+            if (url) {
+                img.src = url;
+            } else {
+                img.replaceWith(document.createTextNode(img.alt));
+            }
+        }
+    }
+
+    async loadImage(filePath) {
+        if (this.images.has(filePath)) return this.images.get(filePath);
+
+        const previewType = getPreviewType(filePath);
+        let url = null;
+        if (previewType && previewType.type !== 'pdf') {
+            // Goes through main's open-folder check like any other read
+            const result = await window.electronAPI.readPreview(filePath);
+            if (result.success) {
+                url = URL.createObjectURL(new Blob([result.data], { type: previewType.mime }));
+            }
+        }
+        // The preview may have closed (and revoked everything) meanwhile
+        if (!this.tab) {
+            if (url) URL.revokeObjectURL(url);
+            return null;
+        }
+        this.images.set(filePath, url);
+        return url;
+    }
+
+    // === Links ===
+
+    handleClick(e) {
+        const link = e.target.closest('a[href]');
+        if (!link) return;
+        e.preventDefault();
+        const href = link.getAttribute('href');
+
+        if (href.startsWith('#')) {
+            const target = this.content.querySelector(`[id="${CSS.escape(decodeURIComponent(href.slice(1)))}"]`);
+            target?.scrollIntoView();
+        } else if (/^(https?|mailto):/i.test(href)) {
+            window.electronAPI.openExternal(href);
+        } else {
+            const filePath = this.resolvePath(href);
+            if (filePath) this.app.openFile(filePath);
+        }
+    }
+
+    // === Scroll sync ===
+
+    isEditorShowingTab() {
+        return !!this.tab && this.app.editor.getModel() === this.tab.model;
+    }
+
+    isEcho(from) {
+        return this.lastSync.from !== from && Date.now() - this.lastSync.time < SCROLL_ECHO_MS;
+    }
+
+    // Top-level blocks with their source line, in document order
+    getBlocks() {
+        return Array.from(this.content.querySelectorAll(':scope > [data-line]'), el => ({
+            line: Number(el.dataset.line),
+            top: el.offsetTop
+        }));
+    }
+
+    // Editor scrolled: bring the block at the editor's top line into view
+    syncPreviewToEditor() {
+        if (!this.isEditorShowingTab() || this.isEcho('editor')) return;
+        const editor = this.app.editor;
+        const blocks = this.getBlocks();
+        if (blocks.length === 0) return;
+
+        // Fractional 0-based source line at the top of the editor
+        const scrollTop = editor.getScrollTop();
+        const firstLine = editor.getVisibleRanges()[0]?.startLineNumber ?? 1;
+        const lineTop = editor.getTopForLineNumber(firstLine);
+        const lineHeight = editor.getTopForLineNumber(firstLine + 1) - lineTop || 1;
+        const line = firstLine - 1 + Math.min(1, Math.max(0, (scrollTop - lineTop) / lineHeight));
+
+        let index = blocks.findIndex(block => block.line > line) - 1;
+        if (index === -2) index = blocks.length - 1;
+        let top;
+        if (index < 0) {
+            top = 0;
+        } else {
+            const block = blocks[index];
+            const next = blocks[index + 1];
+            const fraction = next ? (line - block.line) / (next.line - block.line) : 0;
+            top = block.top + (next ? (next.top - block.top) * fraction : 0);
+        }
+
+        this.lastSync = { from: 'editor', time: Date.now() };
+        this.content.scrollTop = top;
+    }
+
+    // Preview scrolled: bring the source of the block at its top into view
+    syncEditorToPreview() {
+        if (!this.isEditorShowingTab() || this.isEcho('preview')) return;
+        const blocks = this.getBlocks();
+        if (blocks.length === 0) return;
+
+        const scrollTop = this.content.scrollTop;
+        let index = blocks.findIndex(block => block.top > scrollTop) - 1;
+        if (index === -2) index = blocks.length - 1;
+        let line;
+        if (index < 0) {
+            line = 0;
+        } else {
+            const block = blocks[index];
+            const next = blocks[index + 1];
+            const fraction = next && next.top > block.top ? (scrollTop - block.top) / (next.top - block.top) : 0;
+            line = block.line + (next ? (next.line - block.line) * fraction : 0);
+        }
+
+        const editor = this.app.editor;
+        const lineNumber = Math.floor(line) + 1;
+        const lineTop = editor.getTopForLineNumber(lineNumber);
+        const lineHeight = editor.getTopForLineNumber(lineNumber + 1) - lineTop;
+        this.lastSync = { from: 'preview', time: Date.now() };
+        editor.setScrollTop(lineTop + lineHeight * (line - Math.floor(line)));
+    }
+}
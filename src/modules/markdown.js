@@ -0,0 +1,340 @@
+// Markdown Module
+// A small Markdown renderer for the preview pane: the CommonMark basics plus
+// the GitHub extensions READMEs lean on (fenced code, tables, task lists,
+// strikethrough, bare URLs). The output only contains tags produced here —
+// all source text is escaped and raw HTML shows up as text — so a document
+// can't inject markup or script into the window.
+//
+// Hooks for the preview:
+//   - top-level blocks carry data-line (0-based source line) for scroll sync
+//   - fenced code is <pre><code data-lang="..."> for syntax highlighting
+//   - relative images are <img data-src="..."> for the caller to resolve
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const FENCE = /^( {0,3})(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const BLOCKQUOTE = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/;
+const INDENTED_CODE = /^(?: {4}|\t)/;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const LINK_DEFINITION = /^ {0,3}\[([^\]]+)\]:[ \t]*<?(\S+?)>?(?:[ \t]+"([^"]*)")?[ \t]*$/;
+const BLANK = /^[ \t]*$/;
+
+// [label](url "title"); the label may hold one level of brackets
+const LINK_TARGET = String.raw`\(\s*<?([^\s<>()]*(?:\([^\s()]*\)[^\s<>()]*)*)>?(?:\s+"([^"]*)")?\s*\)`;
+const IMAGE = new RegExp(String.raw`!\[([^\]]*)\]` + LINK_TARGET, 'g');
+const LINK = new RegExp(String.raw`\[((?:[^\[\]]|\[[^\[\]]*\])*)\]` + LINK_TARGET, 'g');
+const REFERENCE_LINK = /\[((?:[^[\]]|\[[^[\]]*\])+)\](?:\[([^\]]*)\])?/g;
+
+const UNESCAPES = Object.fromEntries(Object.entries(ESCAPES).map(([c, entity]) => [entity, c]));
+
+// A backslash before ASCII punctuation stands for the character itself
+const BACKSLASH_ESCAPE = /\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g;
+
+export function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, c => ESCAPES[c]);
+}
+
+// Links may go to the web, mail or anywhere relative; no other schemes
+// (javascript:, file:, ...)
+function isSafeUrl(url) {
+    return /^(https?:|mailto:)/i.test(url) || !/^[a-z][a-z0-9+.-]*:/i.test(url);
+}
+
+function startsBlock(line) {
+    return FENCE.test(line) ||
+        ATX_HEADING.test(line) && /^ {0,3}#{1,6}(?:[ \t]|$)/.test(line) ||
+        THEMATIC_BREAK.test(line) ||
+        BLOCKQUOTE.test(line) ||
+        (LIST_ITEM.test(line) && !BLANK.test(line.replace(LIST_ITEM, '$4')));
+}
+
+function splitTableRow(row) {
+    let cells = row.trim();
+    if (cells.startsWith('|')) cells = cells.slice(1);
+    if (cells.endsWith('|') && !cells.endsWith('\\|')) cells = cells.slice(0, -1);
+    return cells.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function slugify(text) {
+    return text.toLowerCase()
+        .replace(/<[^>]*>/g, '')
+        .replace(/&[a-z0-9#]+;/g, '')
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .trim()
+        .replace(/\s/g, '-');
+}
+
+class MarkdownRenderer {
+    constructor() {
+        this.references = new Map(); // lowercased label -> { href, title }
+        this.slugs = new Map(); // heading id -> times used
+    }
+
+    render(text) {
+        const lines = text.replace(/\r\n?/g, '\n').replace(/\u0000/g, '').split('\n');
+        // Link definitions can be anywhere; blank them out (keeping line
+        // numbers) so they don't show up as paragraphs
+        for (let i = 0; i < lines.length; i++) {
+            const m = lines[i].match(LINK_DEFINITION);
+            if (m) {
+                const label = m[1].toLowerCase();
+                if (!this.references.has(label)) {
+                    this.references.set(label, { href: m[2].replace(BACKSLASH_ESCAPE, '$1'), title: m[3] });
+                }
+                lines[i] = '';
+            }
+        }
+        return this.renderBlocks(lines, 0, true);
+    }
+
+    // `offset` is the source line of lines[0]; only top-level blocks get
+    // data-line. In a tight list, paragraphs render without <p>.
+    renderBlocks(lines, offset, top, tight = false) {
+        const out = [];
+        const at = (line) => top ? ` data-line="${offset + line}"` : '';
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const start = i;
+            let m;
+
+            if (BLANK.test(line)) {
+                i++;
+            } else if ((m = line.match(FENCE))) {
+                const [, indent, fence, lang] = m;
+                const closing = new RegExp(`^ {0,3}${fence[0]}{${fence.length},}[ \\t]*$`);
+                const body = [];
+                for (i++; i < lines.length && !closing.test(lines[i]); i++) {
+                    body.push(lines[i].replace(new RegExp(`^ {0,${indent.length}}`), ''));
+                }
+                i++; // closing fence
+                const langAttr = lang ? ` data-lang="${escapeHtml(lang)}"` : '';
+                out.push(`<pre${at(start)}><code${langAttr}>${escapeHtml(body.join('\n'))}</code></pre>`);
+            } else if ((m = line.match(ATX_HEADING)) && /^ {0,3}#{1,6}(?:[ \t]|$)/.test(line)) {
+                const content = (m[2] || '').replace(/(?:^|[ \t]+)#+$/, '');
+                out.push(this.renderHeading(m[1].length, content, at(start)));
+                i++;
+            } else if (THEMATIC_BREAK.test(line)) {
+                out.push(`<hr${at(start)}>`);
+                i++;
+            } else if (BLOCKQUOTE.test(line)) {
+                const inner = [];
+                for (; i < lines.length && BLOCKQUOTE.test(lines[i]); i++) {
+                    inner.push(lines[i].match(BLOCKQUOTE)[1]);
+                }
+                out.push(`<blockquote${at(start)}>${this.renderBlocks(inner, 0, false)}</blockquote>`);
+            } else if (LIST_ITEM.test(line)) {
+                i = this.renderList(lines, i, out, at(start));
+            } else if (INDENTED_CODE.test(line)) {
+                const body = [];
+                for (; i < lines.length && (INDENTED_CODE.test(lines[i]) || BLANK.test(lines[i])); i++) {
+                    body.push(lines[i].replace(INDENTED_CODE, ''));
+                }
+                while (body.length && BLANK.test(body[body.length - 1])) body.pop();
+                out.push(`<pre${at(start)}><code>${escapeHtml(body.join('\n'))}</code></pre>`);
+            } else if (line.includes('|') && i + 1 < lines.length &&
+                lines[i + 1].includes('|') && TABLE_DELIMITER.test(lines[i + 1])) {
+                i = this.renderTable(lines, i, out, at(start));
+            } else {
+                // Paragraph, or a setext heading if underlined
+                const para = [line.trim()];
+                let heading = 0;
+                for (i++; i < lines.length; i++) {
+                    const next = lines[i];
+                    const underline = next.match(SETEXT_UNDERLINE);
+                    if (underline) {
+                        heading = underline[1][0] === '=' ? 1 : 2;
+                        i++;
+                        break;
+                    }
+                    if (BLANK.test(next) || startsBlock(next)) break;
+                    para.push(next.trim());
+                }
+                const text = para.join('\n');
+                if (heading) {
+                    out.push(this.renderHeading(heading, text, at(start)));
+                } else if (tight) {
+                    out.push(this.renderInline(text));
+                } else {
+                    out.push(`<p${at(start)}>${this.renderInline(text)}</p>`);
+                }
+            }
+        }
+        return out.join('\n');
+    }
+
+    renderHeading(level, text, attrs) {
+        const html = this.renderInline(text.trim());
+        let id = slugify(html);
+        const used = this.slugs.get(id) || 0;
+        this.slugs.set(id, used + 1);
+        if (used) id += `-${used}`;
+        return `<h${level}${attrs} id="${escapeHtml(id)}">${html}</h${level}>`;
+    }
+
+    // Returns the index after the list
+    renderList(lines, i, out, attrs) {
+        const first = lines[i].match(LIST_ITEM);
+        const ordered = /\d/.test(first[2]);
+        const delimiter = first[2].slice(-1);
+        const items = [];
+        let loose = false;
+
+        while (i < lines.length) {
+            const m = lines[i].match(LIST_ITEM);
+            if (!m || THEMATIC_BREAK.test(lines[i]) || /\d/.test(m[2]) !== ordered || m[2].slice(-1) !== delimiter) break;
+
+            const spaces = m[3] ? Math.min(m[3].replace(/\t/g, '    ').length, 4) : 1;
+            const indent = m[1].length + m[2].length + spaces;
+            const itemLines = [m[4] || ''];
+            for (i++; i < lines.length; i++) {
+                const next = lines[i];
+                if (BLANK.test(next)) {
+                    itemLines.push('');
+                } else if (next.replace(/\t/g, '    ').match(/^ */)[0].length >= indent) {
+                    itemLines.push(next.replace(/\t/g, '    ').slice(indent));
+                } else if (itemLines[itemLines.length - 1] !== '' && !startsBlock(next)) {
+                    // Lazy continuation of the item's paragraph
+                    itemLines.push(next.trim());
+                } else {
+                    break;
+                }
+            }
+            let trailingBlank = false;
+            while (itemLines.length > 1 && itemLines[itemLines.length - 1] === '') {
+                itemLines.pop();
+                trailingBlank = true;
+            }
+            if (itemLines.includes('') || (trailingBlank && i < lines.length && LIST_ITEM.test(lines[i]))) {
+                loose = true;
+            }
+            items.push(itemLines);
+        }
+
+        const rendered = items.map(itemLines => {
+            let checkbox = '';
+            const task = itemLines[0].match(/^\[([ xX])\][ \t]+/);
+            if (task) {
+                checkbox = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+                itemLines[0] = itemLines[0].slice(task[0].length);
+            }
+            const body = this.renderBlocks(itemLines, 0, false, !loose);
+            return `<li${task ? ' class="task"' : ''}>${checkbox}${body}</li>`;
+        });
+
+        const tag = ordered ? 'ol' : 'ul';
+        const startNumber = ordered ? parseInt(first[2], 10) : 1;
+        const startAttr = startNumber !== 1 ? ` start="${startNumber}"` : '';
+        out.push(`<${tag}${attrs}${startAttr}>${rendered.join('')}</${tag}>`);
+        return i;
+    }
+
+    // Returns the index after the table
+    renderTable(lines, i, out, attrs) {
+        const header = splitTableRow(lines[i]);
+        const aligns = splitTableRow(lines[i + 1]).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            return left ? 'left' : null;
+        });
+        const cell = (tag, text, col) => {
+            const align = aligns[col] ? ` style="text-align: ${aligns[col]}"` : '';
+            return `<${tag}${align}>${this.renderInline(text || '')}</${tag}>`;
+        };
+
+        const rows = [];
+        for (i += 2; i < lines.length && !BLANK.test(lines[i]) && lines[i].includes('|'); i++) {
+            const cells = splitTableRow(lines[i]);
+            rows.push(`<tr>${header.map((_, col) => cell('td', cells[col], col)).join('')}</tr>`);
+        }
+        const head = `<tr>${header.map((text, col) => cell('th', text, col)).join('')}</tr>`;
+        out.push(`<table${attrs}><thead>${head}</thead><tbody>${rows.join('')}</tbody></table>`);
+        return i;
+    }
+
+    // === Inline ===
+
+    renderInline(text) {
+        // Finished HTML is parked in `stash` behind \u0000n\u0000 markers so
+        // later passes (escaping, emphasis) leave it alone
+        const stash = [];
+        let html = this.inline(text, stash);
+        while (/\u0000\d+\u0000/.test(html)) {
+            html = html.replace(/\u0000(\d+)\u0000/g, (m, n) => stash[n]);
+        }
+        return html;
+    }
+
+    inline(text, stash) {
+        const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+        let s = text;
+
+        s = s.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) =>
+            keep(`<code>${escapeHtml(code.replace(/\n/g, ' ').replace(/^ (.+) $/, '$1'))}</code>`));
+        s = s.replace(/\\\n/g, () => keep('<br>\n'));
+        s = s.replace(BACKSLASH_ESCAPE, (m, c) => keep(escapeHtml(c)));
+        s = s.replace(IMAGE, (m, alt, src, title) => keep(this.renderImage(alt, this.resolveUrl(src, stash), title)));
+        s = s.replace(LINK, (m, label, href, title) =>
+            keep(this.renderLink(this.inline(label, stash), this.resolveUrl(href, stash), title)));
+        s = s.replace(REFERENCE_LINK, (m, label, ref) => {
+            const definition = this.references.get((ref || label).toLowerCase());
+            if (!definition) return m;
+            return keep(this.renderLink(this.inline(label, stash), definition.href, definition.title));
+        });
+        s = s.replace(/<((?:https?|mailto):[^\s<>]+)>/g, (m, url) => keep(this.renderLink(escapeHtml(url), url)));
+        s = s.replace(/(^|[\s(])((?:https?:\/\/|www\.)[^\s<\u0000]*[^\s<.,:;"')\]!?\u0000])/g, (m, before, url) =>
+            before + keep(this.renderLink(escapeHtml(url), url.startsWith('www.') ? `http://${url}` : url)));
+
+        s = escapeHtml(s);
+        s = s
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/ {2,}\n/g, '<br>\n');
+        return s;
+    }
+
+    // A link or image target as the browser will read it: escaped
+    // characters the earlier passes stashed are put back as plain text, so
+    // `javascript\:` can't slip past isSafeUrl
+    resolveUrl(url, stash) {
+        return url.replace(/\u0000(\d+)\u0000/g, (m, n) =>
+            stash[n].replace(/&(?:amp|lt|gt|quot|#39);/g, entity => UNESCAPES[entity]));
+    }
+
+    renderLink(labelHtml, href, title) {
+        if (!isSafeUrl(href)) return labelHtml;
+        const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+        return `<a href="${escapeHtml(href)}"${titleAttr}>${labelHtml}</a>`;
+    }
+
+    // Remote images aren't fetched (the window's CSP blocks them); they
+    // become links. Relative ones are left for the preview to load.
+    renderImage(alt, src, title) {
+        const altAttr = ` alt="${escapeHtml(alt)}"`;
+        const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+        if (/^data:image\//i.test(src)) {
+            return `<img src="${escapeHtml(src)}"${altAttr}${titleAttr}>`;
+        }
+        if (/^https?:/i.test(src)) {
+            return `<a class="remote-image" href="${escapeHtml(src)}"${titleAttr}>${escapeHtml(alt || src)}</a>`;
+        }
+        if (!isSafeUrl(src)) {
+            return escapeHtml(alt);
+        }
+        return `<img data-src="${escapeHtml(src)}"${altAttr}${titleAttr}>`;
+    }
+}
+
+export function renderMarkdown(text) {
+    return new MarkdownRenderer().render(text);
+}
@@ -0,0 +1,263 @@
+// Merge Conflicts Module
+// Conflict blocks left by git in a file (<<<<<<< current, an optional
+// ||||||| base section, ======= then incoming up to >>>>>>>) are shaded in
+// the editor, with Accept Current / Accept Incoming / Accept Both / Compare
+// above each block as code lenses. The status bar counts the blocks left in
+// the active file; clicking it moves to the next one. Accepting a side is
+// an ordinary undoable edit: the file still has to be saved, and staged to
+// tell git the conflict is resolved.
+
+const EDIT_DELAY = 300;
+
+// A marker is seven characters at the start of a line, then a space or
+// nothing
+const CURRENT_MARKER = /^<{7}(?: |$)/;
+const BASE_MARKER = /^\|{7}(?: |$)/;
+const SEPARATOR_MARKER = /^={7}$/;
+const INCOMING_MARKER = /^>{7}(?: |$)/;
+
+const CURRENT_COLOR = 'rgba(152, 195, 121, 0.6)';
+const INCOMING_COLOR = 'rgba(97, 175, 239, 0.6)';
+
+// Conflict blocks in `lines`: { start, base, separator, end } are the
+// 1-based lines of its markers (`base` is null without a ||||||| section)
+// and { current, incoming } the names after <<<<<<< and >>>>>>>
+function findConflicts(lines) {
+    const conflicts = [];
+    let block = null;
+    lines.forEach((line, i) => {
+        const lineNumber = i + 1;
+        if (CURRENT_MARKER.test(line)) {
+            // An unfinished block before this one isn't a conflict
+            block = { start: lineNumber, base: null, separator: null, end: null, current: line.slice(7).trim(), incoming: '' };
+        } else if (!block) {
+            return;
+        } else if (block.separator === null && block.base === null && BASE_MARKER.test(line)) {
+            block.base = lineNumber;
+        } else if (block.separator === null && SEPARATOR_MARKER.test(line)) {
+            block.separator = lineNumber;
+        } else if (block.separator !== null && INCOMING_MARKER.test(line)) {
+            block.end = lineNumber;
+            block.incoming = line.slice(7).trim();
+            conflicts.push(block);
+            block = null;
+        }
+    });
+    return conflicts;
+}
+
+export class MergeConflictManager {
+    constructor(app) {
+        this.app = app;
+        this.statusEl = document.getElementById('status-conflicts');
+        this.states = new Map(); // tab id -> { version, conflicts, decorations }
+        this.timers = new Map(); // tab id -> refresh pending after an edit
+
+        this.statusEl.addEventListener('click', () => this.goToConflict(1));
+    }
+
+    // Once Monaco has loaded: the code lenses and the command they run
+    registerActions() {
+        monaco.editor.registerCommand('codelight.mergeConflict', (accessor, tabId, start, action) => {
+            const tab = this.app.tabs.find(t => t.id === tabId);
+            if (!tab?.model) return;
+            if (action === 'compare') {
+                this.compare(tab, start);
+            } else {
+                this.accept(tab, start, action);
+            }
+        });
+        monaco.languages.registerCodeLensProvider('*', {
+            provideCodeLenses: (model) => {
+                const tab = this.app.tabs.find(t => t.model === model);
+                const lenses = [];
+                if (this.canShow(tab) && !tab.readOnly) {
+                    for (const conflict of this.getConflicts(tab)) {
+                        const range = new monaco.Range(conflict.start, 1, conflict.start, 1);
+                        const lens = (title, action) => ({
+                            range,
+                            command: { id: 'codelight.mergeConflict', title, arguments: [tab.id, conflict.start, action] }
+                        });
+                        lenses.push(
+                            lens('Accept Current Change', 'current'),
+                            lens('Accept Incoming Change', 'incoming'),
+                            lens('Accept Both Changes', 'both'),
+                            lens('Compare Changes', 'compare')
+                        );
+                    }
+                }
+                return { lenses, dispose() {} };
+            }
+        });
+    }
+
+    canShow(tab) {
+        return !!(tab?.model && !tab.large && !tab.binary);
+    }
+
+    // Runs whenever tabs re-render
+    update() {
+        for (const tab of this.getVisibleTabs()) {
+            if (this.states.get(tab.id)?.version !== tab.model.getVersionId()) {
+                this.refresh(tab);
+            }
+        }
+        this.updateStatus(this.app.getActiveTab());
+    }
+
+    getVisibleTabs() {
+        const tabs = [this.app.getActiveTab()];
+        if (this.app.isSplitView) {
+            tabs.push(this.app.tabs.find(t => t.id === this.app.splitTabId));
+        }
+        return tabs.filter(tab => tab?.model);
+    }
+
+    handleEdit(tab) {
+        if (!this.canShow(tab)) return;
+        clearTimeout(this.timers.get(tab.id));
+        this.timers.set(tab.id, setTimeout(() => {
+            this.refresh(tab);
+            this.updateStatus(this.app.getActiveTab());
+        }, EDIT_DELAY));
+    }
+
+    handleTabClosed(tab) {
+        clearTimeout(this.timers.get(tab.id));
+        this.timers.delete(tab.id);
+        this.states.delete(tab.id);
+    }
+
+    // Conflicts in the tab's text as it is now
+    getConflicts(tab) {
+        if (this.states.get(tab.id)?.version !== tab.model.getVersionId()) {
+            this.refresh(tab);
+        }
+        return this.states.get(tab.id).conflicts;
+    }
+
+    refresh(tab) {
+        clearTimeout(this.timers.get(tab.id));
+        this.timers.delete(tab.id);
+        const conflicts = this.canShow(tab) ? findConflicts(tab.model.getLinesContent()) : [];
+        const previous = this.states.get(tab.id)?.decorations || [];
+        const decorations = tab.model.deltaDecorations(previous, conflicts.flatMap(conflict => this.getDecorations(conflict)));
+        this.states.set(tab.id, { version: tab.model.getVersionId(), conflicts, decorations });
+    }
+
+    getDecorations(conflict) {
+        const whole = (from, to, className) => ({
+            range: new monaco.Range(from, 1, to, 1),
+            options: { isWholeLine: true, className }
+        });
+        const currentEnd = (conflict.base ?? conflict.separator) - 1;
+        const decorations = [
+            whole(conflict.start, conflict.start, 'merge-current-header'),
+            whole(conflict.end, conflict.end, 'merge-incoming-header'),
+            {
+                range: new monaco.Range(conflict.start, 1, conflict.separator, 1),
+                options: { overviewRuler: { color: CURRENT_COLOR, position: monaco.editor.OverviewRulerLane.Full } }
+            },
+            {
+                range: new monaco.Range(conflict.separator, 1, conflict.end, 1),
+                options: { overviewRuler: { color: INCOMING_COLOR, position: monaco.editor.OverviewRulerLane.Full } }
+            }
+        ];
+        if (currentEnd > conflict.start) {
+            decorations.push(whole(conflict.start + 1, currentEnd, 'merge-current'));
+        }
+        if (conflict.base !== null) {
+            decorations.push(whole(conflict.base, conflict.separator - 1, 'merge-base'));
+        }
+        if (conflict.end - 1 > conflict.separator) {
+            decorations.push(whole(conflict.separator + 1, conflict.end - 1, 'merge-incoming'));
+        }
+        return decorations;
+    }
+
+    // === Status bar ===
+
+    updateStatus(tab) {
+        const count = tab?.model ? this.states.get(tab.id)?.conflicts.length || 0 : 0;
+        this.statusEl.classList.toggle('hidden', count === 0);
+        this.statusEl.textContent = `⚠ ${count} conflict${count === 1 ? '' : 's'}`;
+        this.statusEl.title = 'Merge conflicts left in this file. Click to go to the next one';
+    }
+
+    // Move the active editor's cursor to the next (1) or previous (-1)
+    // conflict, wrapping around the file
+    goToConflict(direction) {
+        const tab = this.app.getActiveTab();
+        const editor = this.app.editor;
+        if (!this.canShow(tab) || !editor) return;
+        const conflicts = this.getConflicts(tab);
+        if (conflicts.length === 0) return;
+
+        const line = editor.getPosition()?.lineNumber || 1;
+        const target = direction > 0
+            ? conflicts.find(conflict => conflict.start > line) || conflicts[0]
+            : [...conflicts].reverse().find(conflict => conflict.start < line) || conflicts[conflicts.length - 1];
+        editor.setPosition({ lineNumber: target.start, column: 1 });
+        editor.revealLineInCenter(target.start);
+        editor.focus();
+    }
+
+    // === Actions ===
+
+    getLines(model, from, to) {
+        const lines = [];
+        for (let line = from; line <= to; line++) {
+            lines.push(model.getLineContent(line));
+        }
+        return lines;
+    }
+
+    // The current and incoming lines of the conflict starting at `start`
+    getSides(tab, start) {
+        const conflict = this.getConflicts(tab).find(c => c.start === start);
+        if (!conflict) return null;
+        return {
+            conflict,
+            current: this.getLines(tab.model, conflict.start + 1, (conflict.base ?? conflict.separator) - 1),
+            incoming: this.getLines(tab.model, conflict.separator + 1, conflict.end - 1)
+        };
+    }
+
+    // Replace the whole block, markers and all, with the side(s) kept, as
+    // one undoable edit
+    accept(tab, start, action) {
+        const sides = tab.readOnly ? null : this.getSides(tab, start);
+        // The lens was for text that has since changed
+        if (!sides) return;
+
+        const { conflict, current, incoming } = sides;
+        const kept = action === 'current' ? current : action === 'incoming' ? incoming : [...current, ...incoming];
+        const model = tab.model;
+        const eol = model.getEOL();
+        let range;
+        let text;
+        if (conflict.end < model.getLineCount()) {
+            range = new monaco.Range(conflict.start, 1, conflict.end + 1, 1);
+            text = kept.map(line => line + eol).join('');
+        } else {
+            range = new monaco.Range(conflict.start, 1, conflict.end, model.getLineMaxColumn(conflict.end));
+            text = kept.join(eol);
+        }
+
+        model.pushEditOperations([], [{ range, text }], () => null);
+        this.app.markTabModified(tab.id);
+        this.refresh(tab);
+        this.updateStatus(this.app.getActiveTab());
+    }
+
+    compare(tab, start) {
+        const sides = this.getSides(tab, start);
+        if (!sides) return;
+        const { conflict, current, incoming } = sides;
+        this.app.diff.open({
+            original: { content: current.join('\n'), label: `${tab.name}: Current (${conflict.current || 'ours'})` },
+            modified: { content: incoming.join('\n'), label: `Incoming (${conflict.incoming || 'theirs'})` },
+            language: tab.model.getLanguageId()
+        });
+    }
+}
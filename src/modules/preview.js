@@ -0,0 +1,242 @@
+// Preview Module
+// Non-editor tabs for images, SVGs and PDFs. A preview tab has
+// kind: 'preview' and a `preview` object; images and PDFs have no Monaco
+// model at all, while an SVG keeps its source in a normal (editable,
+// saveable) model and can switch between the rendered view and the source.
+// File bytes come from main ('read-preview') and are shown through blob:
+// URLs, which also keeps scripts inside an SVG from running.
+
+import { formatSize } from './file-view.js';
+
+const PREVIEW_TYPES = {
+    png: { type: 'image', mime: 'image/png' },
+    jpg: { type: 'image', mime: 'image/jpeg' },
+    jpeg: { type: 'image', mime: 'image/jpeg' },
+    gif: { type: 'image', mime: 'image/gif' },
+    webp: { type: 'image', mime: 'image/webp' },
+    bmp: { type: 'image', mime: 'image/bmp' },
+    ico: { type: 'image', mime: 'image/x-icon' },
+    avif: { type: 'image', mime: 'image/avif' },
+    svg: { type: 'svg', mime: 'image/svg+xml' },
+    pdf: { type: 'pdf', mime: 'application/pdf' }
+};
+
+const TYPE_NAMES = { image: 'Image', svg: 'SVG', pdf: 'PDF' };
+
+const ZOOM_STEPS = [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 4, 8];
+
+// { type, mime } for files that open as a preview, else null
+export function getPreviewType(filePath) {
+    const ext = filePath.split('/').pop().split('.').pop().toLowerCase();
+    return PREVIEW_TYPES[ext] || null;
+}
+
+export class PreviewManager {
+    constructor(app) {
+        this.app = app;
+        this.container = document.getElementById('preview-container');
+        this.toolbar = document.getElementById('preview-toolbar');
+        this.zoomLabel = document.getElementById('preview-zoom-label');
+        this.info = document.getElementById('preview-info');
+        this.sourceButton = document.getElementById('preview-source');
+        this.shownTab = null;
+        this.shownUrl = null;
+
+        this.setupToolbar();
+    }
+
+    setupToolbar() {
+        document.getElementById('preview-zoom-in').addEventListener('click', () => this.zoomBy(1));
+        document.getElementById('preview-zoom-out').addEventListener('click', () => this.zoomBy(-1));
+        document.getElementById('preview-fit').addEventListener('click', () => this.setZoom('fit'));
+        document.getElementById('preview-actual').addEventListener('click', () => this.setZoom(1));
+        this.sourceButton.addEventListener('click', () => this.toggleSource(this.app.getActiveTab()));
+
+        // Cmd/Ctrl + wheel (and trackpad pinch) zooms images
+        this.container.addEventListener('wheel', (e) => {
+            if (!e.ctrlKey && !e.metaKey) return;
+            e.preventDefault();
+            this.zoomBy(e.deltaY < 0 ? 1 : -1);
+        }, { passive: false });
+    }
+
+    // The preview counterpart of readFile: same { success, error } shape,
+    // plus the `preview` object app.createTab() turns into a preview tab
+    async load(filePath, previewType) {
+        if (previewType.type === 'svg') {
+            // The source is text; the rendered view is built from the model
+            const result = await window.electronAPI.readFile(filePath);
+            if (!result.success) return result;
+            return { ...result, preview: { ...previewType, zoom: 'fit', showSource: false } };
+        }
+
+        const result = await window.electronAPI.readPreview(filePath);
+        if (!result.success) return result;
+        const url = URL.createObjectURL(new Blob([result.data], { type: previewType.mime }));
+        return { success: true, size: result.size, preview: { ...previewType, url, zoom: 'fit' } };
+    }
+
+    getTypeName(tab) {
+        return TYPE_NAMES[tab.preview.type];
+    }
+
+    // Whether the active tab is a preview currently covering the editor
+    isShowingPreview(tab) {
+        return tab?.kind === 'preview' && !tab.preview.showSource;
+    }
+
+    // Render the active tab's preview (or hide it); runs whenever tabs
+    // re-render. Returns true while a preview covers the editor.
+    update() {
+        const tab = this.app.getActiveTab();
+        const isPreview = tab?.kind === 'preview';
+        const showing = this.isShowingPreview(tab);
+
+        this.toolbar.classList.toggle('hidden', !isPreview);
+        this.container.classList.toggle('hidden', !showing);
+        if (!isPreview) {
+            this.clear();
+            return false;
+        }
+
+        const { preview } = tab;
+        this.sourceButton.classList.toggle('hidden', preview.type !== 'svg');
+        this.sourceButton.textContent = preview.showSource ? 'Show Preview' : 'Show Source';
+        this.toolbar.classList.toggle('zoomable', showing && preview.type !== 'pdf');
+
+        if (!showing) {
+            this.clear();
+            this.updateInfo(tab);
+            return false;
+        }
+
+        const url = this.getUrl(tab);
+        if (this.shownTab !== tab || this.shownUrl !== url) {
+            this.render(tab, url);
+        }
+        this.updateInfo(tab);
+        return true;
+    }
+
+    // An SVG's URL is rebuilt from its model whenever the source changed
+    getUrl(tab) {
+        const { preview } = tab;
+        if (preview.type === 'svg') {
+            const version = tab.model.getAlternativeVersionId();
+            if (!preview.url || preview.version !== version) {
+                if (preview.url) URL.revokeObjectURL(preview.url);
+                preview.url = URL.createObjectURL(new Blob([tab.model.getValue()], { type: preview.mime }));
+                preview.version = version;
+                preview.width = null;
+                preview.height = null;
+            }
+        }
+        return preview.url;
+    }
+
+    render(tab, url) {
+        this.shownTab = tab;
+        this.shownUrl = url;
+
+        if (tab.preview.type === 'pdf') {
+            const frame = document.createElement('iframe');
+            frame.className = 'preview-pdf';
+            frame.src = url;
+            this.container.replaceChildren(frame);
+            return;
+        }
+
+        const img = document.createElement('img');
+        img.className = 'preview-image';
+        img.alt = tab.name;
+        img.draggable = false;
+        img.addEventListener('load', () => {
+            tab.preview.width = img.naturalWidth;
+            tab.preview.height = img.naturalHeight;
+            this.applyZoom(tab);
+            this.updateInfo(tab);
+        });
+        img.addEventListener('error', () => {
+            this.container.replaceChildren(this.createMessage(`${tab.name} could not be displayed.`));
+        });
+        img.src = url;
+        this.container.replaceChildren(img);
+        this.applyZoom(tab);
+    }
+
+    createMessage(text) {
+        const div = document.createElement('div');
+        div.className = 'preview-message';
+        div.textContent = text;
+        return div;
+    }
+
+    clear() {
+        if (this.shownTab) {
+            this.container.replaceChildren();
+            this.shownTab = null;
+            this.shownUrl = null;
+        }
+    }
+
+    updateInfo(tab) {
+        const { preview } = tab;
+        const parts = [];
+        if (preview.width) parts.push(`${preview.width} × ${preview.height}`);
+        if (tab.size !== null) parts.push(formatSize(tab.size));
+        this.info.textContent = parts.join(' · ');
+        this.zoomLabel.textContent = preview.zoom === 'fit' ? 'Fit' : `${Math.round(preview.zoom * 100)}%`;
+    }
+
+    // === Zoom ===
+
+    applyZoom(tab) {
+        const img = this.container.querySelector('.preview-image');
+        if (!img) return;
+        const { zoom, width } = tab.preview;
+        img.classList.toggle('fit', zoom === 'fit');
+        img.style.width = zoom === 'fit' || !width ? '' : `${width * zoom}px`;
+    }
+
+    setZoom(zoom) {
+        const tab = this.app.getActiveTab();
+        if (!this.isShowingPreview(tab) || tab.preview.type === 'pdf') return;
+        tab.preview.zoom = zoom;
+        this.applyZoom(tab);
+        this.updateInfo(tab);
+    }
+
+    // One step in or out from the current zoom ('fit' counts as whatever
+    // scale the image is shown at)
+    zoomBy(direction) {
+        const tab = this.app.getActiveTab();
+        if (!this.isShowingPreview(tab) || tab.preview.type === 'pdf') return;
+        let current = tab.preview.zoom;
+        if (current === 'fit') {
+            const img = this.container.querySelector('.preview-image');
+            current = img && tab.preview.width ? img.clientWidth / tab.preview.width : 1;
+        }
+        const next = direction > 0
+            ? ZOOM_STEPS.find(step => step > current + 0.001)
+            : [...ZOOM_STEPS].reverse().find(step => step < current - 0.001);
+        if (next) this.setZoom(next);
+    }
+
+    // === SVG source ===
+
+    toggleSource(tab) {
+        if (tab?.preview?.type !== 'svg') return;
+        tab.preview.showSource = !tab.preview.showSource;
+        this.app.renderTabs();
+        if (tab.preview.showSource) {
+            this.app.editor.layout();
+            this.app.editor.focus();
+        }
+    }
+
+    // The tab is being closed
+    dispose(tab) {
+        if (this.shownTab === tab) this.clear();
+        if (tab.preview?.url) URL.revokeObjectURL(tab.preview.url);
+    }
+}
@@ -1,18 +1,45 @@
 // Search Module
-// Project-wide text search (Cmd+Shift+F). The file walk and matching run in
-// the main process; this module owns the sidebar SEARCH view and results UI.
+// Project-wide text search (Cmd+Shift+F) and replace. The file walk and
+// matching run in a main-process worker that streams results back in
+// batches; on-disk replacement runs in the main process too. This module owns
+// the sidebar SEARCH view, the replace preview and the results UI.
 
 export class SearchManager {
     constructor(app) {
         this.app = app;
         this.caseSensitive = false;
+        this.wholeWord = false;
+        this.useRegex = false;
+        this.replaceMode = false;
         this.searchTimer = null;
-        this.lastQuery = '';
+        // Each run gets an id; batches and replies from older runs are dropped
+        this.searchSeq = 0;
+        this.activeSearchId = 0;
+        this.searching = false;
+        this.results = [];
+        this.filesSearched = 0;
+        this.truncated = false;
+        this.cancelled = false;
+        this.renderPending = false;
+        this.lastResult = null; // { query, options, results } once a run completes
+        // Matches/files unticked in the replace preview. Kept across re-runs
+        // that only change the replacement text.
+        this.excludedMatches = new Set();
+        this.excludedFiles = new Set();
+        this.exclusionKey = '';
 
         this.input = document.getElementById('search-input');
         this.summary = document.getElementById('search-summary');
         this.resultsEl = document.getElementById('search-results');
         this.caseToggle = document.getElementById('search-case-toggle');
+        this.wordToggle = document.getElementById('search-word-toggle');
+        this.regexToggle = document.getElementById('search-regex-toggle');
+        this.includeInput = document.getElementById('search-include');
+        this.excludeInput = document.getElementById('search-exclude');
+        this.replaceToggle = document.getElementById('search-replace-toggle');
+        this.replaceRow = document.getElementById('replace-input-row');
+        this.replaceInput = document.getElementById('replace-input');
+        this.replaceAllButton = document.getElementById('replace-all-button');
 
         document.querySelectorAll('.sidebar-tab').forEach(tab => {
             tab.addEventListener('click', () => this.switchView(tab.dataset.view));
@@ -24,19 +51,52 @@ export class SearchManager {
             this.runSearch();
         });
 
-        this.input.addEventListener('input', () => {
-            clearTimeout(this.searchTimer);
-            this.searchTimer = setTimeout(() => this.runSearch(), 300);
+        this.wordToggle.addEventListener('click', () => {
+            this.wholeWord = !this.wholeWord;
+            this.wordToggle.classList.toggle('active', this.wholeWord);
+            this.runSearch();
+        });
+
+        this.regexToggle.addEventListener('click', () => {
+            this.useRegex = !this.useRegex;
+            this.regexToggle.classList.toggle('active', this.useRegex);
+            this.runSearch();
         });
 
-        this.input.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
+        this.replaceToggle.addEventListener('click', () => {
+            this.replaceMode = !this.replaceMode;
+            this.replaceToggle.classList.toggle('active', this.replaceMode);
+            this.replaceRow.classList.toggle('hidden', !this.replaceMode);
+            if (this.replaceMode) this.replaceInput.focus();
+            this.runSearch();
+        });
+
+        this.replaceAllButton.addEventListener('click', () => this.replaceAll());
+
+        // Query, replace and glob fields all re-run the search the same way
+        [this.input, this.replaceInput, this.includeInput, this.excludeInput].forEach(input => {
+            input.addEventListener('input', () => {
                 clearTimeout(this.searchTimer);
-                this.runSearch();
-            }
+                this.searchTimer = setTimeout(() => this.runSearch(), 300);
+            });
+
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    clearTimeout(this.searchTimer);
+                    this.runSearch();
+                } else if (e.key === 'Escape' && this.searching) {
+                    clearTimeout(this.searchTimer);
+                    this.cancelSearch();
+                }
+            });
         });
 
-        window.electronAPI.onFindInFiles(() => this.openSearch());
+        window.electronAPI.onSearchResults(({ searchId, results, filesSearched }) => {
+            if (searchId !== this.activeSearchId) return;
+            this.results.push(...results);
+            this.filesSearched = filesSearched;
+            this.scheduleRender();
+        });
     }
 
     switchView(view) {
@@ -44,7 +104,10 @@ export class SearchManager {
             tab.classList.toggle('active', tab.dataset.view === view);
         });
         document.getElementById('file-tree').classList.toggle('hidden', view !== 'explorer');
+        document.getElementById('timeline').classList.toggle('hidden', view !== 'explorer');
         document.getElementById('search-view').classList.toggle('hidden', view !== 'search');
+        document.getElementById('scm-view').classList.toggle('hidden', view !== 'scm');
+        this.app.scm.setVisible(view === 'scm');
     }
 
     openSearch() {
@@ -60,52 +123,122 @@ export class SearchManager {
 
     async runSearch() {
         const query = this.input.value;
-        this.lastQuery = query;
-
-        if (query.length < 2) {
-            this.summary.textContent = '';
-            this.resultsEl.replaceChildren();
-            return;
+        const options = {
+            caseSensitive: this.caseSensitive,
+            wholeWord: this.wholeWord,
+            useRegex: this.useRegex,
+            include: this.includeInput.value,
+            exclude: this.excludeInput.value
+        };
+        // Exclusions only survive while the matches themselves are unchanged
+        const exclusionKey = JSON.stringify([query, options]);
+        if (exclusionKey !== this.exclusionKey) {
+            this.exclusionKey = exclusionKey;
+            this.excludedMatches.clear();
+            this.excludedFiles.clear();
         }
+        if (this.replaceMode) {
+            options.replacement = this.replaceInput.value;
+        }
+        // Any change to the query or its options supersedes a running search;
+        // the main process cancels the old walk when the new one starts
+        const searchId = ++this.searchSeq;
+        this.activeSearchId = searchId;
+        this.lastResult = null;
+        this.results = [];
+        this.filesSearched = 0;
+        this.truncated = false;
+        this.cancelled = false;
+        this.summary.classList.remove('error');
 
-        if (!this.app.openFolder) {
-            this.summary.textContent = 'Open a folder to search';
+        if (query.length < 2 || !this.app.openFolder) {
+            if (this.searching) this.cancelSearch();
+            this.searching = false;
+            this.summary.textContent = query.length < 2 ? '' : 'Open a folder to search';
             this.resultsEl.replaceChildren();
             return;
         }
 
-        const result = await window.electronAPI.searchInFolder(query, {
-            caseSensitive: this.caseSensitive
-        });
+        this.searching = true;
+        this.render();
+        const result = await window.electronAPI.searchInFolder(query, { ...options, searchId });
 
         // A newer keystroke superseded this search while it ran
-        if (this.lastQuery !== query) return;
+        if (this.activeSearchId !== searchId) return;
+        this.searching = false;
 
         if (!result.success) {
             this.summary.textContent = result.error;
+            this.summary.classList.add('error');
             this.resultsEl.replaceChildren();
             return;
         }
 
-        this.render(result);
+        this.filesSearched = result.filesSearched ?? this.filesSearched;
+        this.truncated = !!result.truncated;
+        this.cancelled = !!result.cancelled;
+        this.lastResult = { query, options, results: this.results };
+        this.render();
+    }
+
+    // Stop the walk in the main process; results found so far stay listed
+    cancelSearch() {
+        window.electronAPI.cancelSearch();
+    }
+
+    // Batches can arrive faster than the list is worth rebuilding
+    scheduleRender() {
+        if (this.renderPending) return;
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            if (this.searching) this.render();
+        });
     }
 
-    render({ results, filesSearched, truncated }) {
+    matchKey(match) {
+        return `${match.file}:${match.line}:${match.col}`;
+    }
+
+    isExcluded(match) {
+        return this.excludedFiles.has(match.file) || this.excludedMatches.has(this.matchKey(match));
+    }
+
+    render() {
+        const { results, filesSearched, truncated } = this;
         const byFile = new Map();
         for (const match of results) {
             if (!byFile.has(match.relPath)) byFile.set(match.relPath, []);
             byFile.get(match.relPath).push(match);
         }
 
-        this.summary.textContent = results.length === 0
-            ? `No results in ${filesSearched} files`
-            : `${results.length}${truncated ? '+' : ''} results in ${byFile.size} files`;
+        if (this.searching) {
+            this.summary.textContent = `Searching… ${results.length} results, ${filesSearched} files scanned`;
+        } else {
+            this.summary.textContent = results.length === 0
+                ? `No results in ${filesSearched} files`
+                : `${results.length}${truncated ? '+' : ''} results in ${byFile.size} files`;
+            if (this.cancelled) this.summary.textContent += ' (cancelled)';
+        }
 
         const frag = document.createDocumentFragment();
         for (const [relPath, matches] of byFile) {
             const header = document.createElement('div');
             header.className = 'search-file-header';
-            header.textContent = relPath;
+            const file = matches[0].file;
+            if (this.replaceMode) {
+                const fileExcluded = this.excludedFiles.has(file);
+                header.classList.toggle('excluded', fileExcluded);
+                header.appendChild(this.renderCheckbox(!fileExcluded, (checked) => {
+                    if (checked) {
+                        this.excludedFiles.delete(file);
+                    } else {
+                        this.excludedFiles.add(file);
+                    }
+                    this.render();
+                }));
+            }
+            header.appendChild(document.createTextNode(relPath));
             const count = document.createElement('span');
             count.className = 'search-file-count';
             count.textContent = String(matches.length);
@@ -119,11 +252,38 @@ export class SearchManager {
         this.resultsEl.replaceChildren(frag);
     }
 
+    renderCheckbox(checked, onChange) {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = checked;
+        checkbox.title = 'Include in Replace All';
+        // Toggling a match shouldn't also jump to it
+        checkbox.addEventListener('click', (e) => e.stopPropagation());
+        checkbox.addEventListener('change', () => onChange(checkbox.checked));
+        return checkbox;
+    }
+
     renderMatch(match) {
         const row = document.createElement('div');
         row.className = 'search-match';
         row.title = `${match.relPath}:${match.line}`;
 
+        if (this.replaceMode) {
+            const fileExcluded = this.excludedFiles.has(match.file);
+            row.classList.toggle('excluded', this.isExcluded(match));
+            const checkbox = this.renderCheckbox(!this.isExcluded(match), (checked) => {
+                if (checked) {
+                    this.excludedMatches.delete(this.matchKey(match));
+                } else {
+                    this.excludedMatches.add(this.matchKey(match));
+                }
+                row.classList.toggle('excluded', this.isExcluded(match));
+            });
+            // A whole file unticked overrides its individual matches
+            checkbox.disabled = fileExcluded;
+            row.appendChild(checkbox);
+        }
+
         // Trim long lines around the match so the highlight stays visible
         const text = match.text;
         const start = match.col - 1;
@@ -135,16 +295,120 @@ export class SearchManager {
         row.appendChild(document.createTextNode(text.slice(from, start)));
 
         const highlight = document.createElement('span');
-        highlight.className = 'match-highlight';
+        highlight.className = this.replaceMode ? 'match-highlight match-removed' : 'match-highlight';
         highlight.textContent = text.slice(start, start + match.matchLength);
         row.appendChild(highlight);
 
+        if (this.replaceMode) {
+            const inserted = document.createElement('span');
+            inserted.className = 'match-inserted';
+            inserted.textContent = match.replacement ?? '';
+            row.appendChild(inserted);
+        }
+
         row.appendChild(document.createTextNode(text.slice(start + match.matchLength)));
 
         row.addEventListener('click', () => this.jumpTo(match));
         return row;
     }
 
+    async replaceAll() {
+        if (!this.replaceMode || !this.lastResult) return;
+        const { query, options, results } = this.lastResult;
+
+        const byFile = new Map();
+        for (const match of results) {
+            if (this.isExcluded(match)) continue;
+            if (!byFile.has(match.file)) byFile.set(match.file, []);
+            byFile.get(match.file).push({ line: match.line, col: match.col, text: match.text, matchLength: match.matchLength });
+        }
+        const total = [...byFile.values()].reduce((sum, matches) => sum + matches.length, 0);
+        if (total === 0) return;
+
+        const confirm = await window.electronAPI.showMessageBox({
+            type: 'question',
+            buttons: ['Replace', 'Cancel'],
+            defaultId: 0,
+            cancelId: 1,
+            message: `Replace ${total} ${total === 1 ? 'occurrence' : 'occurrences'} across ${byFile.size} ${byFile.size === 1 ? 'file' : 'files'}?`,
+            detail: `Replacement: "${options.replacement}"`
+        });
+        if (confirm.response !== 0) return;
+
+        // Tabs with unsaved edits are replaced in their model only; everything
+        // else is written to disk by the main process
+        const files = [...byFile].map(([file, matches]) => {
+            const tab = this.app.tabs.find(t => t.path === file);
+            return {
+                file,
+                matches,
+                content: tab && tab.modified ? tab.model.getValue() : undefined
+            };
+        });
+
+        this.app.files.suppressWatcher();
+        const result = await window.electronAPI.replaceInFiles(query, options, files);
+        if (!result.success) {
+            this.summary.textContent = result.error;
+            this.summary.classList.add('error');
+            return;
+        }
+
+        let replaced = 0;
+        let changedFiles = 0;
+        const failed = [];
+        const skipped = [];
+        for (const fileResult of result.results) {
+            if (!fileResult.success) {
+                failed.push(fileResult);
+                continue;
+            }
+            if (fileResult.skipped > 0) skipped.push(fileResult);
+            if (fileResult.replaced === 0) continue;
+            replaced += fileResult.replaced;
+            changedFiles++;
+            this.applyEditsToTab(fileResult);
+        }
+
+        this.lastResult = null;
+        this.resultsEl.replaceChildren();
+        this.summary.textContent = `Replaced ${replaced} ${replaced === 1 ? 'occurrence' : 'occurrences'} in ${changedFiles} ${changedFiles === 1 ? 'file' : 'files'}`;
+        if (failed.length > 0) {
+            this.summary.textContent += ` (${failed.length} failed)`;
+            this.summary.classList.add('error');
+            failed.forEach(f => window.electronAPI.logEvent('error', `replace failed: ${f.file}: ${f.error}`));
+        }
+        // Matches whose text changed after the search are left as they are
+        if (skipped.length > 0) {
+            const count = skipped.reduce((sum, f) => sum + f.skipped, 0);
+            const names = skipped.map(f => f.file.split('/').pop()).join(', ');
+            this.summary.textContent += `. ${count} skipped because the text changed since the search: ${names}`;
+            this.summary.classList.add('error');
+        }
+    }
+
+    // Mirror a replacement into the file's open tab, if any. A tab whose file
+    // was rewritten on disk stays clean; a dirty tab keeps its other edits.
+    applyEditsToTab({ file, edits, written, disk }) {
+        const tab = this.app.tabs.find(t => t.path === file);
+        // Read-only views (large or binary files) aren't a copy of the text
+        if (!tab || tab.readOnly) return;
+        const operations = edits.map(edit => ({
+            range: new monaco.Range(edit.line, edit.col, edit.line, edit.col + edit.length),
+            text: edit.text
+        }));
+        tab.model.pushEditOperations([], operations, () => null);
+        if (written) {
+            tab.modified = false;
+            tab.content = tab.model.getValue();
+            // The replace's own write isn't a change on disk to warn about
+            tab.disk = disk;
+            this.app.renderTabs();
+        } else {
+            this.app.markTabModified(tab.id);
+        }
+    }
+
     async jumpTo(match) {
         await this.app.openFile(match.file);
         // Let the tab activation swap the editor model in before positioning
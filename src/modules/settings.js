@@ -0,0 +1,292 @@
+// Settings Module
+// Renderer side of settings: the effective values (defaults < user
+// settings.json < project .codelight/settings.json) from main, change
+// notifications, and the searchable settings editor (Cmd+,). The files
+// themselves are owned by main (src/main/settings.js), which also sends
+// 'settings-changed' whenever either file is edited on disk.
+
+// Pre-settings preferences kept in localStorage, moved into settings.json once
+const LEGACY_PREFERENCES = {
+    fontSize: 'editor.fontSize',
+    wordWrap: 'editor.wordWrap',
+    sidebarWidth: 'workbench.sidebarWidth',
+    theme: 'workbench.colorTheme'
+};
+
+// 'editor.fontSize' -> 'Editor: Font Size'
+function settingTitle(key) {
+    const words = (s) => s
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/^./, c => c.toUpperCase());
+    const [category, ...rest] = key.split('.');
+    return `${words(category)}: ${rest.map(words).join(' ')}`;
+}
+
+export class SettingsManager {
+    constructor(app) {
+        this.app = app;
+        this.schema = {};
+        this.user = {};
+        this.project = {};
+        this.values = {};
+        this.errors = [];
+        this.listeners = [];
+        this.scope = 'user'; // which file the settings editor writes to
+
+        this.modal = document.getElementById('settings-modal');
+        this.searchInput = document.getElementById('settings-search');
+        this.listEl = document.getElementById('settings-list');
+        this.errorsEl = document.getElementById('settings-errors');
+
+        this.setupEditor();
+    }
+
+    async load() {
+        this.apply(await window.electronAPI.getSettings());
+        window.electronAPI.onSettingsChanged((settings) => this.apply(settings));
+        await this.migrateLegacyPreferences();
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    // listener(changedKeys) runs whenever effective values change, including
+    // once for every key on first load
+    onDidChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    apply({ schema, user, project, errors }) {
+        const previous = this.values;
+        this.schema = schema;
+        this.user = user;
+        this.project = project;
+        this.errors = errors;
+        this.values = this.merge();
+
+        const changed = Object.keys(this.values)
+            .filter(key => JSON.stringify(previous[key]) !== JSON.stringify(this.values[key]));
+        if (changed.length > 0) {
+            this.listeners.forEach(listener => listener(changed));
+        }
+        if (!this.modal.classList.contains('hidden')) {
+            this.renderEditor();
+        }
+    }
+
+    merge() {
+        const values = {};
+        for (const [key, spec] of Object.entries(this.schema)) {
+            values[key] = spec.default;
+        }
+        return { ...values, ...this.user, ...this.project };
+    }
+
+    // Write a setting; null removes it from that file. Without a target the
+    // value goes wherever it's currently set, so toggling word wrap in a
+    // project that sets it changes the project file. Applied locally right
+    // away — main's echo through the file watcher then changes nothing.
+    async update(key, value, target) {
+        target = target || (key in this.project ? 'project' : 'user');
+        const layer = { ...this[target] };
+        if (value === null) {
+            delete layer[key];
+        } else {
+            layer[key] = value;
+        }
+        const previous = { user: this.user, project: this.project };
+        this.apply({ schema: this.schema, errors: this.errors, ...previous, [target]: layer });
+
+        const result = await window.electronAPI.updateSetting(key, value, target);
+        if (!result.success) {
+            this.apply({ schema: this.schema, errors: this.errors, ...previous });
+            window.electronAPI.showMessageBox({
+                type: 'error',
+                buttons: ['OK'],
+                message: `Could not change ${key}`,
+                detail: result.error
+            });
+        }
+        return result;
+    }
+
+    async migrateLegacyPreferences() {
+        const prefs = await this.app.storage.get('preferences');
+        if (!prefs) return;
+        for (const [pref, key] of Object.entries(LEGACY_PREFERENCES)) {
+            const value = prefs[pref];
+            if (value === undefined || key in this.user || value === this.schema[key]?.default) continue;
+            await this.update(key, value, 'user');
+        }
+        await this.app.storage.remove('preferences');
+        await this.app.storage.remove('theme');
+    }
+
+    async openSettingsFile(target) {
+        const result = await window.electronAPI.openSettingsFile(target);
+        if (result.success) {
+            this.hide();
+            await this.app.openFile(result.path);
+        } else {
+            window.electronAPI.logEvent('error', `open settings file failed: ${result.error}`);
+        }
+    }
+
+    // === Settings editor ===
+
+    setupEditor() {
+        this.searchInput.addEventListener('input', () => this.renderEditor());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.hide();
+        });
+        document.querySelectorAll('.settings-scope').forEach(button => {
+            button.addEventListener('click', () => {
+                this.scope = button.dataset.scope;
+                this.renderEditor();
+            });
+        });
+        document.getElementById('settings-open-json').addEventListener('click', () => {
+            this.openSettingsFile(this.scope);
+        });
+    }
+
+    show() {
+        this.scope = 'user';
+        this.searchInput.value = '';
+        this.modal.classList.remove('hidden');
+        this.renderEditor();
+        this.searchInput.focus();
+    }
+
+    hide() {
+        this.modal.classList.add('hidden');
+        this.app.editor?.focus();
+    }
+
+    renderEditor() {
+        const hasProject = !!this.app.openFolder;
+        if (!hasProject) this.scope = 'user';
+        document.querySelectorAll('.settings-scope').forEach(button => {
+            button.classList.toggle('active', button.dataset.scope === this.scope);
+            button.disabled = button.dataset.scope === 'project' && !hasProject;
+        });
+
+        this.errorsEl.replaceChildren(...this.errors.map(error => {
+            const div = document.createElement('div');
+            div.textContent = error;
+            return div;
+        }));
+        this.errorsEl.classList.toggle('hidden', this.errors.length === 0);
+
+        const terms = this.searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+        const fragment = document.createDocumentFragment();
+        for (const [key, spec] of Object.entries(this.schema)) {
+            const haystack = `${key} ${settingTitle(key)} ${spec.description}`.toLowerCase();
+            if (terms.every(term => haystack.includes(term))) {
+                fragment.appendChild(this.renderSetting(key, spec));
+            }
+        }
+        if (!fragment.hasChildNodes()) {
+            const empty = document.createElement('div');
+            empty.className = 'settings-empty';
+            empty.textContent = 'No settings found';
+            fragment.appendChild(empty);
+        }
+        this.listEl.replaceChildren(fragment);
+    }
+
+    renderSetting(key, spec) {
+        const layer = this.scope === 'project' ? this.project : this.user;
+        const isSet = key in layer;
+        // The user tab shows what the user file (or the default) says; the
+        // project tab shows what actually applies in this window
+        const value = this.scope === 'project' ? this.values[key] : (isSet ? this.user[key] : spec.default);
+
+        const item = document.createElement('div');
+        item.className = `setting-item${isSet ? ' modified' : ''}`;
+
+        const header = document.createElement('div');
+        header.className = 'setting-header';
+        const title = document.createElement('span');
+        title.className = 'setting-title';
+        title.textContent = settingTitle(key);
+        const id = document.createElement('span');
+        id.className = 'setting-id';
+        id.textContent = key;
+        header.append(title, id);
+
+        if (isSet) {
+            const reset = document.createElement('button');
+            reset.className = 'setting-reset';
+            reset.textContent = 'Reset';
+            reset.title = `Remove from ${this.scope} settings`;
+            reset.addEventListener('click', () => this.update(key, null, this.scope));
+            header.appendChild(reset);
+        }
+
+        const description = document.createElement('div');
+        description.className = 'setting-description';
+        description.textContent = spec.description;
+        if (this.scope === 'user' && key in this.project) {
+            description.textContent += ' (Overridden by project settings.)';
+        }
+
+        item.append(header, description, this.renderControl(key, spec, value));
+        return item;
+    }
+
+    renderControl(key, spec, value) {
+        const commit = (newValue) => this.update(key, newValue, this.scope);
+        let control;
+
+        if (spec.type === 'boolean') {
+            control = document.createElement('input');
+            control.type = 'checkbox';
+            control.checked = value;
+            control.addEventListener('change', () => commit(control.checked));
+        } else if (spec.enum) {
+            control = document.createElement('select');
+            for (const option of spec.enum) {
+                const el = document.createElement('option');
+                el.value = option;
+                el.textContent = option;
+                control.appendChild(el);
+            }
+            control.value = value;
+            control.addEventListener('change', () => commit(control.value));
+        } else if (spec.type === 'number') {
+            control = document.createElement('input');
+            control.type = 'number';
+            control.min = spec.minimum;
+            control.max = spec.maximum;
+            control.value = value;
+            control.addEventListener('change', () => {
+                const number = Number(control.value);
+                if (control.value !== '' && number >= spec.minimum && number <= spec.maximum) {
+                    commit(number);
+                } else {
+                    control.value = value;
+                }
+            });
+        } else if (spec.type === 'array') {
+            // One entry per line
+            control = document.createElement('textarea');
+            control.rows = Math.max(3, value.length);
+            control.spellcheck = false;
+            control.value = value.join('\n');
+            control.addEventListener('change', () => {
+                commit(control.value.split('\n').map(line => line.trim()).filter(Boolean));
+            });
+        } else {
+            control = document.createElement('input');
+            control.type = 'text';
+            control.spellcheck = false;
+            control.value = value;
+            control.addEventListener('change', () => commit(control.value));
+        }
+
+        control.classList.add('setting-control');
+        return control;
+    }
+}
@@ -1,10 +1,56 @@
 // Shortcuts Manager Module
-// Additional keyboard shortcuts beyond menu accelerators
+// Keyboard shortcuts beyond menu accelerators. Keybindings come from main
+// (defaults merged with the user's keybindings.json); a command that has a
+// native menu item and a single-stroke key is left to the menu accelerator so
+// it doesn't fire twice. Everything else — chords like `cmd+k cmd+s` and
+// commands with no menu item — is dispatched here.
+
+import { formatKeybinding } from './commands.js';
+
+// KeyboardEvent.code -> key name used in keybindings. Codes rather than
+// e.key so Alt/Shift combinations don't turn into other characters
+// (Alt+W is '∑' on a Mac keyboard).
+const CODE_KEYS = {
+    Backquote: '`',
+    Minus: '-',
+    Equal: '=',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Backslash: '\\',
+    Semicolon: ';',
+    Quote: '\'',
+    Comma: ',',
+    Period: '.',
+    Slash: '/',
+    Space: 'space',
+    Enter: 'enter',
+    NumpadEnter: 'enter',
+    Escape: 'escape',
+    Tab: 'tab',
+    Backspace: 'backspace',
+    Delete: 'delete',
+    Insert: 'insert',
+    ArrowUp: 'up',
+    ArrowDown: 'down',
+    ArrowLeft: 'left',
+    ArrowRight: 'right',
+    Home: 'home',
+    End: 'end',
+    PageUp: 'pageup',
+    PageDown: 'pagedown'
+};
+
+// How long the first half of a chord waits for the second
+const CHORD_TIMEOUT_MS = 3000;
 
 export class ShortcutManager {
     constructor(app) {
         this.app = app;
         this.shortcuts = new Map();
+        this.bindings = new Map(); // 'cmd+k cmd+s' -> command id
+        this.chordPrefixes = new Set(); // first strokes of bound chords
+        this.pendingChord = null;
+        this.chordTimer = null;
         this.init();
     }
 
@@ -22,6 +68,40 @@ export class ShortcutManager {
         document.addEventListener('keydown', (e) => {
             this.handleKeydown(e);
         });
+
+        // Keybindings run in the capture phase so they win over Monaco and
+        // xterm, which swallow keys they handle themselves. The first stroke
+        // of a bound chord never reaches them, so no default chord starts
+        // with Cmd+K, which Monaco uses for its own chords.
+        document.addEventListener('keydown', (e) => {
+            this.handleKeybinding(e);
+        }, true);
+    }
+
+    async loadKeybindings() {
+        this.applyKeybindings(await window.electronAPI.getKeybindings());
+        // keybindings.json is watched by main; edits apply without a restart
+        window.electronAPI.onKeybindingsChanged((keybindings) => {
+            this.applyKeybindings(keybindings);
+        });
+    }
+
+    applyKeybindings({ bindings, menuCommands }) {
+        this.app.commands.applyKeybindings(bindings);
+
+        const menuHandled = new Set(menuCommands);
+        this.bindings.clear();
+        this.chordPrefixes.clear();
+        this.clearPendingChord();
+        for (const [command, key] of Object.entries(bindings)) {
+            if (!key) continue;
+            const isChord = key.includes(' ');
+            if (!isChord && menuHandled.has(command)) continue;
+            this.bindings.set(key, command);
+            if (isChord) {
+                this.chordPrefixes.add(key.split(' ')[0]);
+            }
+        }
     }
 
     register(shortcut, callback) {
@@ -62,24 +142,72 @@ export class ShortcutManager {
         }
     }
 
+    // Keystroke in keybinding form ('cmd+shift+p'), or null for a lone
+    // modifier or a key we have no name for
+    strokeFromEvent(e) {
+        const { code } = e;
+        let key = CODE_KEYS[code] || null;
+        if (code.startsWith('Key')) key = code.slice(3).toLowerCase();
+        else if (code.startsWith('Digit')) key = code.slice(5);
+        else if (/^F\d+$/.test(code)) key = code.toLowerCase();
+        if (!key) return null;
+
+        const parts = [];
+        if (e.metaKey) parts.push('cmd');
+        if (e.ctrlKey) parts.push('ctrl');
+        if (e.altKey) parts.push('alt');
+        if (e.shiftKey) parts.push('shift');
+        parts.push(key);
+        return parts.join('+');
+    }
+
+    handleKeybinding(e) {
+        const stroke = this.strokeFromEvent(e);
+        if (!stroke) return;
+
+        // Second half of a chord. A stroke that doesn't complete one goes on
+        // to the editor or terminal as usual rather than being lost, as does
+        // any key whose command can't run here (see `when`).
+        if (this.pendingChord) {
+            const command = this.bindings.get(`${this.pendingChord} ${stroke}`);
+            this.clearPendingChord();
+            if (command && this.app.commands.canExecute(command)) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.app.commands.execute(command);
+                return;
+            }
+        }
+
+        if (this.chordPrefixes.has(stroke)) {
+            e.preventDefault();
+            e.stopPropagation();
+            this.pendingChord = stroke;
+            this.chordTimer = setTimeout(() => this.clearPendingChord(), CHORD_TIMEOUT_MS);
+            return;
+        }
+
+        const command = this.bindings.get(stroke);
+        if (command && this.app.commands.canExecute(command)) {
+            e.preventDefault();
+            e.stopPropagation();
+            this.app.commands.execute(command);
+        }
+    }
+
+    clearPendingChord() {
+        clearTimeout(this.chordTimer);
+        this.chordTimer = null;
+        this.pendingChord = null;
+    }
+
     // Get list of all shortcuts for help/documentation
     getShortcutList() {
-        return [
-            { action: 'New File', shortcut: 'Cmd+N' },
-            { action: 'Open File', shortcut: 'Cmd+O' },
-            { action: 'Open Folder', shortcut: 'Cmd+Shift+O' },
-            { action: 'Save', shortcut: 'Cmd+S' },
-            { action: 'Save All', shortcut: 'Cmd+Shift+S' },
-            { action: 'Close Tab', shortcut: 'Cmd+W' },
-            { action: 'Find', shortcut: 'Cmd+F' },
-            { action: 'Replace', shortcut: 'Cmd+H' },
-            { action: 'Go to Line', shortcut: 'Ctrl+G' },
-            { action: 'Quick Open', shortcut: 'Cmd+P' },
-            { action: 'Toggle Sidebar', shortcut: 'Cmd+B' },
-            { action: 'Increase Font', shortcut: 'Cmd++' },
-            { action: 'Decrease Font', shortcut: 'Cmd+-' },
-            { action: 'Toggle Word Wrap', shortcut: 'Cmd+Alt+W' },
-            { action: 'Comment Line', shortcut: 'Cmd+/' }
-        ];
+        return this.app.commands.list()
+            .filter(command => command.keybinding)
+            .map(command => ({
+                action: command.title,
+                shortcut: formatKeybinding(command.keybinding)
+            }));
     }
 }
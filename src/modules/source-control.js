@@ -0,0 +1,318 @@
+// Source Control Module
+// The sidebar SOURCE CONTROL view: the open folder's staged and unstaged
+// changes with stage / unstage / discard per file or per group, and a
+// commit box. Git itself runs in the main process (see main/git.js).
+// Clicking a change opens a diff tab of the file against HEAD. The list
+// reloads when the folder watcher reports a change while the view is
+// showing, after its own actions, and when it's next shown otherwise.
+
+const STATUS_LETTERS = {
+    modified: 'M',
+    added: 'A',
+    deleted: 'D',
+    renamed: 'R',
+    copied: 'C',
+    typechange: 'T',
+    untracked: 'U',
+    conflicted: '!'
+};
+
+export class SourceControlManager {
+    constructor(app) {
+        this.app = app;
+        this.messageInput = document.getElementById('scm-message');
+        this.commitButton = document.getElementById('scm-commit');
+        this.summary = document.getElementById('scm-summary');
+        this.list = document.getElementById('scm-changes');
+        this.changes = null; // { staged, unstaged } for the open folder's repository
+        this.visible = false;
+        this.stale = true;
+        this.loading = 0; // increases with every load, so stale answers are dropped
+        this.busy = false; // a git action is running
+
+        this.commitButton.addEventListener('click', () => this.commit());
+        this.messageInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+                e.preventDefault();
+                this.commit();
+            }
+        });
+    }
+
+    // Shown or hidden by SearchManager.switchView
+    setVisible(visible) {
+        this.visible = visible;
+        if (visible && this.stale) this.refresh();
+    }
+
+    // Reveal the view with the cursor in the commit message
+    open() {
+        this.app.showSidebarView('scm');
+        this.messageInput.focus();
+    }
+
+    // Files changed, or another folder was opened
+    handleFolderChanged() {
+        this.stale = true;
+        if (this.visible) this.refresh();
+    }
+
+    async refresh() {
+        const load = ++this.loading;
+        this.stale = false;
+        if (!this.app.openFolder) {
+            this.changes = null;
+            this.render('Open a folder to use source control.');
+            return;
+        }
+
+        const result = await window.electronAPI.getGitChanges();
+        if (load !== this.loading) return;
+        if (!result.success) {
+            this.changes = null;
+            this.render(result.error);
+        } else if (!result.repository) {
+            this.changes = null;
+            this.render('The open folder is not in a git repository.');
+        } else {
+            this.changes = { staged: result.staged, unstaged: result.unstaged };
+            this.render(result.staged.length || result.unstaged.length ? null : 'No changes.');
+        }
+    }
+
+    render(message) {
+        this.list.replaceChildren();
+        this.summary.textContent = message || '';
+        this.messageInput.disabled = !this.changes;
+        this.commitButton.disabled = !this.changes || this.busy;
+        if (!this.changes) return;
+
+        const { staged, unstaged } = this.changes;
+        if (staged.length > 0) {
+            this.renderGroup('Staged Changes', staged, [
+                this.createAction('−', 'Unstage All Changes', () => this.unstage(staged))
+            ]);
+        }
+        if (unstaged.length > 0) {
+            this.renderGroup('Changes', unstaged, [
+                this.createAction('↶', 'Discard All Changes', () => this.discard(unstaged)),
+                this.createAction('+', 'Stage All Changes', () => this.stage(unstaged))
+            ]);
+        }
+    }
+
+    renderGroup(title, changes, groupActions) {
+        const header = document.createElement('div');
+        header.className = 'scm-group-header';
+        const label = document.createElement('span');
+        label.className = 'scm-group-title';
+        label.textContent = title;
+        const count = document.createElement('span');
+        count.className = 'scm-group-count';
+        count.textContent = changes.length;
+        const actions = document.createElement('span');
+        actions.className = 'scm-actions';
+        actions.append(...groupActions);
+        header.append(label, count, actions);
+        this.list.appendChild(header);
+
+        const staged = changes === this.changes.staged;
+        for (const change of changes) {
+            const item = document.createElement('div');
+            item.className = `scm-item${change.status === 'deleted' ? ' deleted' : ''}`;
+            item.title = change.path;
+
+            const name = document.createElement('span');
+            name.className = 'scm-item-name';
+            name.textContent = this.basename(change.path);
+            const dir = document.createElement('span');
+            dir.className = 'scm-item-dir';
+            dir.textContent = this.relativeDir(change.path);
+
+            const itemActions = document.createElement('span');
+            itemActions.className = 'scm-actions';
+            if (change.status !== 'deleted') {
+                itemActions.appendChild(this.createAction('↗', 'Open File', () => this.app.openFile(change.path)));
+            }
+            if (staged) {
+                itemActions.appendChild(this.createAction('−', 'Unstage Changes', () => this.unstage([change])));
+            } else {
+                itemActions.append(
+                    this.createAction('↶', 'Discard Changes', () => this.discard([change])),
+                    this.createAction('+', 'Stage Changes', () => this.stage([change]))
+                );
+            }
+
+            const status = document.createElement('span');
+            status.className = `scm-status ${change.status}`;
+            status.textContent = STATUS_LETTERS[change.status] || '?';
+            status.title = change.status[0].toUpperCase() + change.status.slice(1);
+
+            item.append(name, dir, itemActions, status);
+            item.addEventListener('click', () => this.openChange(change));
+            this.list.appendChild(item);
+        }
+    }
+
+    createAction(label, title, run) {
+        const button = document.createElement('button');
+        button.className = 'scm-action';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            run();
+        });
+        return button;
+    }
+
+    basename(filePath) {
+        return filePath.split('/').pop();
+    }
+
+    // Folder of a change relative to the open folder ('' at its top)
+    relativeDir(filePath) {
+        const relative = filePath.slice(this.app.openFolder.length + 1);
+        return relative.includes('/') ? relative.slice(0, relative.lastIndexOf('/')) : '';
+    }
+
+    // === Actions ===
+
+    // Run one git action on `changes`, then reload everything that shows
+    // git state. Returns whether it succeeded.
+    async run(action, changes) {
+        if (this.busy) return false;
+        this.busy = true;
+        this.commitButton.disabled = true;
+        let result;
+        try {
+            result = await action(changes.map(change => change.path));
+        } finally {
+            this.busy = false;
+        }
+        if (!result.success) {
+            await window.electronAPI.showMessageBox({
+                type: 'error',
+                buttons: ['OK'],
+                message: 'Git failed',
+                detail: result.error
+            });
+        }
+        this.handleGitChanged();
+        return result.success;
+    }
+
+    // The index or HEAD moved: the watcher doesn't see inside .git
+    handleGitChanged() {
+        this.refresh();
+        this.app.branch.refresh();
+        this.app.files.refreshFileTree();
+        this.app.gitGutter.handleFolderChanged();
+        this.app.blame.handleFolderChanged();
+    }
+
+    stage(changes) {
+        if (changes.length === 0) return false;
+        return this.run(files => window.electronAPI.gitStage(files), changes);
+    }
+
+    unstage(changes) {
+        if (changes.length === 0) return false;
+        return this.run(files => window.electronAPI.gitUnstage(files), changes);
+    }
+
+    async discard(changes) {
+        const untracked = changes.filter(change => change.status === 'untracked').length;
+        const result = await window.electronAPI.showMessageBox({
+            type: 'warning',
+            buttons: ['Discard Changes', 'Cancel'],
+            defaultId: 1,
+            cancelId: 1,
+            message: changes.length === 1
+                ? `Discard the changes in ${this.basename(changes[0].path)}?`
+                : `Discard the changes in ${changes.length} files?`,
+            detail: untracked > 0
+                ? "Untracked files are moved to the Trash. Other changes can't be brought back."
+                : "The changes can't be brought back."
+        });
+        if (result.response !== 0) return false;
+        return this.run(files => window.electronAPI.gitDiscard(files), changes);
+    }
+
+    async commit() {
+        if (!this.changes || this.busy) return;
+        const message = this.messageInput.value;
+        if (!message.trim()) {
+            this.messageInput.focus();
+            return;
+        }
+
+        const { staged, unstaged } = this.changes;
+        if (staged.length === 0 && unstaged.length === 0) {
+            await window.electronAPI.showMessageBox({ type: 'info', buttons: ['OK'], message: 'There are no changes to commit.' });
+            return;
+        }
+        // With nothing staged, offer to commit everything
+        const all = staged.length === 0;
+        if (all) {
+            const answer = await window.electronAPI.showMessageBox({
+                type: 'question',
+                buttons: ['Stage All and Commit', 'Cancel'],
+                defaultId: 0,
+                cancelId: 1,
+                message: 'There are no staged changes to commit.',
+                detail: 'Stage all changes and commit them?'
+            });
+            if (answer.response !== 0) return;
+        }
+        // Unsaved edits wouldn't be in the commit
+        if (this.app.tabs.some(tab => tab.modified && tab.path)) {
+            const answer = await window.electronAPI.showMessageBox({
+                type: 'warning',
+                buttons: ['Save All and Commit', 'Commit', 'Cancel'],
+                defaultId: 0,
+                cancelId: 2,
+                message: 'Some files have unsaved changes.',
+                detail: "Unsaved changes aren't part of the commit."
+            });
+            if (answer.response === 2) return;
+            if (answer.response === 0) await this.app.saveAllFiles();
+        }
+
+        const committed = await this.run(() => window.electronAPI.gitCommit(message, { all }), []);
+        if (committed) {
+            this.messageInput.value = '';
+        }
+    }
+
+    // === Diff against HEAD ===
+
+    async openChange(change) {
+        const name = this.basename(change.path);
+        const result = await window.electronAPI.getGitHeadContent(change.path);
+        if (!result.success || result.binary) {
+            await window.electronAPI.showMessageBox({
+                type: 'error',
+                buttons: ['OK'],
+                message: result.binary ? `${name} can't be compared as text.` : `Could not read ${name} from HEAD`,
+                detail: result.error
+            });
+            return;
+        }
+
+        const original = { content: result.content ?? '', label: `${name} (HEAD)` };
+        if (change.status === 'deleted') {
+            this.app.diff.open({
+                original,
+                modified: { content: '', label: `${name} (Deleted)` },
+                language: this.app.detectLanguage(name),
+                key: `head-deleted:${change.path}`
+            });
+            return;
+        }
+        const tab = await this.app.diff.getTextTab(change.path);
+        if (tab) {
+            this.app.diff.open({ original, modified: { tab }, key: `head:${change.path}` });
+        }
+    }
+}
@@ -61,7 +61,6 @@ export class TerminalManager {
         this.resizeHandle = document.getElementById('terminal-resize-handle');
         this.panelHeight = 240;
 
-        window.electronAPI.onToggleTerminal(() => this.toggle());
         window.electronAPI.onTerminalData((data) => this.term?.write(data));
         window.electronAPI.onTerminalExit(() => this.handleShellExit());
 
@@ -102,8 +101,8 @@ export class TerminalManager {
                 import('../../node_modules/@xterm/addon-fit/lib/addon-fit.mjs')
             ]);
             this.term = new Terminal({
-                fontFamily: 'Monaco, Menlo, monospace',
-                fontSize: 12,
+                fontFamily: this.app.settings.get('terminal.fontFamily'),
+                fontSize: this.app.settings.get('terminal.fontSize'),
                 cursorBlink: true,
                 theme: this.currentTheme(),
                 scrollback: 5000
@@ -198,6 +197,14 @@ export class TerminalManager {
         }
     }
 
+    // Called when terminal.* settings change
+    applySettings() {
+        if (!this.term) return;
+        this.term.options.fontFamily = this.app.settings.get('terminal.fontFamily');
+        this.term.options.fontSize = this.app.settings.get('terminal.fontSize');
+        this.fit();
+    }
+
     setupResizeHandle() {
         let dragging = false;
 
@@ -1,5 +1,6 @@
 // Theme Manager Module
-// Handles theme switching and persistence
+// Handles theme switching; the choice is persisted as the
+// `workbench.colorTheme` setting
 
 export class ThemeManager {
     constructor(app) {
@@ -7,13 +8,6 @@ export class ThemeManager {
         this.currentTheme = 'dark';
     }
 
-    async init() {
-        const saved = await this.app.storage.get('theme');
-        if (saved) {
-            this.setTheme(saved, false);
-        }
-    }
-
     setTheme(theme, save = true) {
         this.currentTheme = theme;
 
@@ -32,8 +26,7 @@ export class ThemeManager {
         this.app.terminal?.applyTheme();
 
         if (save) {
-            this.app.storage.set('theme', theme);
-            this.app.savePreferences();
+            this.app.settings.update('workbench.colorTheme', theme);
         }
     }
 
@@ -0,0 +1,266 @@
+// Timeline Module
+// The TIMELINE section under the file tree lists the active file's local
+// history (every version saved through CodeLight, see src/main/history.js),
+// newest first. Clicking a version compares it with the current buffer;
+// Restore puts its text into the buffer as one undoable edit, leaving the
+// tab modified so the restore itself is saved like any other change.
+
+import { detectEol } from './eol.js';
+
+const SOURCE_LABELS = {
+    saved: 'File Saved',
+    original: 'Before First Save'
+};
+
+// '3 min ago', 'yesterday', then a date
+export function formatAge(timestamp) {
+    const seconds = Math.round((Date.now() - timestamp) / 1000);
+    if (seconds < 60) return 'now';
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours} hr ago`;
+    const days = Math.round(hours / 24);
+    if (days === 1) return 'yesterday';
+    if (days < 7) return `${days} days ago`;
+    return new Date(timestamp).toLocaleDateString();
+}
+
+export class TimelineManager {
+    constructor(app) {
+        this.app = app;
+        this.section = document.getElementById('timeline');
+        this.list = document.getElementById('timeline-list');
+        this.shownPath = null;
+        this.entries = [];
+        this.loading = 0; // increases with every load, so stale answers are dropped
+
+        this.compareModal = document.getElementById('timeline-compare-modal');
+        this.compareTitle = document.getElementById('timeline-compare-title');
+        this.diffEditor = null;
+        this.snapshotModel = null;
+        this.compareTab = null;
+        this.compareEntry = null;
+
+        this.setupListeners();
+    }
+
+    async setupListeners() {
+        document.getElementById('timeline-header').addEventListener('click', () => {
+            const collapsed = !this.section.classList.contains('collapsed');
+            this.section.classList.toggle('collapsed', collapsed);
+            this.app.storage.set('timelineCollapsed', collapsed);
+            if (!collapsed) this.refresh();
+        });
+
+        document.getElementById('timeline-restore').addEventListener('click', () => {
+            const { compareTab, compareEntry } = this;
+            this.hideCompare();
+            this.restore(compareTab, compareEntry);
+        });
+        document.getElementById('timeline-compare-close').addEventListener('click', () => this.hideCompare());
+        this.compareModal.addEventListener('click', (e) => {
+            if (e.target === this.compareModal) this.hideCompare();
+        });
+        // As in the disk compare: Escape lets go of the tab's model here
+        this.compareModal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.hideCompare();
+            }
+        });
+
+        this.section.classList.toggle('collapsed', !!await this.app.storage.get('timelineCollapsed'));
+    }
+
+    isCollapsed() {
+        return this.section.classList.contains('collapsed');
+    }
+
+    // Runs whenever tabs re-render; only reloads when the file changed
+    update() {
+        const path = this.app.getActiveTab()?.path || null;
+        if (path !== this.shownPath) {
+            this.shownPath = path;
+            this.refresh();
+        }
+    }
+
+    // A tab was saved: its newest version is in the history now
+    handleSaved(tab) {
+        if (tab.path === this.shownPath) this.refresh();
+    }
+
+    async refresh() {
+        const tab = this.app.getActiveTab();
+        const load = ++this.loading;
+        if (this.isCollapsed()) return;
+        if (!tab?.path || !tab.model) {
+            this.entries = [];
+            this.render(tab ? 'No local history for this file.' : 'No file is open.');
+            return;
+        }
+
+        const result = await window.electronAPI.getFileHistory(tab.path);
+        if (load !== this.loading) return;
+        if (!result.success) {
+            this.entries = [];
+            this.render(result.error);
+            return;
+        }
+        this.entries = result.entries;
+        this.render(this.entries.length ? null : 'No saved versions yet.');
+    }
+
+    render(message) {
+        this.list.replaceChildren();
+        if (message) {
+            const empty = document.createElement('div');
+            empty.className = 'timeline-empty';
+            empty.textContent = message;
+            this.list.appendChild(empty);
+            return;
+        }
+
+        const tab = this.app.getActiveTab();
+        for (const entry of this.entries) {
+            const item = document.createElement('div');
+            item.className = 'timeline-item';
+            item.title = new Date(entry.timestamp).toLocaleString();
+
+            const label = document.createElement('span');
+            label.className = 'timeline-label';
+            label.textContent = SOURCE_LABELS[entry.source] || SOURCE_LABELS.saved;
+            const age = document.createElement('span');
+            age.className = 'timeline-age';
+            age.textContent = formatAge(entry.timestamp);
+            item.append(label, age);
+
+            item.addEventListener('click', () => this.showCompare(tab, entry));
+            item.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.showContextMenu(e.clientX, e.clientY, tab, entry);
+            });
+            this.list.appendChild(item);
+        }
+    }
+
+    showContextMenu(x, y, tab, entry) {
+        const existing = document.querySelector('.context-menu');
+        if (existing) existing.remove();
+
+        const menu = document.createElement('div');
+        menu.className = 'context-menu';
+        menu.style.left = `${x}px`;
+        menu.style.top = `${y}px`;
+
+        const items = [
+            { label: 'Compare with Current', run: () => this.showCompare(tab, entry) },
+            { label: 'Restore', disabled: tab.readOnly, run: () => this.restore(tab, entry) }
+        ];
+        for (const { label, disabled, run } of items) {
+            const item = document.createElement('div');
+            item.className = `context-menu-item${disabled ? ' disabled' : ''}`;
+            item.textContent = label;
+            item.addEventListener('click', () => {
+                menu.remove();
+                if (!disabled) run();
+            });
+            menu.appendChild(item);
+        }
+
+        document.body.appendChild(menu);
+
+        const closeMenu = (e) => {
+            if (!menu.contains(e.target)) {
+                menu.remove();
+                document.removeEventListener('click', closeMenu);
+            }
+        };
+        setTimeout(() => document.addEventListener('click', closeMenu), 0);
+    }
+
+    // Text of a version, or null after telling the user why not
+    async readEntry(tab, entry) {
+        const result = await window.electronAPI.readFileHistory(tab.path, entry.id);
+        if (!result.success) {
+            await window.electronAPI.showMessageBox({
+                type: 'error',
+                buttons: ['OK'],
+                message: `Could not read this version of ${tab.name}`,
+                detail: result.error
+            });
+            return null;
+        }
+        return result.content;
+    }
+
+    // === Compare ===
+
+    async showCompare(tab, entry) {
+        if (!this.app.tabs.includes(tab)) return;
+        const content = await this.readEntry(tab, entry);
+        if (content === null || !this.app.tabs.includes(tab)) return;
+
+        this.compareTab = tab;
+        this.compareEntry = entry;
+        const label = SOURCE_LABELS[entry.source] || SOURCE_LABELS.saved;
+        this.compareTitle.textContent = `${tab.name}: ${label}, ${new Date(entry.timestamp).toLocaleString()} ↔ Current`;
+        document.getElementById('timeline-restore').disabled = tab.readOnly;
+        this.compareModal.classList.remove('hidden');
+
+        if (!this.diffEditor) {
+            this.diffEditor = monaco.editor.createDiffEditor(document.getElementById('timeline-compare-editor'), {
+                ...this.app.getEditorOptions(),
+                automaticLayout: true,
+                originalEditable: false
+            });
+        }
+        this.disposeSnapshotModel();
+        this.snapshotModel = monaco.editor.createModel(content, tab.model.getLanguageId());
+        this.diffEditor.setModel({ original: this.snapshotModel, modified: tab.model });
+        this.diffEditor.getModifiedEditor().focus();
+    }
+
+    hideCompare() {
+        this.compareModal.classList.add('hidden');
+        this.diffEditor?.setModel(null);
+        this.disposeSnapshotModel();
+        this.compareTab = null;
+        this.compareEntry = null;
+        this.app.editor?.focus();
+    }
+
+    disposeSnapshotModel() {
+        if (this.snapshotModel) {
+            this.snapshotModel.dispose();
+            this.snapshotModel = null;
+        }
+    }
+
+    // The compared tab is being closed
+    handleTabClosed(tab) {
+        if (this.compareTab === tab) {
+            this.hideCompare();
+        }
+    }
+
+    // === Restore ===
+
+    async restore(tab, entry) {
+        if (!tab || tab.readOnly || !this.app.tabs.includes(tab)) return;
+        const content = await this.readEntry(tab, entry);
+        if (content === null || !this.app.tabs.includes(tab)) return;
+
+        // Keep the cursor and scroll position, as a reload from disk does
+        const editors = [this.app.editor, this.app.splitEditor]
+            .filter(editor => editor && editor.getModel() === tab.model);
+        const viewStates = editors.map(editor => editor.saveViewState());
+        this.app.eol.setEol(tab, detectEol(content));
+        tab.model.pushEditOperations([], [{ range: tab.model.getFullModelRange(), text: content }], () => null);
+        editors.forEach((editor, i) => editor.restoreViewState(viewStates[i]));
+
+        this.app.markTabModified(tab.id);
+        this.app.activateTab(tab.id);
+    }
+}
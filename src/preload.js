@@ -3,8 +3,16 @@ const { contextBridge, ipcRenderer } = require('electron');
 // Expose protected methods to the renderer process
 contextBridge.exposeInMainWorld('electronAPI', {
     // File operations
-    readFile: (filePath) => ipcRenderer.invoke('read-file', filePath),
-    writeFile: (filePath, content) => ipcRenderer.invoke('write-file', filePath, content),
+    readFile: (filePath, encoding) => ipcRenderer.invoke('read-file', filePath, encoding),
+    readHex: (filePath) => ipcRenderer.invoke('read-hex', filePath),
+    readPreview: (filePath) => ipcRenderer.invoke('read-preview', filePath),
+    writeFile: (filePath, content, options) => ipcRenderer.invoke('write-file', filePath, content, options),
+    checkFiles: (files) => ipcRenderer.invoke('check-files', files),
+    writeBackup: (backup) => ipcRenderer.invoke('write-backup', backup),
+    deleteBackup: (key) => ipcRenderer.invoke('delete-backup', key),
+    readBackups: () => ipcRenderer.invoke('read-backups'),
+    getFileHistory: (filePath) => ipcRenderer.invoke('get-file-history', filePath),
+    readFileHistory: (filePath, id) => ipcRenderer.invoke('read-file-history', filePath, id),
     readDirectory: (dirPath) => ipcRenderer.invoke('read-directory', dirPath),
     checkFolder: (folderPath) => ipcRenderer.invoke('check-folder', folderPath),
     showSaveDialog: () => ipcRenderer.invoke('show-save-dialog'),
@@ -13,16 +21,38 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getAppVersion: () => ipcRenderer.invoke('get-app-version'),
     logEvent: (level, message) => ipcRenderer.send('renderer-log', level, message),
     getGitStatus: (folderPath) => ipcRenderer.invoke('get-git-status', folderPath),
+    getGitLineChanges: (filePath, content, encoding) => ipcRenderer.invoke('get-git-line-changes', filePath, content, encoding),
+    getGitChanges: () => ipcRenderer.invoke('get-git-changes'),
+    gitStage: (files) => ipcRenderer.invoke('git-stage', files),
+    gitUnstage: (files) => ipcRenderer.invoke('git-unstage', files),
+    gitDiscard: (files) => ipcRenderer.invoke('git-discard', files),
+    gitCommit: (message, options) => ipcRenderer.invoke('git-commit', message, options),
+    getGitHeadContent: (filePath) => ipcRenderer.invoke('get-git-head-content', filePath),
+    getGitBlame: (filePath) => ipcRenderer.invoke('get-git-blame', filePath),
+    getGitBranch: () => ipcRenderer.invoke('get-git-branch'),
+    getGitBranches: () => ipcRenderer.invoke('get-git-branches'),
+    gitCheckout: (name, options) => ipcRenderer.invoke('git-checkout', name, options),
     setOpenFolder: (folderPath) => ipcRenderer.invoke('set-open-folder', folderPath),
+    openExternal: (url) => ipcRenderer.invoke('open-external', url),
+
+    // File tree operations
+    createFile: (filePath) => ipcRenderer.invoke('create-file', filePath),
+    createFolder: (folderPath) => ipcRenderer.invoke('create-folder', folderPath),
+    renamePath: (oldPath, newPath) => ipcRenderer.invoke('rename-path', oldPath, newPath),
+    trashPath: (filePath) => ipcRenderer.invoke('trash-path', filePath),
+    duplicatePath: (filePath) => ipcRenderer.invoke('duplicate-path', filePath),
 
     // File watching
     watchFolder: (folderPath) => ipcRenderer.invoke('watch-folder', folderPath),
     unwatchFolder: () => ipcRenderer.invoke('unwatch-folder'),
     onFolderChanged: (callback) => ipcRenderer.on('folder-changed', (event, data) => callback(data)),
+    getFileIndex: (knownVersion) => ipcRenderer.invoke('get-file-index', knownVersion),
 
     // Project-wide search
     searchInFolder: (query, options) => ipcRenderer.invoke('search-in-folder', query, options),
-    onFindInFiles: (callback) => ipcRenderer.on('menu-find-in-files', callback),
+    cancelSearch: () => ipcRenderer.invoke('search-cancel'),
+    onSearchResults: (callback) => ipcRenderer.on('search-results', (event, data) => callback(data)),
+    replaceInFiles: (query, options, files) => ipcRenderer.invoke('replace-in-files', query, options, files),
 
     // Integrated terminal
     terminalCreate: (opts) => ipcRenderer.invoke('terminal-create', opts),
@@ -31,31 +61,30 @@ contextBridge.exposeInMainWorld('electronAPI', {
     terminalKill: () => ipcRenderer.invoke('terminal-kill'),
     onTerminalData: (callback) => ipcRenderer.on('terminal-data', (event, data) => callback(data)),
     onTerminalExit: (callback) => ipcRenderer.on('terminal-exit', (event, code) => callback(code)),
-    onToggleTerminal: (callback) => ipcRenderer.on('menu-toggle-terminal', callback),
 
     // Window lifecycle
     onCheckUnsaved: (callback) => ipcRenderer.on('check-unsaved-changes', (event, winId) => callback(winId)),
     sendUnsavedResult: (winId, hasUnsaved) => ipcRenderer.send(`unsaved-check-${winId}`, hasUnsaved),
     onSaveAllRequest: (callback) => ipcRenderer.on('save-all-files', (event, winId) => callback(winId)),
     sendSaveAllDone: (winId) => ipcRenderer.send(`save-all-done-${winId}`),
+    onBackupRequest: (callback) => ipcRenderer.on('backup-all', (event, winId) => callback(winId)),
+    sendBackupDone: (winId, success) => ipcRenderer.send(`backup-done-${winId}`, success),
+
+    // Native menu items run renderer commands by id
+    onRunCommand: (callback) => ipcRenderer.on('run-command', (event, commandId) => callback(commandId)),
+    showOpenDialog: (kind) => ipcRenderer.invoke('show-open-dialog', kind),
+    newWindow: () => ipcRenderer.invoke('new-window'),
+
+    // Settings (user settings.json + project .codelight/settings.json)
+    getSettings: () => ipcRenderer.invoke('get-settings'),
+    updateSetting: (key, value, target) => ipcRenderer.invoke('update-setting', key, value, target),
+    openSettingsFile: (target) => ipcRenderer.invoke('open-settings-file', target),
+    onSettingsChanged: (callback) => ipcRenderer.on('settings-changed', (event, data) => callback(data)),
 
-    // Menu event listeners
-    onNewFile: (callback) => ipcRenderer.on('menu-new-file', callback),
-    onOpenFile: (callback) => ipcRenderer.on('menu-open-file', (event, path) => callback(path)),
-    onOpenFolder: (callback) => ipcRenderer.on('menu-open-folder', (event, path) => callback(path)),
-    onSave: (callback) => ipcRenderer.on('menu-save', callback),
-    onSaveAll: (callback) => ipcRenderer.on('menu-save-all', callback),
-    onCloseTab: (callback) => ipcRenderer.on('menu-close-tab', callback),
-    onFind: (callback) => ipcRenderer.on('menu-find', callback),
-    onReplace: (callback) => ipcRenderer.on('menu-replace', callback),
-    onGoToLine: (callback) => ipcRenderer.on('menu-go-to-line', callback),
-    onToggleSidebar: (callback) => ipcRenderer.on('menu-toggle-sidebar', callback),
-    onFontIncrease: (callback) => ipcRenderer.on('menu-font-increase', callback),
-    onFontDecrease: (callback) => ipcRenderer.on('menu-font-decrease', callback),
-    onFontReset: (callback) => ipcRenderer.on('menu-font-reset', callback),
-    onToggleWordWrap: (callback) => ipcRenderer.on('menu-toggle-word-wrap', callback),
-    onQuickOpen: (callback) => ipcRenderer.on('menu-quick-open', callback),
-    onToggleSplit: (callback) => ipcRenderer.on('menu-toggle-split', callback),
+    // Keybindings (defaults + keybindings.json)
+    getKeybindings: () => ipcRenderer.invoke('get-keybindings'),
+    onKeybindingsChanged: (callback) => ipcRenderer.on('keybindings-changed', (event, data) => callback(data)),
+    openKeybindingsFile: () => ipcRenderer.invoke('open-keybindings-file'),
 
     // Remove listeners
     removeAllListeners: (channel) => ipcRenderer.removeAllListeners(channel)
@@ -7,6 +7,24 @@ import { StorageManager } from './modules/storage.js';
 import { ShortcutManager } from './modules/shortcuts.js';
 import { TerminalManager } from './modules/terminal.js';
 import { SearchManager } from './modules/search.js';
+import { fuzzyMatch } from './modules/fuzzy.js';
+import { CommandManager } from './modules/commands.js';
+import { SettingsManager } from './modules/settings.js';
+import { FileSyncManager } from './modules/file-sync.js';
+import { EncodingManager, DEFAULT_ENCODING } from './modules/encoding.js';
+import { EolManager } from './modules/eol.js';
+import { FileViewManager } from './modules/file-view.js';
+import { PreviewManager, getPreviewType } from './modules/preview.js';
+import { MarkdownPreviewManager, isMarkdownTab } from './modules/markdown-preview.js';
+import { HotExitManager } from './modules/hot-exit.js';
+import { AutoSaveManager } from './modules/auto-save.js';
+import { TimelineManager } from './modules/timeline.js';
+import { DiffManager } from './modules/diff.js';
+import { GitGutterManager } from './modules/git-gutter.js';
+import { SourceControlManager } from './modules/source-control.js';
+import { BranchManager } from './modules/branch.js';
+import { BlameManager } from './modules/blame.js';
+import { MergeConflictManager } from './modules/merge-conflicts.js';
 
 // Monaco Editor loader path for node_modules
 const MONACO_PATH = '../node_modules/monaco-editor/min/vs';
@@ -19,31 +37,52 @@ class CodeLightApp {
         this.splitTabId = null;
         this.tabs = [];
         this.activeTabId = null;
-        this.fontSize = 13;
-        this.wordWrap = 'off';
-        this.sidebarWidth = 250;
         this.openFolder = null;
 
         // Initialize managers
         this.storage = new StorageManager();
+        this.settings = new SettingsManager(this);
+        this.settings.onDidChange((changed) => this.applySettings(changed));
         this.theme = new ThemeManager(this);
         this.files = new FileManager(this);
         this.shortcuts = new ShortcutManager(this);
         this.terminal = new TerminalManager(this);
         this.search = new SearchManager(this);
+        this.commands = new CommandManager(this);
+        this.fileSync = new FileSyncManager(this);
+        this.encoding = new EncodingManager(this);
+        this.eol = new EolManager(this);
+        this.fileView = new FileViewManager(this);
+        this.preview = new PreviewManager(this);
+        this.markdownPreview = new MarkdownPreviewManager(this);
+        this.hotExit = new HotExitManager(this);
+        this.autoSave = new AutoSaveManager(this);
+        this.timeline = new TimelineManager(this);
+        this.diff = new DiffManager(this);
+        this.gitGutter = new GitGutterManager(this);
+        this.scm = new SourceControlManager(this);
+        this.branch = new BranchManager(this);
+        this.blame = new BlameManager(this);
+        this.mergeConflicts = new MergeConflictManager(this);
+
+        // Registered up front so menu items work as soon as the window loads
+        this.registerCommands();
 
         this.init();
     }
 
     async init() {
-        // Load saved preferences
-        await this.loadPreferences();
+        // Keyboard shortcuts: defaults merged with keybindings.json in main
+        await this.shortcuts.loadKeybindings();
+
+        // Load settings (user settings.json + project .codelight/settings.json)
+        await this.settings.load();
 
         // Initialize Monaco Editor
         await this.initMonaco();
 
-        // Set up menu event listeners
-        this.setupMenuListeners();
+        // Set up window lifecycle listeners
+        this.setupWindowListeners();
 
         // Set up sidebar resize functionality
         this.setupSidebarResize();
@@ -70,30 +109,67 @@ class CodeLightApp {
         }
     }
 
-    async loadPreferences() {
-        const prefs = await this.storage.get('preferences');
-        if (prefs) {
-            this.fontSize = prefs.fontSize || 13;
-            this.wordWrap = prefs.wordWrap || 'off';
-            this.sidebarWidth = prefs.sidebarWidth || 250;
-            if (prefs.theme === 'light') {
-                document.body.classList.add('light-theme');
-            }
-        }
-        // Apply stored sidebar width
-        const sidebar = document.getElementById('sidebar');
-        if (sidebar) {
-            sidebar.style.width = `${this.sidebarWidth}px`;
+    // Editor options driven by settings, shared by both Monaco instances.
+    // With a tab, includes that tab's overrides (read-only large files, ...).
+    getEditorOptions(tab = null) {
+        const get = (key) => this.settings.get(key);
+        const options = {
+            fontSize: get('editor.fontSize'),
+            fontFamily: get('editor.fontFamily'),
+            lineNumbers: get('editor.lineNumbers'),
+            minimap: { enabled: get('editor.minimap') },
+            scrollBeyondLastLine: get('editor.scrollBeyondLastLine'),
+            wordWrap: get('editor.wordWrap'),
+            folding: get('editor.folding'),
+            renderWhitespace: get('editor.renderWhitespace'),
+            cursorBlinking: get('editor.cursorBlinking')
+        };
+        return tab ? { ...options, ...this.fileView.getEditorOverrides(tab) } : options;
+    }
+
+    // Indentation is a model option in Monaco, not an editor one
+    applyModelOptions(model) {
+        const tabSize = this.settings.get('editor.tabSize');
+        const insertSpaces = this.settings.get('editor.insertSpaces');
+        if (this.settings.get('editor.detectIndentation')) {
+            model.detectIndentation(insertSpaces, tabSize);
+        } else {
+            model.updateOptions({ tabSize, insertSpaces });
         }
     }
 
-    async savePreferences() {
-        await this.storage.set('preferences', {
-            fontSize: this.fontSize,
-            wordWrap: this.wordWrap,
-            sidebarWidth: this.sidebarWidth,
-            theme: document.body.classList.contains('light-theme') ? 'light' : 'dark'
-        });
+    // Called with the keys whose effective value changed (all of them on
+    // first load)
+    applySettings(changed) {
+        const has = (prefix) => changed.some(key => key.startsWith(prefix));
+
+        if (changed.includes('workbench.colorTheme')) {
+            this.theme.setTheme(this.settings.get('workbench.colorTheme'), false);
+        }
+        if (changed.includes('workbench.sidebarWidth')) {
+            const sidebar = document.getElementById('sidebar');
+            if (sidebar) {
+                sidebar.style.width = `${this.settings.get('workbench.sidebarWidth')}px`;
+            }
+            this.editor?.layout();
+        }
+        if (has('editor.')) {
+            this.editor?.updateOptions(this.getEditorOptions(this.getActiveTab()));
+            this.splitEditor?.updateOptions(this.getEditorOptions(this.tabs.find(t => t.id === this.splitTabId)));
+            this.diff.updateOptions();
+        }
+        if (['editor.tabSize', 'editor.insertSpaces', 'editor.detectIndentation'].some(k => changed.includes(k))) {
+            this.tabs.filter(tab => tab.model).forEach(tab => this.applyModelOptions(tab.model));
+        }
+        if (has('terminal.')) {
+            this.terminal.applySettings();
+        }
+        if (changed.includes('git.inlineBlame')) {
+            this.blame.update();
+        }
+        if (changed.includes('files.exclude') && this.openFolder) {
+            this.files.refreshFileTree();
+        }
     }
 
     async initMonaco() {
@@ -157,18 +233,8 @@ class CodeLightApp {
                         value: '',
                         language: 'plaintext',
                         theme: document.body.classList.contains('light-theme') ? 'codelight-light' : 'codelight-dark',
-                        fontSize: this.fontSize,
-                        fontFamily: "'Monaco', 'Menlo', 'Ubuntu Mono', monospace",
-                        lineNumbers: 'on',
-                        minimap: { enabled: false },
-                        scrollBeyondLastLine: false,
-                        wordWrap: this.wordWrap,
+                        ...this.getEditorOptions(),
                         automaticLayout: true,
-                        folding: true,
-                        renderWhitespace: 'selection',
-                        tabSize: 2,
-                        insertSpaces: true,
-                        cursorBlinking: 'smooth',
                         cursorSmoothCaretAnimation: 'on',
                         smoothScrolling: true,
                         padding: { top: 10 }
@@ -177,6 +243,7 @@ class CodeLightApp {
                     // Track cursor position
                     this.editor.onDidChangeCursorPosition((e) => {
                         this.updateStatusBar();
+                        this.blame.updateCursorLine(this.editor);
                     });
 
                     // Track content changes
@@ -185,6 +252,12 @@ class CodeLightApp {
                             this.markTabModified(this.activeTabId);
                         }
                     });
+                    this.editor.onDidBlurEditorWidget(() => {
+                        this.autoSave.handleFocusChange(this.getActiveTab());
+                    });
+                    this.gitGutter.attach(this.editor);
+                    this.blame.attach(this.editor);
+                    this.mergeConflicts.registerActions();
 
                     // Split editor is created lazily on first use (see
                     // ensureSplitEditor) — a second Monaco instance at startup
@@ -205,25 +278,108 @@ class CodeLightApp {
         });
     }
 
-    setupMenuListeners() {
-        const { electronAPI } = window;
+    // Every user-facing action, in one place. The native menu runs these by
+    // id, and they all show up in the command palette. Keys come from main
+    // (defaults + keybindings.json), see ShortcutManager.loadKeybindings().
+    registerCommands() {
+        const c = this.commands;
+        const hasTab = () => !!this.activeTabId;
+
+        // File
+        c.register({ id: 'file.newFile', title: 'New File', category: 'File', run: () => this.createNewFile() });
+        c.register({ id: 'file.openFile', title: 'Open File...', category: 'File', run: () => this.promptOpen('file') });
+        c.register({ id: 'file.openFolder', title: 'Open Folder...', category: 'File', run: () => this.promptOpen('folder') });
+        c.register({ id: 'file.save', title: 'Save', category: 'File', when: hasTab, run: () => this.saveCurrentFile() });
+        c.register({ id: 'file.saveAll', title: 'Save All', category: 'File', run: () => this.saveAllFiles() });
+        c.register({ id: 'file.closeTab', title: 'Close Tab', category: 'File', when: hasTab, run: () => this.closeActiveTab() });
+        c.register({ id: 'file.closeOtherTabs', title: 'Close Other Tabs', category: 'File', when: hasTab, run: () => this.closeAllTabsExcept(this.activeTabId) });
+        c.register({ id: 'file.closeAllTabs', title: 'Close All Tabs', category: 'File', when: hasTab, run: () => this.closeAllTabs() });
+        c.register({ id: 'file.reopenWithEncoding', title: 'Reopen with Encoding...', category: 'File', when: () => !!this.getActiveTab()?.path, run: () => this.encoding.pickEncoding('reopen') });
+        c.register({ id: 'file.saveWithEncoding', title: 'Save with Encoding...', category: 'File', when: hasTab, run: () => this.encoding.pickEncoding('save') });
+        c.register({ id: 'window.new', title: 'New Window', category: 'File', run: () => window.electronAPI.newWindow() });
+        const hasTextTab = () => !!this.getActiveTab()?.model;
+        c.register({ id: 'diff.compareActiveWith', title: 'Compare Active File With...', category: 'File', when: () => hasTextTab() && !!this.getActiveTab().path, run: () => this.diff.compareWith(this.getActiveTab().path) });
+        c.register({ id: 'diff.compareWithSaved', title: 'Compare Active File with Saved', category: 'File', when: () => hasTextTab() && !!this.getActiveTab().path, run: () => this.diff.compareWithSaved(this.getActiveTab()) });
+        c.register({ id: 'diff.compareWithClipboard', title: 'Compare Active File with Clipboard', category: 'File', when: hasTextTab, run: () => this.diff.compareWithClipboard(this.getActiveTab()) });
+
+        // Edit / search
+        c.register({ id: 'edit.changeEol', title: 'Change End of Line Sequence...', category: 'Edit', when: hasTab, run: () => this.eol.showMenu() });
+        c.register({ id: 'edit.setEolLf', title: 'Change End of Line Sequence to LF', category: 'Edit', when: hasTab, run: () => this.eol.setEol(this.getActiveTab(), '\n') });
+        c.register({ id: 'edit.setEolCrlf', title: 'Change End of Line Sequence to CRLF', category: 'Edit', when: hasTab, run: () => this.eol.setEol(this.getActiveTab(), '\r\n') });
+        c.register({ id: 'edit.find', title: 'Find', category: 'Edit', when: hasTab, run: () => this.editor?.getAction('actions.find')?.run() });
+        c.register({ id: 'edit.replace', title: 'Replace', category: 'Edit', when: hasTab, run: () => this.editor?.getAction('editor.action.startFindReplaceAction')?.run() });
+        c.register({ id: 'search.findInFiles', title: 'Find in Files', category: 'Search', run: () => this.search.openSearch() });
+
+        // Explorer (act on the file tree selection)
+        const hasFolder = () => !!this.openFolder;
+        const hasSelection = () => hasFolder() && !!this.files.selectedPath;
+        const inExplorer = (fn) => () => {
+            this.showSidebarView('explorer');
+            return fn();
+        };
+        c.register({ id: 'explorer.newFile', title: 'New File in Explorer...', category: 'Explorer', when: hasFolder, run: inExplorer(() => this.files.startCreate(this.files.getSelectedFolder(), 'file')) });
+        c.register({ id: 'explorer.newFolder', title: 'New Folder...', category: 'Explorer', when: hasFolder, run: inExplorer(() => this.files.startCreate(this.files.getSelectedFolder(), 'folder')) });
+        c.register({ id: 'explorer.rename', title: 'Rename', category: 'Explorer', when: hasSelection, run: inExplorer(() => this.files.startRename(this.files.selectedPath)) });
+        c.register({ id: 'explorer.duplicate', title: 'Duplicate', category: 'Explorer', when: hasSelection, run: () => this.files.duplicatePath(this.files.selectedPath) });
+        c.register({ id: 'explorer.delete', title: 'Delete', category: 'Explorer', when: hasSelection, run: () => this.files.deleteFile(this.files.selectedPath, this.files.selectedIsDirectory) });
+
+        // Source control (changes in the open folder's repository)
+        const inRepository = () => !!this.scm.changes;
+        c.register({ id: 'git.commit', title: 'Commit', category: 'Git', when: inRepository, run: () => this.scm.commit() });
+        c.register({ id: 'git.stageAll', title: 'Stage All Changes', category: 'Git', when: inRepository, run: () => this.scm.stage(this.scm.changes.unstaged) });
+        c.register({ id: 'git.unstageAll', title: 'Unstage All Changes', category: 'Git', when: inRepository, run: () => this.scm.unstage(this.scm.changes.staged) });
+        c.register({ id: 'git.checkout', title: 'Checkout to...', category: 'Git', when: () => !!this.branch.info, run: () => this.branch.showPicker() });
+        c.register({ id: 'git.toggleBlame', title: 'Toggle Blame', category: 'Git', run: () => this.blame.toggleGutter() });
+        c.register({ id: 'git.refresh', title: 'Refresh', category: 'Git', when: hasFolder, run: () => this.scm.handleGitChanged() });
+
+        // Merge conflicts (blocks of <<<<<<< / ======= / >>>>>>> in the active file)
+        c.register({ id: 'merge.nextConflict', title: 'Next Conflict', category: 'Merge Conflict', when: hasTab, run: () => this.mergeConflicts.goToConflict(1) });
+        c.register({ id: 'merge.previousConflict', title: 'Previous Conflict', category: 'Merge Conflict', when: hasTab, run: () => this.mergeConflicts.goToConflict(-1) });
+
+        // Go
+        c.register({ id: 'go.quickOpen', title: 'Go to File...', category: 'Go', run: () => this.showQuickOpen() });
+        c.register({ id: 'editor.goToLine', title: 'Go to Line...', category: 'Go', when: hasTab, run: () => this.showGoToLine() });
+
+        // View
+        c.register({ id: 'workbench.commandPalette', title: 'Show All Commands', category: 'View', run: () => this.commands.showPalette() });
+        c.register({ id: 'view.toggleSidebar', title: 'Toggle Sidebar', category: 'View', run: () => this.toggleSidebar() });
+        c.register({ id: 'view.showExplorer', title: 'Show Explorer', category: 'View', run: () => this.showSidebarView('explorer') });
+        c.register({ id: 'view.showSearch', title: 'Show Search', category: 'View', run: () => this.search.openSearch() });
+        c.register({ id: 'view.showSourceControl', title: 'Show Source Control', category: 'View', run: () => this.scm.open() });
+        c.register({ id: 'view.fontIncrease', title: 'Increase Font Size', category: 'View', run: () => this.changeFontSize(1) });
+        c.register({ id: 'view.fontDecrease', title: 'Decrease Font Size', category: 'View', run: () => this.changeFontSize(-1) });
+        c.register({ id: 'view.fontReset', title: 'Reset Font Size', category: 'View', run: () => this.resetFontSize() });
+        c.register({ id: 'view.toggleWordWrap', title: 'Toggle Word Wrap', category: 'View', run: () => this.toggleWordWrap() });
+        c.register({ id: 'view.toggleSplit', title: 'Toggle Split View', category: 'View', when: () => this.isSplitView || hasTab(), run: () => this.toggleSplitView() });
+        c.register({ id: 'markdown.showPreviewToSide', title: 'Open Preview to the Side', category: 'Markdown', when: () => isMarkdownTab(this.getActiveTab()), run: () => this.markdownPreview.open() });
+        const inDiff = () => this.getActiveTab()?.kind === 'diff';
+        c.register({ id: 'diff.nextChange', title: 'Go to Next Change', category: 'Diff', when: inDiff, run: () => this.diff.goToChange(1) });
+        c.register({ id: 'diff.previousChange', title: 'Go to Previous Change', category: 'Diff', when: inDiff, run: () => this.diff.goToChange(-1) });
+        c.register({ id: 'diff.toggleInline', title: 'Toggle Inline View', category: 'Diff', when: inDiff, run: () => this.diff.toggleInline() });
+        c.register({ id: 'view.toggleTheme', title: 'Toggle Light/Dark Theme', category: 'View', run: () => this.theme.toggleTheme() });
+
+        // Terminal
+        c.register({ id: 'terminal.toggle', title: 'Toggle Terminal', category: 'Terminal', run: () => this.terminal.toggle() });
+        c.register({ id: 'terminal.kill', title: 'Kill Terminal', category: 'Terminal', when: () => this.terminal.shellAlive, run: () => this.terminal.kill() });
+
+        // Preferences
+        c.register({ id: 'workbench.openSettings', title: 'Open Settings', category: 'Preferences', run: () => this.settings.show() });
+        c.register({ id: 'workbench.openUserSettingsJson', title: 'Open User Settings (JSON)', category: 'Preferences', run: () => this.settings.openSettingsFile('user') });
+        c.register({ id: 'workbench.openProjectSettingsJson', title: 'Open Project Settings (JSON)', category: 'Preferences', when: () => !!this.openFolder, run: () => this.settings.openSettingsFile('project') });
+        c.register({ id: 'workbench.openKeybindings', title: 'Open Keyboard Shortcuts (JSON)', category: 'Preferences', run: () => this.openKeybindingsFile() });
+    }
+
+    async openKeybindingsFile() {
+        const result = await window.electronAPI.openKeybindingsFile();
+        if (result.success) {
+            await this.openFile(result.path);
+        } else {
+            window.electronAPI.logEvent('error', `open keybindings.json failed: ${result.error}`);
+        }
+    }
 
-        electronAPI.onNewFile(() => this.createNewFile());
-        electronAPI.onOpenFile((path) => this.openFile(path));
-        electronAPI.onOpenFolder((path) => this.files.openFolder(path));
-        electronAPI.onSave(() => this.saveCurrentFile());
-        electronAPI.onSaveAll(() => this.saveAllFiles());
-        electronAPI.onCloseTab(() => this.closeActiveTab());
-        electronAPI.onFind(() => this.editor?.getAction('actions.find')?.run());
-        electronAPI.onReplace(() => this.editor?.getAction('editor.action.startFindReplaceAction')?.run());
-        electronAPI.onGoToLine(() => this.showGoToLine());
-        electronAPI.onToggleSidebar(() => this.toggleSidebar());
-        electronAPI.onFontIncrease(() => this.changeFontSize(1));
-        electronAPI.onFontDecrease(() => this.changeFontSize(-1));
-        electronAPI.onFontReset(() => this.resetFontSize());
-        electronAPI.onToggleWordWrap(() => this.toggleWordWrap());
-        electronAPI.onQuickOpen(() => this.showQuickOpen());
-        electronAPI.onToggleSplit(() => this.toggleSplitView());
+    setupWindowListeners() {
+        const { electronAPI } = window;
 
         // Window close lifecycle: respond to unsaved check and save-all requests from main
         electronAPI.onCheckUnsaved((winId) => {
@@ -261,7 +417,6 @@ class CodeLightApp {
             const deltaX = e.clientX - startX;
             const newWidth = Math.min(600, Math.max(150, startWidth + deltaX));
             sidebar.style.width = `${newWidth}px`;
-            this.sidebarWidth = newWidth;
 
             // Trigger editor layout update
             if (this.editor) {
@@ -275,7 +430,7 @@ class CodeLightApp {
                 handle.classList.remove('resizing');
                 document.body.style.cursor = '';
                 document.body.style.userSelect = '';
-                this.savePreferences();
+                this.settings.update('workbench.sidebarWidth', sidebar.offsetWidth);
             }
         };
 
@@ -296,7 +451,7 @@ class CodeLightApp {
         let startLeftWidth = 0;
 
         const onMouseDown = (e) => {
-            if (!this.isSplitView) return;
+            if (!this.isSplitView && !this.markdownPreview.isOpen()) return;
             isResizing = true;
             startX = e.clientX;
             startLeftWidth = leftPane.offsetWidth;
@@ -339,7 +494,15 @@ class CodeLightApp {
 
     // === Tab Management ===
 
-    createTab(filePath, content, isNew = false) {
+    // `file` is what readTabFile returned: the file's state on disk when it
+    // was read (see FileSyncManager), the encoding it was decoded with,
+    // whether it's a large or binary file (see FileViewManager), and for
+    // images, SVGs and PDFs the preview (see PreviewManager).
+    // Tabs are kind 'editor' or 'preview'; image and PDF previews have no
+    // Monaco model.
+    createTab(filePath, content, isNew = false, file = {}) {
+        const { disk = null, encoding = DEFAULT_ENCODING, large = false, binary = false, truncated = false, size = null, preview = null } = file;
+        const hasModel = !preview || preview.type === 'svg';
         const id = Date.now().toString();
         const name = isNew ? 'untitled' : filePath.split('/').pop();
 
@@ -349,8 +512,25 @@ class CodeLightApp {
             path: isNew ? null : filePath,
             content,
             modified: false,
-            model: monaco.editor.createModel(content, this.detectLanguage(name))
+            disk,
+            encoding,
+            conflict: null,
+            large,
+            binary,
+            hex: false,
+            truncated,
+            size,
+            readOnly: large || binary || !hasModel,
+            kind: preview ? 'preview' : 'editor',
+            preview,
+            // Plain text skips tokenization for files too big to highlight
+            model: hasModel
+                ? monaco.editor.createModel(content, large || binary ? 'plaintext' : this.detectLanguage(name))
+                : null
         };
+        if (tab.model) {
+            this.applyModelOptions(tab.model);
+        }
 
         this.tabs.push(tab);
         this.renderTabs();
@@ -359,6 +539,10 @@ class CodeLightApp {
         return tab;
     }
 
+    getActiveTab() {
+        return this.tabs.find(t => t.id === this.activeTabId) || null;
+    }
+
     activateTab(id) {
         const tab = this.tabs.find(t => t.id === id);
         if (!tab) return;
@@ -366,7 +550,10 @@ class CodeLightApp {
         // Save current tab state before switching
         if (this.activeTabId) {
             const currentTab = this.tabs.find(t => t.id === this.activeTabId);
-            if (currentTab) {
+            if (currentTab && currentTab !== tab) {
+                this.autoSave.handleFocusChange(currentTab);
+            }
+            if (currentTab?.model && this.editor.getModel() === currentTab.model) {
                 currentTab.content = this.editor.getValue();
                 // Save view state (scroll position, cursor position, selections)
                 currentTab.viewState = this.editor.saveViewState();
@@ -374,6 +561,8 @@ class CodeLightApp {
         }
 
         this.activeTabId = id;
+        this.editor.updateOptions(this.getEditorOptions(tab));
+        // null for image and PDF previews
         this.editor.setModel(tab.model);
 
         // Restore view state if available
@@ -387,10 +576,8 @@ class CodeLightApp {
     }
 
     async closeTab(id) {
-        const index = this.tabs.findIndex(t => t.id === id);
-        if (index === -1) return;
-
-        const tab = this.tabs[index];
+        const tab = this.tabs.find(t => t.id === id);
+        if (!tab) return;
 
         // Prompt to save if file has unsaved changes
         if (tab.modified) {
@@ -406,13 +593,12 @@ class CodeLightApp {
 
                 if (result.response === 0) {
                     // Save
-                    const content = tab.model.getValue();
                     if (tab.path) {
-                        await window.electronAPI.writeFile(tab.path, content);
+                        if (!await this.saveTab(tab)) return;
                     } else {
                         const saveResult = await window.electronAPI.showSaveDialog();
                         if (saveResult.canceled) return; // User cancelled, don't close
-                        await window.electronAPI.writeFile(saveResult.filePath, content);
+                        if (!await this.fileSync.save(tab, tab.model.getValue(), saveResult.filePath)) return;
                     }
                 } else if (result.response === 2) {
                     // Cancel - don't close the tab
@@ -425,6 +611,13 @@ class CodeLightApp {
             }
         }
 
+        // Diffs against this tab's buffer go with it
+        for (const diffTab of this.diff.getTabsShowing(tab)) {
+            await this.closeTab(diffTab.id);
+        }
+        const index = this.tabs.indexOf(tab);
+        if (index === -1) return;
+
         // If this tab is in split view, detach the model from split editor before disposing
         if (this.splitTabId === id) {
             this.splitEditor.setModel(null);
@@ -436,7 +629,16 @@ class CodeLightApp {
             this.editor.setModel(null);
         }
 
-        tab.model.dispose();
+        this.fileSync.handleTabClosed(tab);
+        this.markdownPreview.handleTabClosed(tab);
+        this.autoSave.handleTabClosed(tab);
+        this.timeline.handleTabClosed(tab);
+        this.gitGutter.handleTabClosed(tab);
+        this.blame.handleTabClosed(tab);
+        this.mergeConflicts.handleTabClosed(tab);
+        this.preview.dispose(tab);
+        this.diff.dispose(tab);
+        tab.model?.dispose();
         this.tabs.splice(index, 1);
 
         if (this.activeTabId === id) {
@@ -462,6 +664,11 @@ class CodeLightApp {
 
     markTabModified(id) {
         const tab = this.tabs.find(t => t.id === id);
+        this.hotExit.schedule();
+        this.autoSave.handleEdit(tab);
+        this.gitGutter.handleEdit(tab);
+        this.blame.handleEdit(tab);
+        this.mergeConflicts.handleEdit(tab);
         if (tab && !tab.modified) {
             tab.modified = true;
             this.renderTabs();
@@ -471,11 +678,16 @@ class CodeLightApp {
     renderTabs() {
         const container = document.getElementById('tabs');
         container.innerHTML = '';
+        // Tabs were saved, closed or changed: backups follow
+        this.hotExit.schedule();
 
         this.tabs.forEach(tab => {
             const tabEl = document.createElement('div');
             const isSplit = this.isSplitView && tab.id === this.splitTabId;
-            tabEl.className = `tab ${tab.id === this.activeTabId ? 'active' : ''} ${tab.modified ? 'modified' : ''} ${isSplit ? 'split' : ''}`;
+            tabEl.className = `tab ${tab.kind} ${tab.id === this.activeTabId ? 'active' : ''} ${tab.modified ? 'modified' : ''} ${tab.conflict ? 'conflict' : ''} ${isSplit ? 'split' : ''}`;
+            if (tab.conflict) {
+                tabEl.title = 'Changed on disk';
+            }
             const tabNameEl = document.createElement('span');
             tabNameEl.className = 'tab-name';
             tabNameEl.textContent = tab.name;
@@ -511,6 +723,22 @@ class CodeLightApp {
 
             container.appendChild(tabEl);
         });
+
+        this.fileSync.updateBar();
+        this.updateEditorArea();
+    }
+
+    // Binary placeholders and image/PDF previews take the editor's place
+    updateEditorArea() {
+        const placeholder = this.fileView.update();
+        const preview = this.preview.update();
+        const diff = this.diff.update();
+        document.getElementById('editor-container').classList.toggle('hidden', placeholder || preview || diff);
+        this.markdownPreview.updateTitle();
+        this.timeline.update();
+        this.gitGutter.update();
+        this.blame.update();
+        this.mergeConflicts.update();
     }
 
     showTabContextMenu(x, y, tabId) {
@@ -553,24 +781,63 @@ class CodeLightApp {
         });
         menu.appendChild(closeAllItem);
 
-        // Separator
-        const separator = document.createElement('div');
-        separator.className = 'context-menu-separator';
-        menu.appendChild(separator);
+        // Image and PDF previews can't go in the split editor
+        if (this.tabs.find(t => t.id === tabId)?.model) {
+            // Separator
+            const separator = document.createElement('div');
+            separator.className = 'context-menu-separator';
+            menu.appendChild(separator);
+
+            // Open in Split View option
+            const splitItem = document.createElement('div');
+            splitItem.className = 'context-menu-item';
+            splitItem.textContent = this.isSplitView && this.splitTabId === tabId ? 'Close Split View' : 'Open in Split View';
+            splitItem.addEventListener('click', () => {
+                if (this.isSplitView && this.splitTabId === tabId) {
+                    this.closeSplitView();
+                } else {
+                    this.openInSplitView(tabId);
+                }
+                menu.remove();
+            });
+            menu.appendChild(splitItem);
+
+            const tab = this.tabs.find(t => t.id === tabId);
+            if (isMarkdownTab(tab)) {
+                const previewItem = document.createElement('div');
+                previewItem.className = 'context-menu-item';
+                previewItem.textContent = this.markdownPreview.tab === tab ? 'Close Preview' : 'Open Preview to the Side';
+                previewItem.addEventListener('click', () => {
+                    if (this.markdownPreview.tab === tab) {
+                        this.markdownPreview.close();
+                    } else {
+                        this.markdownPreview.open(tab);
+                    }
+                    menu.remove();
+                });
+                menu.appendChild(previewItem);
+            }
 
-        // Open in Split View option
-        const splitItem = document.createElement('div');
-        splitItem.className = 'context-menu-item';
-        splitItem.textContent = this.isSplitView && this.splitTabId === tabId ? 'Close Split View' : 'Open in Split View';
-        splitItem.addEventListener('click', () => {
-            if (this.isSplitView && this.splitTabId === tabId) {
-                this.closeSplitView();
-            } else {
-                this.openInSplitView(tabId);
+            const compareSeparator = document.createElement('div');
+            compareSeparator.className = 'context-menu-separator';
+            menu.appendChild(compareSeparator);
+
+            const compareItems = [
+                tab.path && { label: 'Compare with...', run: () => this.diff.compareWith(tab.path) },
+                tab.path && tab.modified && { label: 'Compare with Saved', run: () => this.diff.compareWithSaved(tab) },
+                { label: 'Compare with Clipboard', run: () => this.diff.compareWithClipboard(tab) }
+            ].filter(Boolean);
+            for (const { label, run } of compareItems) {
+                const item = document.createElement('div');
+                item.className = 'context-menu-item';
+                item.textContent = label;
+                item.addEventListener('click', () => {
+                    menu.remove();
+                    run();
+                });
+                menu.appendChild(item);
             }
-            menu.remove();
-        });
-        menu.appendChild(splitItem);
+        }
 
         document.body.appendChild(menu);
 
@@ -598,6 +865,39 @@ class CodeLightApp {
         }
     }
 
+    // Called by the file tree after a rename or move: tabs for the path (or
+    // anything under a moved folder) keep their models, just retargeted
+    handlePathRenamed(oldPath, newPath) {
+        let changed = false;
+        for (const tab of this.tabs) {
+            if (!tab.path) continue;
+            if (tab.path !== oldPath && !tab.path.startsWith(`${oldPath}/`)) continue;
+            tab.path = newPath + tab.path.slice(oldPath.length);
+            tab.name = tab.path.split('/').pop();
+            if (tab.model && !tab.readOnly) {
+                monaco.editor.setModelLanguage(tab.model, this.detectLanguage(tab.name));
+            }
+            changed = true;
+        }
+        if (changed) {
+            this.renderTabs();
+            this.updateStatusBar();
+            this.saveSession();
+        }
+    }
+
+    // Called after the file tree trashes a path. Unmodified tabs close;
+    // modified ones stay open so their changes can still be saved elsewhere.
+    handlePathDeleted(deletedPath) {
+        const affected = this.tabs.filter(t => t.path &&
+            (t.path === deletedPath || t.path.startsWith(`${deletedPath}/`)));
+        for (const tab of affected) {
+            if (!tab.modified) {
+                this.closeTab(tab.id);
+            }
+        }
+    }
+
     // === Split View ===
 
     ensureSplitEditor() {
@@ -606,18 +906,8 @@ class CodeLightApp {
             value: '',
             language: 'plaintext',
             theme: document.body.classList.contains('light-theme') ? 'codelight-light' : 'codelight-dark',
-            fontSize: this.fontSize,
-            fontFamily: "'Monaco', 'Menlo', 'Ubuntu Mono', monospace",
-            lineNumbers: 'on',
-            minimap: { enabled: false },
-            scrollBeyondLastLine: false,
-            wordWrap: this.wordWrap,
+            ...this.getEditorOptions(),
             automaticLayout: true,
-            folding: true,
-            renderWhitespace: 'selection',
-            tabSize: 2,
-            insertSpaces: true,
-            cursorBlinking: 'smooth',
             cursorSmoothCaretAnimation: 'on',
             smoothScrolling: true,
             padding: { top: 10 }
@@ -628,12 +918,23 @@ class CodeLightApp {
                 this.markTabModified(this.splitTabId);
             }
         });
+        this.splitEditor.onDidBlurEditorWidget(() => {
+            this.autoSave.handleFocusChange(this.tabs.find(t => t.id === this.splitTabId));
+        });
+        this.splitEditor.onDidChangeCursorPosition(() => {
+            this.blame.updateCursorLine(this.splitEditor);
+        });
+        this.gitGutter.attach(this.splitEditor);
+        this.blame.attach(this.splitEditor);
     }
 
     openInSplitView(tabId) {
         const tab = this.tabs.find(t => t.id === tabId);
-        if (!tab) return;
+        // Image and PDF previews have nothing to put in an editor
+        if (!tab || !tab.model) return;
 
+        // The split editor takes the Markdown preview's place
+        this.markdownPreview.close();
         this.ensureSplitEditor();
 
         // Save current split editor state if there was one
@@ -655,6 +956,7 @@ class CodeLightApp {
         this.splitTabId = tabId;
 
         // Set the model in split editor
+        this.splitEditor.updateOptions(this.getEditorOptions(tab));
         this.splitEditor.setModel(tab.model);
 
         // Restore view state if available
@@ -717,6 +1019,16 @@ class CodeLightApp {
 
     // === File Operations ===
 
+    async promptOpen(kind) {
+        const result = await window.electronAPI.showOpenDialog(kind);
+        if (result.canceled || result.filePaths.length === 0) return;
+        if (kind === 'folder') {
+            await this.files.openFolder(result.filePaths[0]);
+        } else {
+            await this.openFile(result.filePaths[0]);
+        }
+    }
+
     createNewFile() {
         this.createTab('untitled', '', true);
     }
@@ -729,9 +1041,9 @@ class CodeLightApp {
             return;
         }
 
-        const result = await window.electronAPI.readFile(filePath);
+        const result = await this.readTabFile(filePath);
         if (result.success) {
-            this.createTab(filePath, result.content);
+            this.createTab(filePath, result.content ?? '', false, result);
             this.files.addToRecent(filePath);
             this.saveSession();
         } else {
@@ -746,19 +1058,30 @@ class CodeLightApp {
         }
     }
 
+    // readFile, or the preview loader for images, SVGs and PDFs
+    readTabFile(filePath) {
+        const previewType = getPreviewType(filePath);
+        return previewType
+            ? this.preview.load(filePath, previewType)
+            : window.electronAPI.readFile(filePath);
+    }
+
+    // Returns true once the active tab is written
     async saveCurrentFile() {
-        if (!this.activeTabId) return;
+        if (!this.activeTabId) return false;
 
-        const tab = this.tabs.find(t => t.id === this.activeTabId);
-        if (!tab) return;
+        let tab = this.tabs.find(t => t.id === this.activeTabId);
+        // A diff saves the file on its right-hand side
+        if (tab?.kind === 'diff') tab = tab.diff.target;
+        // Large files may be only partly loaded; never write them back
+        if (!tab || tab.readOnly) return false;
 
-        const content = this.editor.getValue();
         const isNewFile = !tab.path;
 
         if (!tab.path) {
             // New file - show save dialog
             const result = await window.electronAPI.showSaveDialog();
-            if (result.canceled) return;
+            if (result.canceled) return false;
             tab.path = result.filePath;
             tab.name = result.filePath.split('/').pop();
 
@@ -767,34 +1090,54 @@ class CodeLightApp {
             monaco.editor.setModelLanguage(tab.model, newLang);
         }
 
+        if (!await this.saveTab(tab)) return false;
+
+        this.renderTabs();
+        this.saveSession();
+
+        // If this was a new file saved into the open folder, refresh the tree
+        // so the file appears — but do it ourselves with state preserved
+        if (isNewFile && this.openFolder && tab.path.startsWith(this.openFolder)) {
+            await this.files.refreshFileTree();
+        }
+        return true;
+    }
+
+    // Write a tab that has a path (Save, Save All and auto-save all end up
+    // here). Returns false if it wasn't saved.
+    async saveTab(tab) {
+        // One write per tab at a time: a second one would go out with the
+        // disk state from before the first and look like a conflict
+        while (tab.saving) await tab.saving;
+
+        // Lines are joined with the tab's own line ending (see EolManager)
+        const content = tab.model.getValue();
+        const version = tab.model.getAlternativeVersionId();
+
         // Suppress watcher so the write doesn't trigger a tree re-render
         this.files.suppressWatcher();
-        const writeResult = await window.electronAPI.writeFile(tab.path, content);
-        if (writeResult.success) {
-            tab.modified = false;
-            tab.content = content;
-            this.renderTabs();
-            this.saveSession();
-
-            // If this was a new file saved into the open folder, refresh the tree
-            // so the file appears — but do it ourselves with state preserved
-            if (isNewFile && this.openFolder && tab.path.startsWith(this.openFolder)) {
-                await this.files.refreshFileTree();
-            }
+        tab.saving = this.fileSync.save(tab, content);
+        let saved;
+        try {
+            saved = await tab.saving;
+        } finally {
+            tab.saving = null;
         }
+        if (!saved) return false;
+
+        tab.content = content;
+        // Edits made while the write was in flight are still unsaved
+        tab.modified = tab.model.getAlternativeVersionId() !== version;
+        this.timeline.handleSaved(tab);
+        this.gitGutter.handleSaved(tab);
+        this.blame.handleSaved(tab);
+        return true;
     }
 
     async saveAllFiles() {
-        // Suppress watcher so writes don't trigger tree re-renders
-        this.files.suppressWatcher();
         for (const tab of this.tabs) {
             if (tab.modified && tab.path) {
-                const content = tab.model.getValue();
-                const result = await window.electronAPI.writeFile(tab.path, content);
-                if (result.success) {
-                    tab.modified = false;
-                    tab.content = content;
-                }
+                await this.saveTab(tab);
             }
         }
         this.renderTabs();
@@ -806,25 +1149,20 @@ class CodeLightApp {
 
     // === Editor Settings ===
 
+    // These write settings; applySettings() updates the editors
+
     changeFontSize(delta) {
-        this.fontSize = Math.max(8, Math.min(32, this.fontSize + delta));
-        this.editor.updateOptions({ fontSize: this.fontSize });
-        if (this.splitEditor) this.splitEditor.updateOptions({ fontSize: this.fontSize });
-        this.savePreferences();
+        const fontSize = Math.max(8, Math.min(32, this.settings.get('editor.fontSize') + delta));
+        this.settings.update('editor.fontSize', fontSize);
     }
 
     resetFontSize() {
-        this.fontSize = 13;
-        this.editor.updateOptions({ fontSize: this.fontSize });
-        if (this.splitEditor) this.splitEditor.updateOptions({ fontSize: this.fontSize });
-        this.savePreferences();
+        this.settings.update('editor.fontSize', null);
     }
 
     toggleWordWrap() {
-        this.wordWrap = this.wordWrap === 'off' ? 'on' : 'off';
-        this.editor.updateOptions({ wordWrap: this.wordWrap });
-        if (this.splitEditor) this.splitEditor.updateOptions({ wordWrap: this.wordWrap });
-        this.savePreferences();
+        const wordWrap = this.settings.get('editor.wordWrap') === 'off' ? 'on' : 'off';
+        this.settings.update('editor.wordWrap', wordWrap);
     }
 
     toggleSidebar() {
@@ -833,6 +1171,14 @@ class CodeLightApp {
         this.editor.layout();
     }
 
+    // Reveal the sidebar (if hidden) on the given view
+    showSidebarView(view) {
+        if (document.getElementById('sidebar').classList.contains('hidden')) {
+            this.toggleSidebar();
+        }
+        this.search.switchView(view);
+    }
+
     // === UI Updates ===
 
     updateStatusBar() {
@@ -844,12 +1190,21 @@ class CodeLightApp {
                 `Ln ${position.lineNumber}, Col ${position.column}`;
         }
 
+        const tab = this.getActiveTab();
         if (model) {
             const lang = model.getLanguageId();
             document.getElementById('status-language').textContent =
                 this.getLanguageDisplayName(lang);
+        } else if (tab?.kind === 'preview') {
+            document.getElementById('status-language').textContent = this.preview.getTypeName(tab);
+        } else if (tab?.kind === 'diff') {
+            document.getElementById('status-language').textContent = 'Diff';
         }
 
+        this.encoding.updateStatus(tab);
+        this.eol.updateStatus(tab);
+        this.mergeConflicts.updateStatus(tab);
+
         // Update folder name in status bar
         const folderEl = document.getElementById('status-folder');
         if (this.openFolder) {
@@ -939,6 +1294,52 @@ class CodeLightApp {
         setTimeout(() => document.addEventListener('click', closeMenu), 0);
     }
 
+    // Small menu opening upwards from a status bar item. `items` are
+    // { label, run, checked?, disabled? }, or null for a separator.
+    showStatusMenu(anchor, items) {
+        const existing = document.querySelector('.context-menu');
+        if (existing) existing.remove();
+
+        const rect = anchor.getBoundingClientRect();
+        const menu = document.createElement('div');
+        menu.className = 'context-menu status-menu';
+        menu.style.left = `${rect.left}px`;
+        menu.style.bottom = `${window.innerHeight - rect.top + 2}px`;
+
+        for (const item of items) {
+            const el = document.createElement('div');
+            if (!item) {
+                el.className = 'context-menu-separator';
+            } else {
+                el.className = `context-menu-item${item.checked ? ' checked' : ''}${item.disabled ? ' disabled' : ''}`;
+                el.textContent = item.label;
+                if (!item.disabled) {
+                    el.addEventListener('click', () => {
+                        menu.remove();
+                        item.run();
+                    });
+                }
+            }
+            menu.appendChild(el);
+        }
+
+        document.body.appendChild(menu);
+
+        // Keep the menu on screen when the item sits at the right edge
+        const overflow = menu.getBoundingClientRect().right - window.innerWidth;
+        if (overflow > 0) {
+            menu.style.left = `${Math.max(0, rect.left - overflow - 4)}px`;
+        }
+
+        const closeMenu = (e) => {
+            if (!menu.contains(e.target)) {
+                menu.remove();
+                document.removeEventListener('click', closeMenu);
+            }
+        };
+        setTimeout(() => document.addEventListener('click', closeMenu), 0);
+    }
+
     updateEmptyState() {
         const container = document.getElementById('editor-container');
         if (this.tabs.length === 0) {
@@ -988,7 +1389,9 @@ class CodeLightApp {
         modal.addEventListener('click', onBackdropClick);
     }
 
-    showQuickOpen() {
+    // Also the file picker for other features: `onPick` gets the chosen
+    // file's path instead of it being opened
+    async showQuickOpen({ placeholder = 'Search files by name or path...', onPick = (filePath) => this.openFile(filePath) } = {}) {
         if (!this.openFolder) return;
 
         const modal = document.getElementById('quick-open-modal');
@@ -996,11 +1399,11 @@ class CodeLightApp {
         const results = document.getElementById('quick-open-results');
 
         modal.classList.remove('hidden');
+        input.placeholder = placeholder;
         input.value = '';
         while (results.firstChild) results.removeChild(results.firstChild);
         input.focus();
 
-        let allFiles = [];
         let selectedIndex = 0;
         let cancelled = false;
 
@@ -1013,55 +1416,76 @@ class CodeLightApp {
             this.editor?.focus();
         };
 
-        // Collect all files recursively
-        const collectFiles = async (dirPath, prefix = '') => {
-            if (cancelled) return;
-            const result = await window.electronAPI.readDirectory(dirPath);
-            if (result.success) {
-                for (const item of result.items) {
-                    if (cancelled) return;
-                    if (!item.isDirectory) {
-                        allFiles.push({
-                            name: item.name,
-                            path: item.path,
-                            display: prefix + item.name
-                        });
-                    } else if (!item.name.startsWith('.') && item.name !== 'node_modules') {
-                        await collectFiles(item.path, prefix + item.name + '/');
-                    }
-                }
+        const folder = this.openFolder;
+        const toAbsolute = (relPath) => `${folder}/${relPath}`;
+
+        // Recently opened files float to the top, most recent first
+        const recentRank = new Map();
+        this.files.recentFiles.forEach((filePath, i) => {
+            if (filePath.startsWith(folder + '/')) {
+                recentRank.set(filePath.slice(folder.length + 1), i);
             }
+        });
+
+        // Wrap matched characters of `text` (offset into the full path) in spans
+        const highlight = (el, text, positions, offset) => {
+            let last = 0;
+            for (const pos of positions) {
+                const i = pos - offset;
+                if (i < 0 || i >= text.length) continue;
+                if (i > last) el.appendChild(document.createTextNode(text.slice(last, i)));
+                const mark = document.createElement('span');
+                mark.className = 'quick-open-match';
+                mark.textContent = text[i];
+                el.appendChild(mark);
+                last = i + 1;
+            }
+            if (last < text.length) el.appendChild(document.createTextNode(text.slice(last)));
         };
 
-        collectFiles(this.openFolder).then(() => {
-            if (!cancelled) renderResults('');
-        });
+        let allFiles = [];
 
         const renderResults = (query) => {
-            const filtered = query
-                ? allFiles.filter(f => f.name.toLowerCase().includes(query.toLowerCase()))
-                : allFiles.slice(0, 20);
+            let ranked;
+            if (query.trim()) {
+                ranked = [];
+                for (const relPath of allFiles) {
+                    const match = fuzzyMatch(query, relPath);
+                    if (!match) continue;
+                    const rank = recentRank.get(relPath);
+                    const boost = rank === undefined ? 0 : 20 - rank;
+                    ranked.push({ relPath, score: match.score + boost, positions: match.positions });
+                }
+                ranked.sort((a, b) => b.score - a.score);
+            } else {
+                // No query: recent files first, then the rest in tree order
+                const recent = [...recentRank.keys()].filter(p => allFiles.includes(p));
+                const rest = allFiles.filter(p => !recentRank.has(p));
+                ranked = [...recent, ...rest].map(relPath => ({ relPath, positions: [] }));
+            }
+            ranked = ranked.slice(0, 50);
 
             selectedIndex = 0;
             while (results.firstChild) results.removeChild(results.firstChild);
 
-            filtered.forEach((file, i) => {
+            ranked.forEach((file, i) => {
+                const nameStart = file.relPath.lastIndexOf('/') + 1;
                 const item = document.createElement('div');
                 item.className = `quick-open-item${i === 0 ? ' selected' : ''}`;
-                item.dataset.path = file.path;
+                item.dataset.path = toAbsolute(file.relPath);
 
                 const nameSpan = document.createElement('span');
-                nameSpan.textContent = file.name;
+                highlight(nameSpan, file.relPath.slice(nameStart), file.positions, nameStart);
                 item.appendChild(nameSpan);
 
                 const pathSpan = document.createElement('span');
                 pathSpan.className = 'quick-open-item-path';
-                pathSpan.textContent = file.display;
+                highlight(pathSpan, file.relPath, file.positions, 0);
                 item.appendChild(pathSpan);
 
                 item.addEventListener('click', () => {
-                    this.openFile(file.path);
                     closeModal();
+                    onPick(item.dataset.path);
                 });
 
                 results.appendChild(item);
@@ -1078,17 +1502,19 @@ class CodeLightApp {
                 items[selectedIndex]?.classList.remove('selected');
                 selectedIndex = Math.min(selectedIndex + 1, items.length - 1);
                 items[selectedIndex]?.classList.add('selected');
+                items[selectedIndex]?.scrollIntoView({ block: 'nearest' });
             } else if (e.key === 'ArrowUp') {
                 e.preventDefault();
                 items[selectedIndex]?.classList.remove('selected');
                 selectedIndex = Math.max(selectedIndex - 1, 0);
                 items[selectedIndex]?.classList.add('selected');
+                items[selectedIndex]?.scrollIntoView({ block: 'nearest' });
             } else if (e.key === 'Enter') {
                 const selected = items[selectedIndex];
+                closeModal();
                 if (selected) {
-                    this.openFile(selected.dataset.path);
+                    onPick(selected.dataset.path);
                 }
-                closeModal();
             } else if (e.key === 'Escape') {
                 closeModal();
             }
@@ -1101,6 +1527,11 @@ class CodeLightApp {
         input.addEventListener('input', onInput);
         input.addEventListener('keydown', onKeydown);
         modal.addEventListener('click', onBackdropClick);
+
+        // The index is cached in the main process (and here), so this is
+        // normally immediate; render whatever was typed in the meantime
+        allFiles = await this.files.getFileIndex();
+        if (!cancelled) renderResults(input.value);
     }
 
     // === Session Management ===
@@ -1108,11 +1539,12 @@ class CodeLightApp {
     async saveSession() {
         const session = {
             openFolder: this.openFolder,
-            tabs: this.tabs.map(t => ({
+            // Diff tabs are rebuilt on demand, not restored
+            tabs: this.tabs.filter(t => t.kind !== 'diff').map(t => ({
                 path: t.path,
                 name: t.name,
-                // Only store content for unsaved files without a path (untitled)
-                content: !t.path ? t.model.getValue() : undefined
+                // Untitled tabs come back from their hot exit backup
+                backupId: !t.path ? this.hotExit.getBackupId(t) : undefined
             })),
             activeTabPath: this.tabs.find(t => t.id === this.activeTabId)?.path
         };
@@ -1124,8 +1556,8 @@ class CodeLightApp {
         const urlParams = new URLSearchParams(window.location.search);
         if (urlParams.get('isNewWindow') === 'true') return;
 
-        const session = await this.storage.get('session');
-        if (!session) return;
+        // Backups can outlive a session that was never saved
+        const session = await this.storage.get('session') || {};
 
         let folderGone = false;
         if (session.openFolder) {
@@ -1133,21 +1565,44 @@ class CodeLightApp {
             folderGone = !opened;
         }
 
+        // Unsaved changes from the last run (see HotExitManager)
+        const backups = await this.hotExit.loadBackups();
+        const takeBackup = (key) => {
+            const backup = backups.get(key);
+            backups.delete(key);
+            return backup;
+        };
+
         // Tabs for files inside a deleted folder fail readFile and are
-        // skipped; untitled tabs still restore from their stored content
+        // skipped unless they had unsaved changes; untitled tabs restore
+        // from their backup
         for (const tabData of session.tabs || []) {
             if (tabData.path) {
-                const result = await window.electronAPI.readFile(tabData.path);
+                const backup = takeBackup(`file:${tabData.path}`);
+                const result = await this.readTabFile(tabData.path);
                 if (result.success) {
-                    this.createTab(tabData.path, result.content);
+                    const tab = this.createTab(tabData.path, result.content ?? '', false, result);
+                    if (backup) this.hotExit.restore(tab, backup);
+                } else if (backup) {
+                    this.hotExit.open(backup);
                 }
+            } else if (tabData.backupId) {
+                const backup = takeBackup(`untitled:${tabData.backupId}`);
+                if (backup) this.hotExit.open(backup);
             } else if (tabData.content) {
+                // Sessions saved before hot exit kept untitled text inline
                 const tab = this.createTab(tabData.name || 'untitled', tabData.content, true);
                 tab.name = tabData.name;
                 this.renderTabs();
             }
         }
 
+        // Backups of tabs the session doesn't list (a crash before it was
+        // saved, or another window's tabs)
+        for (const backup of backups.values()) {
+            this.hotExit.open(backup);
+        }
+
         // Activate the previously active tab
         if (session.activeTabPath) {
             const tab = this.tabs.find(t => t.path === session.activeTabPath);